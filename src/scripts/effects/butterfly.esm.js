@@ -89,8 +89,9 @@ class ButterflyEffect extends TarotEffect {
     _.gapWidth = frameWidths.gap;
     _.slideAndGapWidth = _.slideWidth + _.gapWidth;
 
-    // set slide width on viewport
-    _.ctx.viewport.style.setProperty('--tarot-slide-width', `${_.slideWidth}px`);
+    // set slide width on viewport (height on a vertical carousel)
+    const property = _.isVertical() ? '--tarot-slide-height' : '--tarot-slide-width';
+    _.ctx.viewport.style.setProperty(property, `${_.slideWidth}px`);
 
     // compute target rotation angles so that projected widths land nicely in side space
     const sideSpace = _.slideWidth / 2 - _.gapWidth * 2;
@@ -167,9 +168,9 @@ class ButterflyEffect extends TarotEffect {
     // interpolate scale up to 1 and rotation down to 0 as we approach the center
     const scaleAmount = this.L1Scale + (1 - this.L1Scale) * percent;
     const rotateAmount = this.L1Angle * (1 - percent);
-    slide.style.transformOrigin = 'left center';
+    slide.style.transformOrigin = this.transformOriginAxis('start');
     slide._scaleTransform = `scale(${scaleAmount})`;
-    slide._rotateTransform = `rotateY(${rotateAmount}deg)`;
+    slide._rotateTransform = this.rotateAxis(rotateAmount);
     slide.leftWidthTrimmed =
       this.slideWidth - this.getRotatedWidth(rotateAmount, this.slideWidth * scaleAmount);
   }
@@ -183,9 +184,9 @@ class ButterflyEffect extends TarotEffect {
     const p = 1 - percent;
     const scaleAmount = this.L1Scale + (this.L2Scale - this.L1Scale) * p;
     const rotateAmount = this.L1Angle + (this.L2Angle - this.L1Angle) * p;
-    slide.style.transformOrigin = 'left center';
+    slide.style.transformOrigin = this.transformOriginAxis('start');
     slide._scaleTransform = `scale(${scaleAmount})`;
-    slide._rotateTransform = `rotateY(${rotateAmount}deg)`;
+    slide._rotateTransform = this.rotateAxis(rotateAmount);
     slide.leftWidthTrimmed =
       this.slideWidth - this.getRotatedWidth(rotateAmount, this.slideWidth * scaleAmount);
   }
@@ -199,9 +200,9 @@ class ButterflyEffect extends TarotEffect {
     const p = 1 - percent; // included for completeness; l3 == l2 in this effect
     const scaleAmount = this.L2Scale + (this.L3Scale - this.L2Scale) * p;
     const rotateAmount = this.L2Angle + (this.L3Angle - this.L2Angle) * p;
-    slide.style.transformOrigin = 'left center';
+    slide.style.transformOrigin = this.transformOriginAxis('start');
     slide._scaleTransform = `scale(${scaleAmount})`;
-    slide._rotateTransform = `rotateY(${rotateAmount}deg)`;
+    slide._rotateTransform = this.rotateAxis(rotateAmount);
     slide.leftWidthTrimmed =
       this.slideWidth - this.getRotatedWidth(rotateAmount, this.slideWidth * scaleAmount);
   }
@@ -216,9 +217,9 @@ class ButterflyEffect extends TarotEffect {
   applyR1(slide, percent) {
     const scaleAmount = 1 + (this.L1Scale - 1) * percent;
     const rotateAmount = this.L1Angle * percent;
-    slide.style.transformOrigin = 'right center';
+    slide.style.transformOrigin = this.transformOriginAxis('end');
     slide._scaleTransform = `scale(${scaleAmount})`;
-    slide._rotateTransform = `rotateY(-${rotateAmount}deg)`;
+    slide._rotateTransform = this.rotateAxis(-rotateAmount);
     slide.rightWidthTrimmed =
       this.slideWidth - this.getRotatedWidth(rotateAmount, this.slideWidth * scaleAmount);
   }
@@ -231,9 +232,9 @@ class ButterflyEffect extends TarotEffect {
   applyR2(slide, percent) {
     const scaleAmount = this.L1Scale + (this.L2Scale - this.L1Scale) * percent;
     const rotateAmount = this.L1Angle + (this.L2Angle - this.L1Angle) * percent;
-    slide.style.transformOrigin = 'right center';
+    slide.style.transformOrigin = this.transformOriginAxis('end');
     slide._scaleTransform = `scale(${scaleAmount})`;
-    slide._rotateTransform = `rotateY(-${rotateAmount}deg)`;
+    slide._rotateTransform = this.rotateAxis(-rotateAmount);
     slide.rightWidthTrimmed =
       this.slideWidth - this.getRotatedWidth(rotateAmount, this.slideWidth * scaleAmount);
   }
@@ -246,9 +247,9 @@ class ButterflyEffect extends TarotEffect {
   applyR3(slide, percent) {
     const scaleAmount = this.L2Scale + (this.L3Scale - this.L2Scale) * percent;
     const rotateAmount = this.L2Angle + (this.L3Angle - this.L2Angle) * percent;
-    slide.style.transformOrigin = 'right center';
+    slide.style.transformOrigin = this.transformOriginAxis('end');
     slide._scaleTransform = `scale(${scaleAmount})`;
-    slide._rotateTransform = `rotateY(-${rotateAmount}deg)`;
+    slide._rotateTransform = this.rotateAxis(-rotateAmount);
     slide.rightWidthTrimmed =
       this.slideWidth - this.getRotatedWidth(rotateAmount, this.slideWidth * scaleAmount);
   }
@@ -275,6 +276,13 @@ class ButterflyEffect extends TarotEffect {
     // Update cached widths for this frame
     _.calculateWidths(widths);
 
+    // reduced motion keeps the bands flat: they still scale, but don't turn
+    if (frame.state.reducedMotion) {
+      _.L1Angle = 0;
+      _.L2Angle = 0;
+      _.L3Angle = 0;
+    }
+
     // Butterfly effect controls both slide width and track position in DOM
     _.renderSlideWidth(_.slideWidth);
     _.renderTrackPosition(animation);
@@ -356,7 +364,7 @@ class ButterflyEffect extends TarotEffect {
 
       // commit transforms
       slide.style.transform =
-        `translateX(${slide.renderPosition}px) ` +
+        `${_.translateAxis(slide.renderPosition)} ` +
         `perspective(1500px) ` +
         `${slide._scaleTransform || ''} ` +
         `${slide._rotateTransform || ''}`;
@@ -368,6 +376,7 @@ class ButterflyEffect extends TarotEffect {
     const _ = this;
     if (_.ctx?.viewport?.style) {
       _.ctx.viewport.style.removeProperty('--tarot-slide-width');
+      _.ctx.viewport.style.removeProperty('--tarot-slide-height');
     }
     super.destroy();
   }
@@ -40,6 +40,8 @@ class PeacockEffect extends TarotEffect {
 		min_slidesPerView: 1,
 		max_slidesPerView: 1,
 		loopBuffer: { left: 2, right: 2 },
+		// the feathers fan upward from the bottom edge, which has no Y-axis equivalent
+		vertical: false,
 	};
 
 	constructor(ctx) {
@@ -58,6 +60,9 @@ class PeacockEffect extends TarotEffect {
 		_.featherRotation = 8;
 		_.featherScale = 0.86;
 
+		// 0 under reduced motion, feathers fan out by scale only
+		_.rotationScale = 1;
+
 		_.init();
 	}
 
@@ -95,6 +100,7 @@ class PeacockEffect extends TarotEffect {
 
 		_.viewportWidth = widths.viewport;
 		_.calculateLayout();
+		_.rotationScale = frame.state.reducedMotion ? 0 : 1;
 
 		// Calculate gap-based widths
 		_.gap = widths.gap || 0;
@@ -214,8 +220,8 @@ class PeacockEffect extends TarotEffect {
 		// percent=0 at L3 (furthest edge), percent=1 at L2 (closer to center)
 		const opacity = percent > 0.5 ? 1 : 1 * (percent / 0.5);
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px) rotate(${rotationAmount}deg) scale(${scaleAmount})`;
-		slide.style.transformOrigin = 'left bottom';
+		slide.style.transform = `${this.translate3dAxis(offsetX)} ${this.rotatePlane(rotationAmount * this.rotationScale)} scale(${scaleAmount})`;
+		slide.style.transformOrigin = this.transformOriginAxis('start', 'end');
 		slide.style.zIndex = 0; // Behind everything
 		slide.style.opacity = opacity;
 		slide.style.display = 'block';
@@ -243,8 +249,8 @@ class PeacockEffect extends TarotEffect {
 		const endScale = this.featherScale; // Less compressed closer to center
 		const scaleAmount = startScale + (endScale - startScale) * percent;
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px) rotate(${rotationAmount}deg) scale(${scaleAmount})`;
-		slide.style.transformOrigin = 'left bottom';
+		slide.style.transform = `${this.translate3dAxis(offsetX)} ${this.rotatePlane(rotationAmount * this.rotationScale)} scale(${scaleAmount})`;
+		slide.style.transformOrigin = this.transformOriginAxis('start', 'end');
 		slide.style.zIndex = 1;
 		slide.style.opacity = 1; // Slightly transparent for layered effect
 		slide.style.display = 'block';
@@ -268,8 +274,8 @@ class PeacockEffect extends TarotEffect {
 		// Calculate scale: featherScale at edge (percent=0) → 1.0 at center (percent=1)
 		const scaleAmount = this.featherScale + (1 - this.featherScale) * percent;
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px) rotate(${rotationAmount}deg) scale(${scaleAmount})`;
-		slide.style.transformOrigin = 'left bottom';
+		slide.style.transform = `${this.translate3dAxis(offsetX)} ${this.rotatePlane(rotationAmount * this.rotationScale)} scale(${scaleAmount})`;
+		slide.style.transformOrigin = this.transformOriginAxis('start', 'end');
 		slide.style.zIndex = 2;
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
@@ -286,8 +292,8 @@ class PeacockEffect extends TarotEffect {
 		// Width transition: feather width at percent=0 → full width at percent=1
 		const slideWidth = this.featherWidth + (this.availableWidth - this.featherWidth) * percent;
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px)`;
-		slide.style.transformOrigin = 'left bottom';
+		slide.style.transform = this.translate3dAxis(offsetX);
+		slide.style.transformOrigin = this.transformOriginAxis('start', 'end');
 		slide.style.zIndex = 3; // Center gets highest z-index
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
@@ -301,7 +307,7 @@ class PeacockEffect extends TarotEffect {
 	applyCenterSlide(slide, percent) {
 		const offsetX = this.leftMargin; // Left margin position
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px)`;
+		slide.style.transform = this.translate3dAxis(offsetX);
 		slide.style.transformOrigin = 'center center';
 		slide.style.zIndex = 3; // Highest z-index for center
 		slide.style.opacity = 1;
@@ -320,8 +326,8 @@ class PeacockEffect extends TarotEffect {
 		// Right-align within available space
 		const offsetX = this.leftMargin + (this.availableWidth - slideWidth);
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px)`;
-		slide.style.transformOrigin = 'right bottom';
+		slide.style.transform = this.translate3dAxis(offsetX);
+		slide.style.transformOrigin = this.transformOriginAxis('end', 'end');
 		slide.style.zIndex = 3; // Center gets highest z-index
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
@@ -346,8 +352,8 @@ class PeacockEffect extends TarotEffect {
 		// Calculate scale: 1.0 at center (percent=0) → featherScale at edge (percent=1)
 		const scaleAmount = 1 + (this.featherScale - 1) * percent;
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px) rotate(${rotationAmount}deg) scale(${scaleAmount})`;
-		slide.style.transformOrigin = 'right bottom';
+		slide.style.transform = `${this.translate3dAxis(offsetX)} ${this.rotatePlane(rotationAmount * this.rotationScale)} scale(${scaleAmount})`;
+		slide.style.transformOrigin = this.transformOriginAxis('end', 'end');
 		slide.style.zIndex = 2;
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
@@ -376,8 +382,8 @@ class PeacockEffect extends TarotEffect {
 		const endScale = this.featherScale * this.featherScale * 0.9; // Most compressed at edge
 		const scaleAmount = startScale + (endScale - startScale) * percent;
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px) rotate(${rotationAmount}deg) scale(${scaleAmount})`;
-		slide.style.transformOrigin = 'right bottom';
+		slide.style.transform = `${this.translate3dAxis(offsetX)} ${this.rotatePlane(rotationAmount * this.rotationScale)} scale(${scaleAmount})`;
+		slide.style.transformOrigin = this.transformOriginAxis('end', 'end');
 		slide.style.zIndex = 1;
 		slide.style.opacity = 1; // Slightly transparent for layered effect
 		slide.style.display = 'block';
@@ -411,8 +417,8 @@ class PeacockEffect extends TarotEffect {
 		// percent=0 at R2 (closer to center), percent=1 at R3 (furthest edge)
 		const opacity = percent < 0.5 ? 1 : 1 * (1 - (percent - 0.5) / 0.5);
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px) rotate(${rotationAmount}deg) scale(${scaleAmount})`;
-		slide.style.transformOrigin = 'right bottom';
+		slide.style.transform = `${this.translate3dAxis(offsetX)} ${this.rotatePlane(rotationAmount * this.rotationScale)} scale(${scaleAmount})`;
+		slide.style.transformOrigin = this.transformOriginAxis('end', 'end');
 		slide.style.zIndex = 0; // Behind everything
 		slide.style.opacity = opacity;
 		slide.style.display = 'block';
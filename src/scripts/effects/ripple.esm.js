@@ -557,7 +557,7 @@ class RippleEffect extends TarotEffect {
 			// Calculate final display width
 			const displayWidth = widths.slide - slide.rightWidthTrimmed - slide.leftWidthTrimmed;
 			slide.style.transition = 'none';
-			slide.style.width = `${displayWidth}px`;
+			_.setSlideLength(slide, displayWidth);
 
 			// Calculate position with accumulated right trim
 			// subtract the totalRemovedRight from track postion to pull
@@ -578,7 +578,7 @@ class RippleEffect extends TarotEffect {
 			// the left slides towards the center
 			slide.renderPosition += totalRemovedLeft;
 			// Update position on track for all slides
-			slide.style.transform = `translateX(${slide.renderPosition}px)`;
+			slide.style.transform = _.translateAxis(slide.renderPosition);
 		}
 	}
 
@@ -596,7 +596,7 @@ class RippleEffect extends TarotEffect {
 			const slide = slides[i];
 			if (!slide || !slide.style) continue;
 			slide.removeAttribute('aria-hidden');
-			slide.style.width = '';
+			_.setSlideLength(slide, '');
 			slide.style.transform = '';
 			slide.style.transition = '';
 		}
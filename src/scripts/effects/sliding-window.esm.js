@@ -130,12 +130,12 @@ class SlidingWindowEffect extends TarotEffect {
 		// Use gap-based door width
 		const narrowSlideWidth = this.doorWidth;
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px)`;
-		slide.style.transformOrigin = 'left bottom';
+		slide.style.transform = this.translate3dAxis(offsetX);
+		slide.style.transformOrigin = this.transformOriginAxis('start', 'end');
 		slide.style.zIndex = 2;
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
-		slide.style.width = `${narrowSlideWidth}px`;
+		this.setSlideLength(slide, narrowSlideWidth);
 	}
 
 	/**
@@ -148,12 +148,12 @@ class SlidingWindowEffect extends TarotEffect {
 		// Width transition: door width at percent=0 → full width at percent=1
 		const slideWidth = this.doorWidth + (this.slideWidth - this.doorWidth) * percent;
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px)`;
-		slide.style.transformOrigin = 'left bottom';
+		slide.style.transform = this.translate3dAxis(offsetX);
+		slide.style.transformOrigin = this.transformOriginAxis('start', 'end');
 		slide.style.zIndex = 3; // Center gets highest z-index
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
-		slide.style.width = `${slideWidth}px`;
+		this.setSlideLength(slide, slideWidth);
 	}
 
 	/**
@@ -167,12 +167,12 @@ class SlidingWindowEffect extends TarotEffect {
 		// Right-align within slide space
 		const offsetX = this.paddingLeft + (this.slideWidth - slideWidth);
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px)`;
-		slide.style.transformOrigin = 'right bottom';
+		slide.style.transform = this.translate3dAxis(offsetX);
+		slide.style.transformOrigin = this.transformOriginAxis('end', 'end');
 		slide.style.zIndex = 3;
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
-		slide.style.width = `${slideWidth}px`;
+		this.setSlideLength(slide, slideWidth);
 	}
 
 	/**
@@ -186,12 +186,12 @@ class SlidingWindowEffect extends TarotEffect {
 		// Right-align within slide space
 		const offsetX = this.paddingLeft + (this.slideWidth - narrowSlideWidth);
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px)`;
-		slide.style.transformOrigin = 'right bottom';
+		slide.style.transform = this.translate3dAxis(offsetX);
+		slide.style.transformOrigin = this.transformOriginAxis('end', 'end');
 		slide.style.zIndex = 2;
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
-		slide.style.width = `${narrowSlideWidth}px`;
+		this.setSlideLength(slide, narrowSlideWidth);
 	}
 
 	/**
@@ -201,12 +201,12 @@ class SlidingWindowEffect extends TarotEffect {
 	applyCenterSlide(slide, percent) {
 		const offsetX = this.paddingLeft; // Use carousel's paddingLeft
 
-		slide.style.transform = `translate3d(${offsetX}px, 0px, 0px)`;
+		slide.style.transform = this.translate3dAxis(offsetX);
 		slide.style.transformOrigin = 'center center';
 		slide.style.zIndex = 3; // Highest z-index for center
 		slide.style.opacity = 1;
 		slide.style.display = 'block';
-		slide.style.width = `${this.slideWidth}px`;
+		this.setSlideLength(slide, this.slideWidth);
 	}
 
 	/**
@@ -218,7 +218,7 @@ class SlidingWindowEffect extends TarotEffect {
 		slide.style.zIndex = 0;
 		slide.style.transform = 'translate3d(0px, 0px, 0px)';
 		slide.style.transformOrigin = 'center center';
-		slide.style.width = '';
+		this.setSlideLength(slide, '');
 	}
 
 	/**
@@ -239,7 +239,7 @@ class SlidingWindowEffect extends TarotEffect {
 			slide.style.opacity = '';
 			slide.style.zIndex = '';
 			slide.style.display = '';
-			slide.style.width = '';
+			_.setSlideLength(slide, '');
 		}
 	}
 }
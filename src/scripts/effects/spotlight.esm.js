@@ -75,7 +75,7 @@ class SpotlightEffect extends TarotEffect {
 		// calculate left trim based on scale reduction
 		const slideWidth = frameWidths.slide;
 		slide.leftWidthTrimmed = slideWidth - slideWidth * _.sideScale;
-		slide.style.transformOrigin = 'center left';
+		slide.style.transformOrigin = _.transformOriginAxis('start');
 		slide._scaleTransform = `scale(${_.sideScale})`;
 		slide.style.opacity = _.sideOpacity;
 		slide.style.filter = `blur(${_.blurValue}px)`;
@@ -113,7 +113,7 @@ class SpotlightEffect extends TarotEffect {
 		// calculate left trim based on scale reduction
 		const slideWidth = frameWidths.slide;
 		slide.leftWidthTrimmed = slideWidth - slideWidth * scale;
-		slide.style.transformOrigin = 'center left';
+		slide.style.transformOrigin = _.transformOriginAxis('start');
 		slide._scaleTransform = `scale(${scale})`;
 		slide.style.opacity = opacity;
 		slide.style.filter = `blur(${blur}px)`;
@@ -164,7 +164,7 @@ class SpotlightEffect extends TarotEffect {
 		// calculate right trim based on scale reduction
 		const slideWidth = frameWidths.slide;
 		slide.rightWidthTrimmed = slideWidth - slideWidth * scale;
-		slide.style.transformOrigin = 'center right';
+		slide.style.transformOrigin = _.transformOriginAxis('end');
 		slide._scaleTransform = `scale(${scale})`;
 		slide.style.opacity = opacity;
 		slide.style.filter = `blur(${blur}px)`;
@@ -180,7 +180,7 @@ class SpotlightEffect extends TarotEffect {
 		// calculate right trim based on scale reduction
 		const slideWidth = frameWidths.slide;
 		slide.rightWidthTrimmed = slideWidth - slideWidth * _.sideScale;
-		slide.style.transformOrigin = 'center right';
+		slide.style.transformOrigin = _.transformOriginAxis('end');
 		slide._scaleTransform = `scale(${_.sideScale})`;
 		slide.style.opacity = _.sideOpacity;
 		slide.style.filter = `blur(${_.blurValue}px)`;
@@ -197,7 +197,7 @@ class SpotlightEffect extends TarotEffect {
 		// default to side values as a safe fallback
 		const slideWidth = frameWidths.slide;
 		slide.rightWidthTrimmed = slideWidth - slideWidth * _.sideScale;
-		slide.style.transformOrigin = 'center right';
+		slide.style.transformOrigin = _.transformOriginAxis('end');
 		slide._scaleTransform = `scale(${_.sideScale})`;
 		slide.style.opacity = _.sideOpacity;
 		slide.style.filter = `blur(${_.blurValue}px)`;
@@ -293,7 +293,7 @@ class SpotlightEffect extends TarotEffect {
 
 			// commit transforms
 			slide.style.transform =
-				`translateX(${slide.renderPosition}px) ` + `${slide._scaleTransform || ''}`;
+				`${_.translateAxis(slide.renderPosition)} ` + `${slide._scaleTransform || ''}`;
 		}
 	}
 
@@ -66,12 +66,15 @@ class StackEffect extends TarotEffect {
 		const _ = this;
 
 		// Stack visual configuration
-		_.stackDirection = 'right'; // Direction slides peek: 'top', 'right', 'bottom', 'left'
+		// Direction slides peek: 'top', 'right', 'bottom', 'left'
+		// right/left run along the carousel axis and top/bottom across it, so 'right' peeks down on a vertical carousel
+		_.stackDirection = 'right';
 		_.stackOffset = 28; // Pixels to offset each stack level
 		_.topSlideBaseScale = 1; // Base scale for top slide (80% to leave animation room)
 		_.secondSlideRelativeScale = 0.92; // Second slide scale relative to top (95%)
 		_.thirdSlideRelativeScale = 0.83; // Third slide scale relative to top (90%)
 		_.fourthSlideRelativeScale = 0.83; // Fourth slide scale relative to top (85%)
+		_.flat = false; // Reduced motion: exiting cards fade instead of rotating away
 
 		_.init();
 	}
@@ -111,6 +114,7 @@ class StackEffect extends TarotEffect {
 
 		// Stack effect uses calculated slide width, track position is virtual only
 		_.renderSlideWidth(widths.slide);
+		_.flat = !!frame.state.reducedMotion;
 		// Note: renderTrackPosition() not called - track DOM position irrelevant for stack
 
 		// Process each slide to determine its stack position
@@ -174,18 +178,18 @@ class StackEffect extends TarotEffect {
 		const offsetX = 0;
 		const offsetY = 0;
 
-		// Rotate 90 degrees upward as it exits (0° → 90°)
-		const maxRotation = -90; // degrees
+		// Rotate 90 degrees upward as it exits (0° → 90°), or stay flat under reduced motion
+		const maxRotation = _.flat ? 0 : -90; // degrees
 		const rotateAmount = (1 - transitionPercent) * maxRotation; // Reverse: 90° → 0°
 
 		// Safari fix: Force stacking context with transform3d and explicit z-index positioning
 		// Use constant minimal translateZ value for exiting cards (highest layer)
 		const translateZ = 0.004;
 
-		slide.style.transform = `translate3d(${offsetX}px, ${offsetY}px, ${translateZ}px) scale(${finalScale}) rotateY(${rotateAmount}deg)`;
-		slide.style.transformOrigin = 'left center'; // Rotate from left edge like butterfly effect
+		slide.style.transform = `${_.translate3dAxis(offsetX, offsetY, translateZ)} scale(${finalScale}) ${_.rotateAxis(rotateAmount)}`;
+		slide.style.transformOrigin = _.transformOriginAxis('start'); // Rotate from the leading edge like butterfly effect
 		slide.style.zIndex = 10; // Highest z-index (on top during exit)
-		slide.style.opacity = 1;
+		slide.style.opacity = _.flat ? transitionPercent : 1; // Flat cards fade out in place
 		slide.style.display = 'block';
 
 		// Safari fix: Ensure proper stacking context by setting transform-style
@@ -222,7 +226,7 @@ class StackEffect extends TarotEffect {
 		// Use constant minimal translateZ value for top cards
 		const translateZ = 0.003;
 
-		slide.style.transform = `translate3d(${offsetX}px, ${offsetY}px, ${translateZ}px) scale(${finalScale})`;
+		slide.style.transform = `${_.translate3dAxis(offsetX, offsetY, translateZ)} scale(${finalScale})`;
 		slide.style.transformOrigin = _.getTransformOrigin();
 		slide.style.transformStyle = 'preserve-3d'; // Safari fix
 		slide.style.zIndex = 3; // Main card z-index (highest of visible cards)
@@ -259,7 +263,7 @@ class StackEffect extends TarotEffect {
 		// Use constant minimal translateZ value for second cards
 		const translateZ = 0.002;
 
-		slide.style.transform = `translate3d(${offsetX}px, ${offsetY}px, ${translateZ}px) scale(${finalScale})`;
+		slide.style.transform = `${_.translate3dAxis(offsetX, offsetY, translateZ)} scale(${finalScale})`;
 		slide.style.transformOrigin = _.getTransformOrigin();
 		slide.style.transformStyle = 'preserve-3d'; // Safari fix
 		slide.style.zIndex = 2; // Behind top card
@@ -295,7 +299,7 @@ class StackEffect extends TarotEffect {
 		// Use constant minimal translateZ value for third cards
 		const translateZ = 0.001;
 
-		slide.style.transform = `translate3d(${offsetX}px, ${offsetY}px, ${translateZ}px) scale(${finalScale})`;
+		slide.style.transform = `${_.translate3dAxis(offsetX, offsetY, translateZ)} scale(${finalScale})`;
 		slide.style.transformOrigin = _.getTransformOrigin();
 		slide.style.transformStyle = 'preserve-3d'; // Safari fix
 		slide.style.zIndex = 0; // Lowest z-index (behind all other cards)
@@ -306,6 +310,7 @@ class StackEffect extends TarotEffect {
 	/**
 	 * Get the appropriate transform origin based on stack direction
 	 * This ensures cards scale naturally from the correct edge
+	 * Offsets and origins go through the axis helpers, x is along the carousel axis and y across it
 	 *
 	 * @returns {string} CSS transform-origin value
 	 */
@@ -313,13 +318,13 @@ class StackEffect extends TarotEffect {
 		const _ = this;
 		switch (_.stackDirection) {
 			case 'right':
-				return 'center right'; // Scale from right edge when stacking right
+				return _.transformOriginAxis('end'); // Scale from right edge when stacking right
 			case 'left':
-				return 'center left'; // Scale from left edge when stacking left
+				return _.transformOriginAxis('start'); // Scale from left edge when stacking left
 			case 'top':
-				return 'center top'; // Scale from top edge when stacking up
+				return _.transformOriginAxis('center', 'start'); // Scale from top edge when stacking up
 			case 'bottom':
-				return 'center bottom'; // Scale from bottom edge when stacking down
+				return _.transformOriginAxis('center', 'end'); // Scale from bottom edge when stacking down
 			default:
 				return 'center center'; // Fallback to center
 		}
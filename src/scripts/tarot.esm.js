@@ -154,7 +154,7 @@ class DragHandler {
 		_.drag = {
 			/** @type {boolean} - Whether a drag is currently active */
 			isDragging: false,
-			/** @type {number} - Starting position of the drag */
+			/** @type {number} - Starting position of the drag (along the carousel axis) */
 			start: 0,
 			/** @type {number} - Current position during drag */
 			current: 0,
@@ -170,11 +170,22 @@ class DragHandler {
 			scrollWheelDelta: 0,
 			/** @type {boolean} - Whether wheel scrolling is active */
 			scrollWheelActive: false,
+			/** @type {number} - Largest single wheel delta in the current gesture */
+			scrollWheelPeak: 0,
+			/** @type {boolean} - Swallowing the inertia tail of a released wheel gesture */
+			scrollWheelLocked: false,
+			/** @type {number|null} - Release threshold for this gesture, null uses options.dragThreshold */
+			releaseThreshold: null,
+			/** @type {number} - Carousel axis for the current gesture (DIRECTION.HORIZONTAL or DIRECTION.VERTICAL) */
+			axisDirection: DIRECTION.HORIZONTAL,
+			/** @type {number} - 1, or -1 when screen movement is mirrored (rtl) */
+			sign: 1,
 		};
 
 		/** @type {Function} - Debounced function to handle the end of scroll wheel events */
 		_.debouncedScrollEnd = _.ctx.utils.debounce((e) => {
 			_.drag.scrollWheelDelta = 0;
+			_.drag.scrollWheelLocked = false;
 			_.handleScrollEnd(e);
 		}, 80);
 
@@ -233,37 +244,96 @@ class DragHandler {
 		// Prevent double taps
 		track.addEventListener('dblclick', _.handlers.dblclick);
 
-		// Add sideways scrolling with two fingers
-		// track.addEventListener('wheel', _.handlers.wheel, {
-		// 	passive: false,
-		// });
+		// Add sideways scrolling with two fingers (options.wheel.enabled is checked per event)
+		track.addEventListener('wheel', _.handlers.wheel, {
+			passive: false,
+		});
+	}
+
+	/**
+	 * Reads a wheel event as a delta along the carousel axis, following options.wheel
+	 * @param {WheelEvent} e - The wheel event.
+	 * @param {Object} options - Carousel options
+	 * @returns {number|null} px to move the track by, or null when the event belongs to the page
+	 */
+	getWheelDelta(e, options) {
+		const _ = this;
+		const wheel = options.wheel;
+		const isVertical = _.isVertical();
+
+		// line and page based wheels report in other units
+		const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? _.ctx.store.getWidths().viewport : 1;
+		const main = (isVertical ? e.deltaY : e.deltaX) * unit;
+		const cross = (isVertical ? e.deltaX : e.deltaY) * unit;
+
+		let delta;
+		if (Math.abs(main) >= Math.abs(cross)) {
+			// the rtl track is mirrored, a physical sideways swipe runs the other way
+			delta = !isVertical && _.ctx.store.getState().rtl ? -main : main;
+		} else if (!wheel.forceToAxis || (wheel.mapVertical && !isVertical)) {
+			delta = cross;
+		} else {
+			return null;
+		}
+
+		return delta ? delta * (wheel.sensitivity ?? 1) : null;
 	}
 
 	/**
 	 * Handle sideways scroll events on the track.
-	 * This allows for horizontal scrolling using a trackpad.
+	 * This allows for horizontal scrolling using a trackpad or mouse wheel.
+	 * A gesture moves the track like a drag and is released once the wheel goes quiet,
+	 * or as soon as an inertia tail is detected (past the release threshold, deltas
+	 * dropping under half their peak). The rest of that tail is swallowed so it
+	 * can't start a second move.
 	 * @param {WheelEvent} e - The wheel event.
 	 */
 	handleSidewaysScroll(e) {
 		const _ = this;
-		// check if there is significant horizontal movement
-		if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
-			e.preventDefault(); // prevent page scrolling
-
-			const drag = _.drag;
+		const options = _.ctx.store.getOptions();
+		const drag = _.drag;
 
-			if (drag.delta === 0) {
-				_.ctx.emitter.emit(_.ctx.events.drag.start, { event: e, drag });
-			}
+		if (!options.wheel?.enabled || drag.isDragging) return;
 
-			// use the deltaX to move the carousel accordingly
-			drag.delta += e.deltaX * -1;
+		const delta = _.getWheelDelta(e, options);
+		if (delta === null) return;
 
-			// let plugin know the movement
-			_.ctx.emitter.emit(_.ctx.events.drag.move, { event: e, drag });
+		e.preventDefault(); // prevent page scrolling
 
+		// swallow the inertia tail until the wheel goes quiet
+		if (drag.scrollWheelLocked) {
 			_.debouncedScrollEnd(e);
+			return;
+		}
+
+		// first event of a new gesture
+		if (!drag.scrollWheelActive) {
+			drag.scrollWheelActive = true;
+			drag.scrollWheelPeak = 0;
+			drag.axisDirection = _.isVertical() ? DIRECTION.VERTICAL : DIRECTION.HORIZONTAL;
+			drag.releaseThreshold = options.wheel.releaseThreshold ?? options.dragThreshold;
+			drag.delta = 0;
+			drag.velocity = 0;
+			_.ctx.emitter.emit(_.ctx.events.drag.start, { event: e, drag });
+		}
+
+		// wheel deltas scroll content, so the track moves the opposite way
+		drag.delta -= delta;
+		drag.velocity = -delta;
+		drag.scrollWheelDelta = drag.delta;
+		drag.scrollWheelPeak = Math.max(drag.scrollWheelPeak, Math.abs(delta));
+
+		// let plugin know the movement
+		_.ctx.emitter.emit(_.ctx.events.drag.move, { event: e, drag });
+
+		// the finger has lifted and the os is coasting - release now rather than after the tail
+		const isInertia = Math.abs(delta) < drag.scrollWheelPeak / 2;
+		if (isInertia && Math.abs(drag.delta) >= drag.releaseThreshold) {
+			_.handleScrollEnd(e);
+			drag.scrollWheelLocked = true;
 		}
+
+		_.debouncedScrollEnd(e);
 	}
 
 	/**
@@ -276,11 +346,16 @@ class DragHandler {
 		const _ = this;
 		const drag = _.drag;
 
+		// nothing to release (the gesture already ended on its inertia)
+		if (!drag.scrollWheelActive) return;
+
 		// Tell plugin the drag has ended
 		_.ctx.emitter.emit(_.ctx.events.drag.end, { event: e, drag });
 
 		// Reset the delta
 		drag.delta = 0;
+		drag.scrollWheelActive = false;
+		drag.releaseThreshold = null;
 	}
 
 	/**
@@ -298,7 +373,8 @@ class DragHandler {
 		}
 
 		// emit click event
-		const slide = e.target.closest('tarot-slide');
+		// grid cells may be tarot-slides themselves, the group is the slide
+		const slide = e.target.closest('tarot-slide:not(.tarot-grid-cell)');
 		if (slide) {
 			const index = parseInt(slide.getAttribute('index')) || 0;
 			const renderIndex = slide.renderIndex;
@@ -318,16 +394,39 @@ class DragHandler {
 	handleTouchStart(e) {
 		const _ = this;
 
-		// tell plugin user clicked on slide
-		if (e.touches.length > 1) {
-			_.drag.isDragging = false;
+		// cancel drag when a second finger lands (pinch zoom etc.)
+		if (e.touches.length > 1 && _.drag.isDragging) {
+			_.cancelDrag(e, 'multi-touch');
 		}
 	}
 
+	/**
+	 * Whether the carousel runs along the Y axis (options.axis === 'vertical')
+	 * @returns {boolean}
+	 */
+	isVertical() {
+		return this.ctx.store.getOptions().axis === 'vertical';
+	}
+
+	/**
+	 * Returns how far a pointer/touch has moved along and across the carousel axis
+	 * @param {{screenX:number, screenY:number}} point - Pointer event or touch
+	 * @returns {{main:number, cross:number}} - Absolute distances from the drag start
+	 */
+	getAxisDeltas(point) {
+		const _ = this;
+		const drag = _.drag;
+		const deltaX = Math.abs(drag.startX - point.screenX);
+		const deltaY = Math.abs(drag.startY - point.screenY);
+		return drag.axisDirection === DIRECTION.VERTICAL
+			? { main: deltaY, cross: deltaX }
+			: { main: deltaX, cross: deltaY };
+	}
+
 	/**
 	 * Handle touch move events on the track.
-	 * Determines the direction of touch movement and
-	 * prevents vertical scrolling if horizontal movement is detected.
+	 * Determines the direction of touch movement and prevents page scrolling
+	 * once movement along the carousel axis is detected.
 	 * @param {TouchEvent} e - The touch move event.
 	 */
 	handleTouchMove(e) {
@@ -338,33 +437,50 @@ class DragHandler {
 		if (!drag.isDragging) return;
 
 		// exit if we have already determined we are
-		// scrolling horizontally and not vertically
-		if (drag.touchDirection === DIRECTION.HORIZONTAL) {
+		// moving along the carousel axis and not scrolling the page
+		if (drag.touchDirection === drag.axisDirection) {
 			// prevent scrolling on page
 			e.preventDefault();
 			return;
 		}
 
-		// calculate delta X and Y values from touchmove events
-		const deltaX = Math.abs(drag.startX - e.touches[0].screenX);
-		const deltaY = Math.abs(drag.startY - e.touches[0].screenY);
+		// calculate main and cross axis deltas from touchmove events
+		const { main, cross } = _.getAxisDeltas(e.touches[0]);
 
-		// confirm we are scrolling horizontially
-		if (deltaX * 1.15 > deltaY) {
+		// confirm we are moving along the carousel axis
+		if (main * 1.15 > cross) {
 			// prevent scrolling on page
 			e.preventDefault();
-			// save touch direction as horizontal
-			drag.touchDirection = DIRECTION.HORIZONTAL;
+			// lock touch direction to the carousel axis
+			drag.touchDirection = drag.axisDirection;
 			return;
 		}
 
-		// cancel drag because drag direction is vertical
+		// cancel drag because the page is being scrolled across the carousel axis
+		if (drag.axisDirection === DIRECTION.VERTICAL) {
+			drag.touchDirection = DIRECTION.HORIZONTAL;
+			_.cancelDrag(e, 'horizontal-scroll');
+		} else {
+			drag.touchDirection = DIRECTION.VERTICAL;
+			_.cancelDrag(e, 'vertical-scroll');
+		}
+	}
+
+	/**
+	 * Cancel the active drag without triggering navigation.
+	 * Emits drag:cancel so the track can settle back into place.
+	 * @param {Event} e - The event that caused the cancel.
+	 * @param {string} reason - Why the drag was cancelled ('vertical-scroll' | 'horizontal-scroll' | 'multi-touch').
+	 */
+	cancelDrag(e, reason) {
+		const _ = this;
+		const drag = _.drag;
+
 		drag.isDragging = false;
-		drag.touchDirection = DIRECTION.VERTICAL;
 		drag.delta = 0;
 
-		// tell plugin we are ending drag because direction is vertical
-		_.ctx.emitter.emit(_.ctx.events.drag.end, { event: e, drag });
+		// tell plugin the drag was abandoned
+		_.ctx.emitter.emit(_.ctx.events.drag.cancel, { reason, event: e, drag });
 	}
 
 	/**
@@ -382,11 +498,24 @@ class DragHandler {
 		drag.hasTouch = e.pointerType === 'touch';
 		drag.touchDirection = DIRECTION.UNKNOWN;
 
+		// lock the axis for the whole gesture
+		drag.axisDirection = _.isVertical() ? DIRECTION.VERTICAL : DIRECTION.HORIZONTAL;
+
+		// a pointer takes over from any wheel gesture still waiting to end
+		drag.scrollWheelActive = false;
+		drag.releaseThreshold = null;
+
 		// save initial drag start values
 		drag.isDragging = true;
 		drag.dragThresholdMet = false;
 		drag.startX = e.screenX;
 		drag.startY = e.screenY;
+		drag.start = drag.axisDirection === DIRECTION.VERTICAL ? e.screenY : e.screenX;
+		drag.current = drag.start;
+
+		// rtl mirrors the track, so a rightward drag moves it towards the next slide
+		drag.sign =
+			drag.axisDirection === DIRECTION.HORIZONTAL && _.ctx.store.getState().rtl ? -1 : 1;
 		drag.velocity = 0;
 		drag.delta = 0;
 
@@ -407,29 +536,28 @@ class DragHandler {
 		if (!drag.isDragging) return;
 
 		// check to see what direction we're going
-		const deltaX = Math.abs(drag.startX - e.screenX);
-		const deltaY = Math.abs(drag.startY - e.screenY);
+		const { main, cross } = _.getAxisDeltas(e);
 
-		// direction still unknown but looks to be going horizontal
-		if (drag.touchDirection === DIRECTION.UNKNOWN && deltaX * 1.15 > deltaY) {
-			// we are going horizontal!!
-			drag.touchDirection = DIRECTION.HORIZONTAL;
+		// direction still unknown but looks to be going along the carousel axis
+		if (drag.touchDirection === DIRECTION.UNKNOWN && main * 1.15 > cross) {
+			// we are going along the axis!!
+			drag.touchDirection = drag.axisDirection;
 		}
 
-		// exit if has touch and direction is vertical or undefined
-		if (drag.hasTouch && drag.touchDirection != DIRECTION.HORIZONTAL) {
+		// exit if has touch and direction is across the axis or undefined
+		if (drag.hasTouch && drag.touchDirection != drag.axisDirection) {
 			// don't scroll and don't prevent default
 			return;
 		}
 
-		// we are dragging horizontally so we must prevent scrolling on page
+		// we are dragging along the axis so we must prevent scrolling on page
 		e.preventDefault();
 
 		// update drag event values with current event data
 		drag.prev = drag.current;
-		drag.current = e.screenX;
-		drag.delta = drag.current - drag.startX;
-		drag.velocity = drag.current - drag.prev;
+		drag.current = drag.axisDirection === DIRECTION.VERTICAL ? e.screenY : e.screenX;
+		drag.delta = (drag.current - drag.start) * drag.sign;
+		drag.velocity = (drag.current - drag.prev) * drag.sign;
 
 		// check to see if drag threshold has been met
 		if (!drag.dragThresholdMet && Math.abs(drag.delta) > _.dragThreshold) {
@@ -492,7 +620,7 @@ class DragHandler {
 		track.removeEventListener('touchstart', _.handlers.touchstart);
 		track.removeEventListener('touchmove', _.handlers.touchmove);
 		track.removeEventListener('dblclick', _.handlers.dblclick);
-		track.removeEventListener('wheel', _.handlers.wheel);
+		track.removeEventListener('wheel', _.handlers.wheel, { passive: false });
 	}
 }
 
@@ -506,8 +634,32 @@ class EffectManager {
 		min_slidesPerView: 1,
 		max_slidesPerView: Infinity,
 		loopBuffer: { left: 0, right: 0 },
+		vertical: true,
+		autoWidth: true,
 	};
 
+	/**
+	 * whether an effect class can run on the given axis
+	 * effects run on both axes unless their rules opt out with vertical: false
+	 * @param {Function} EffectClass - registered effect class
+	 * @param {string} axis - options.axis
+	 * @returns {boolean}
+	 */
+	static supportsAxis(EffectClass, axis) {
+		return axis !== 'vertical' || EffectClass?.rules?.vertical !== false;
+	}
+
+	/**
+	 * whether an effect class can lay out content-sized slides
+	 * transform points assume equal widths, so only effects whose rules opt in with autoWidth: true can
+	 * @param {Function} EffectClass - registered effect class
+	 * @param {number|string} [slideWidth] - options.slideWidth
+	 * @returns {boolean}
+	 */
+	static supportsSlideWidth(EffectClass, slideWidth) {
+		return slideWidth !== 'auto' || EffectClass?.rules?.autoWidth === true;
+	}
+
 	/** @type {Object} shared module context */
 	#ctx;
 
@@ -549,6 +701,16 @@ class EffectManager {
 				const registered = e?.detail?.effectName;
 				const desired = String(_.#ctx.store.getOptions().effect || '').toLowerCase();
 				if (registered && desired && registered === desired) {
+					const { axis, slideWidth } = _.#ctx.store.getOptions();
+					const Effect = _.#effectRegistry[desired];
+					// merge the options again so OptionsManager swaps the effect for carousel
+					if (
+						!EffectManager.supportsAxis(Effect, axis) ||
+						!EffectManager.supportsSlideWidth(Effect, slideWidth)
+					) {
+						_.#ctx.carousel.updateOptions({});
+						return;
+					}
 					_.loadEffect(desired);
 				}
 			} catch (err) {
@@ -726,11 +888,12 @@ payload cheat sheet (subscribe payload shapes)
 Carousel
 carousel:init                { }
 carousel:ready               { }
-carousel:reinit              { reason?:string }
+carousel:reinit              { reason?:'options'|'resize'|'direction'|'layout' }
 carousel:destroy             { }
 carousel:error               { message:string, error?:any }
-carousel:before-transition   { currentIndex:number, nextIndex:number, kind:'slide'|'page'|'position' }
-carousel:after-transition    { prevIndex:number, currentIndex:number, kind:'slide'|'page'|'position' }
+carousel:before-transition   { currentIndex:number, nextIndex:number, kind:'slide'|'page'|'position', type, direction }
+carousel:after-transition    { prevIndex:number, currentIndex:number, kind:'slide'|'page'|'position', type, direction }
+                             - a newer request replaces a pending transition, so only the last one gets an after
 carousel:has-focus           { }
 carousel:lost-focus          { }
 
@@ -751,7 +914,7 @@ Drag
 drag:start                   { x, y, pointerId? }
 drag:move                    { x, y, pointerId? }
 drag:end                     { x, y, velocityX?, velocityY?, pointerId? }
-drag:cancel                  { reason? }
+drag:cancel                  { reason:'vertical-scroll'|'horizontal-scroll'|'multi-touch', event, drag }
 
 Frame / effect render
 frame:before-render          { state, widths, slides, animation }
@@ -760,15 +923,21 @@ frame:after-render           { state, widths, slides, animation }
 Slides
 slide:click                  { index, renderIndex, event }
 slides:visible-changed       { visibleRenderIndices:number[] }
+slides:filtered              { matched:number, total:number, filter } - filter is null once cleared
+slides:entered               { slide } - a slide finished its enter transition
+slides:exited                { slide } - a slide finished animating out (hidden or detached right after)
+slides:load-more             { slides, page, done } - loadMore added a page (items in virtual mode), done once it comes back empty
+slides:load-more-error       { error, page } - loadMore.load threw or rejected
 
 Window
 window:resize                { }
 window:visibility-change     { hidden:boolean }
 window:has-focus             { }
 window:lost-focus            { }
+window:direction-change      { rtl:boolean } - a dir attribute on the page flipped the carousel's direction
 
 Track
-track:looped                 { } - for when track loops
+track:looped                 { direction:-1|1, trackPosition } - for when track wraps past its start (-1) or end (1)
 track:request-frame          { time:number } - for animation frame continuation
 
 Effect
@@ -777,9 +946,9 @@ effect:loaded                { effect, effectName }
 effect:destroyed             { effectName }
 
 Animation
-animation:requested          { index, velocity, type }
-animation:started            { renderIndex, pageIndex, velocity, type }
-animation:completed          { renderIndex, pageIndex, type }
+animation:requested          { index, velocity, type, prevIndex?, kind? } or { trackPosition, velocity, type }
+animation:started            { renderIndex, pageIndex, velocity, type, direction, trackPosition }
+animation:completed          { renderIndex, pageIndex, velocity, type, direction, trackPosition }
 
 Engine
 engine:position-changed      { position, velocity, progress, delta }
@@ -788,6 +957,16 @@ engine:finished              { position, finalVelocity }
 User
 user:interacted              { via:'hover|'drag'|'click'|'wheel'|'key'|'focus', event }
 
+Autoplay
+autoplay:started             { }
+autoplay:paused              { reasons:string[] } - hover, focus, interaction, hidden, window, reduced-motion
+autoplay:stopped             { } - no interval, the play/pause button or afterInteraction: 'stop'
+autoplay:progress            { progress:0..1, elapsed, interval, index } - every frame while playing
+
+Lazy load
+lazy:loaded                  { slide, index, image }
+lazy:error                   { slide, index, image }
+
 Keyboard
 keyboard:arrow               { direction:-1|1, event }
 */
@@ -839,6 +1018,11 @@ const EVENTS = Object.freeze({
 	slides: Object.freeze({
 		click: 'slides:click',
 		visibleChanged: 'slides:visible-changed',
+		filtered: 'slides:filtered',
+		entered: 'slides:entered',
+		exited: 'slides:exited',
+		loadMore: 'slides:load-more',
+		loadMoreError: 'slides:load-more-error',
 	}),
 
 	// window (host environment)
@@ -848,6 +1032,7 @@ const EVENTS = Object.freeze({
 		visibilityChange: 'window:visibility-change',
 		hasFocus: 'window:has-focus',
 		lostFocus: 'window:lost-focus',
+		directionChange: 'window:direction-change',
 	}),
 
 	// track / loop
@@ -882,6 +1067,20 @@ const EVENTS = Object.freeze({
 		interacted: 'user:interacted',
 	}),
 
+	// lazy-load plugin
+	lazy: Object.freeze({
+		loaded: 'lazy:loaded',
+		error: 'lazy:error',
+	}),
+
+	// autoplay plugin
+	autoplay: Object.freeze({
+		started: 'autoplay:started',
+		paused: 'autoplay:paused',
+		stopped: 'autoplay:stopped',
+		progress: 'autoplay:progress',
+	}),
+
 	keyboard: Object.freeze({
 		arrow: 'keyboard:arrow',
 	}),
@@ -896,6 +1095,35 @@ const EVENTS = Object.freeze({
  * - re-evaluates the current breakpoint on window resize/orientation change
  */
 class OptionsManager {
+	/**
+	 * Host attributes that map onto options, e.g. <tarot-carousel slides-per-view="3" loop>
+	 * - key: option path (dot notation for nested options)
+	 * - type: how the attribute string is parsed
+	 * @type {Object<string, {key:string, type:'string'|'boolean'|'number'|'length'}>}
+	 */
+	static attributeOptions = {
+		effect: { key: 'effect', type: 'string' },
+		axis: { key: 'axis', type: 'string' },
+		loop: { key: 'loop', type: 'boolean' },
+		'slides-per-view': { key: 'slidesPerView', type: 'number' },
+		'slides-per-move': { key: 'slidesPerMove', type: 'number' },
+		gap: { key: 'gap', type: 'length' },
+		'padding-left': { key: 'paddingLeft', type: 'length' },
+		'padding-right': { key: 'paddingRight', type: 'length' },
+		'center-selected-slide': { key: 'centerSelectedSlide', type: 'boolean' },
+		'slide-width': { key: 'slideWidth', type: 'string' },
+		'adaptive-height': { key: 'adaptiveHeight', type: 'boolean' },
+		rows: { key: 'grid.rows', type: 'number' },
+		'free-mode': { key: 'freeMode.enabled', type: 'boolean' },
+		wheel: { key: 'wheel.enabled', type: 'boolean' },
+		'autoplay-interval': { key: 'autoplay.interval', type: 'number' },
+		'reduced-motion': { key: 'reducedMotion', type: 'string' },
+		'hash-navigation': { key: 'hashNavigation', type: 'string' },
+		persist: { key: 'persist.storage', type: 'string' },
+		'persist-key': { key: 'persist.key', type: 'string' },
+		virtual: { key: 'virtual', type: 'boolean' },
+	};
+
 	/**
 	 * Creates a new OptionsManager instance
 	 * @param {object} ctx - Shared module context (should contain .carousel, .viewport, .emitter, etc)
@@ -919,26 +1147,130 @@ class OptionsManager {
 			/** @type {boolean|string} - Selector for carousel to sync navigation with */
 			asNavFor: false,
 
+			/** @type {string} - Direction the track moves: 'horizontal' or 'vertical' (measures heights, drags on Y) */
+			axis: 'horizontal',
+
 			/** @type {object} - Physics-based animation settings */
 			animation: {
+				/** @type {string} - 'spring' (physics), 'tween' (fixed duration) or a name passed to Tarot.registerDriver() */
+				driver: 'spring',
+				/** @type {number} - Tween duration in ms */
+				duration: 400,
+				/** @type {string|number[]|Function} - Tween easing: a css keyword, 'cubic-bezier(x1, y1, x2, y2)', [x1, y1, x2, y2] or (t) => t */
+				easing: 'ease-out',
 				/** @type {number} - Spring attraction coefficient */
 				attraction: 0.026,
 				/** @type {number} - Friction coefficient for dampening */
 				friction: 0.24,
-				/** @type {number} - Base animation speed */
+				/** @type {number} - Playback rate of the physics step (5 is the reference rate, 10 runs twice as fast) */
 				speed: 5,
-				/** @type {number} - Multiplier for initial velocity */
-				velocityBoost: 1.1,
+				/** @type {number} - Multiplier the engine applies to every starting velocity */
+				velocityBoost: 1.4,
+				/** @type {number} - Multiplier for velocities handed over by navigation (drag release, next/prev) */
+				navigationBoost: 1.2,
+				/** @type {number} - Velocity used when none is given, and the floor below which slowVelocityBoost applies */
+				minVelocity: 15,
+				/** @type {number} - Extra multiplier for navigation velocities under minVelocity */
+				slowVelocityBoost: 1.3,
+				/** @type {object} - How travel distance stretches the time step (longer moves play slower) */
+				distanceScale: {
+					/** @type {number} - px subtracted from the distance before scaling */
+					offset: 230,
+					/** @type {number} - px of remaining distance that counts as a ratio of 1 */
+					reference: 200,
+					/** @type {number} - Smallest ratio (short moves) */
+					min: 0.8,
+					/** @type {number} - Largest ratio (long moves) */
+					max: 1.3,
+				},
+			},
+
+			/** @type {object} - Free scrolling, drags coast to a stop instead of snapping to a slide */
+			freeMode: {
+				/** @type {boolean} - Let the track come to rest between slides */
+				enabled: false,
+				/** @type {boolean} - Snap to the nearest slide where the coast would end */
+				sticky: false,
+			},
+
+			/** @type {object} - Mouse wheel and trackpad scrolling */
+			wheel: {
+				/** @type {boolean} - Move the track with wheel events and two-finger swipes */
+				enabled: false,
+				/** @type {boolean} - Ignore gestures that mostly run across the carousel axis so the page can scroll */
+				forceToAxis: true,
+				/** @type {number} - Multiplier for wheel deltas */
+				sensitivity: 1,
+				/** @type {boolean} - Read a vertical mouse wheel as horizontal scrolling (horizontal carousels only) */
+				mapVertical: false,
+				/** @type {number} - Wheel travel in px needed to move to the next/prev slide on release */
+				releaseThreshold: 40,
 			},
 
+			/** @type {string} - 'auto' follows prefers-reduced-motion, 'always' / 'never' override it. Reduced motion jumps between slides, holds autoplay and flattens 3d effects */
+			reducedMotion: 'auto',
+
+			/** @type {string} - How reduced motion moves between slides: 'jump' cuts straight there, 'fade' fades the view out and back in around the jump */
+			reducedMotionMode: 'jump',
+
 			/** @type {object} - Autoplay settings */
 			autoplay: {
 				/** @type {number} - Time between slides in ms (0 = disabled) */
 				interval: 0,
-				/** @type {boolean} - Whether to stop autoplay after user interaction */
-				stopAfterInteraction: true,
-				/** @type {string} - What happens to autoplay after user interaction */
+				/** @type {string} - After user interaction: 'pause' resumes after resumeDelay, 'stop' waits for play */
 				afterInteraction: 'pause', // stop or pause
+				/** @type {number} - Quiet time in ms after the last interaction before a paused autoplay resumes */
+				resumeDelay: 10000,
+				/** @type {boolean} - Hold while the pointer is over the carousel */
+				pauseOnHover: true,
+				/** @type {boolean} - Hold while focus is inside the carousel */
+				pauseOnFocus: true,
+				/** @type {number} - Velocity handed to next() on each advance */
+				velocity: -5,
+				/** @type {boolean} - Show a play/pause button */
+				showButton: true,
+				/** @type {boolean|string} - Custom selector for the play/pause button */
+				buttonSelector: false,
+				/** @type {boolean} - Keep autoplaying while reduced motion is on */
+				reducedMotion: false,
+			},
+
+			/** @type {object} - Lazy loading for data-src / data-srcset / loading="lazy" images */
+			lazyLoad: {
+				/** @type {number} - Slides to load ahead on each side of the viewport */
+				preload: 1,
+			},
+
+			/** @type {object|Function} - Infinite loading near the end of a non-looping carousel (a function is shorthand for { load }) */
+			loadMore: {
+				/** @type {Function|null} - async ({ page, count, signal }) => html, elements or (virtual) items; an empty result means there is nothing more */
+				load: null,
+				/** @type {number} - Load once the last slide in view is this many slides from the end */
+				threshold: 3,
+				/** @type {string|boolean} - Html for the slide shown at the end while a page loads (false = none) */
+				placeholder: '<div class="tarot-load-more-placeholder" role="status">Loading…</div>',
+			},
+
+			/** @type {boolean|string} - Link slides to the url by data-hash or id: 'replace' (true) rewrites it, 'push' adds history entries, 'hash' sets location.hash */
+			hashNavigation: false,
+
+			/** @type {object} - Remember the position across page loads */
+			persist: {
+				/** @type {boolean|string} - 'session' (true) or 'local' storage, false turns it off */
+				storage: false,
+				/** @type {string|null} - Storage key, defaults to the carousel's own id */
+				key: null,
+			},
+
+			/** @type {boolean} - Render one slide per setItems() item, only the slides in view (plus the effect's loopBuffer) stay in the dom */
+			virtual: false,
+
+			/** @type {object} - Enter / exit / move transitions when slides are filtered, added or removed */
+			slideTransitions: {
+				/** @type {number} - Transition time in ms (0 = slides appear and disappear at once) */
+				duration: 300,
+				/** @type {string|number[]|Function} - Easing, same forms as animation.easing */
+				easing: 'ease-out',
 			},
 
 			/** @type {object} - Responsive breakpoint settings: { [minWidth:number]: optionsObject } */
@@ -947,6 +1279,9 @@ class OptionsManager {
 			/** @type {string} - Uses either "viewport" or "window" for breakpoints */
 			breakpointElement: 'window',
 
+			/** @type {boolean} - Size the viewport to the visible slides' heights as the track moves (horizontal only) */
+			adaptiveHeight: false,
+
 			/** @type {boolean} - Visually center the selected slide */
 			centerSelectedSlide: false,
 
@@ -980,12 +1315,23 @@ class OptionsManager {
 			/** @type {string} - Min width for slides */
 			slideMinWidth: '50px',
 
+			/** @type {string|null} - 'auto' sizes each slide to its content instead of dividing the viewport by slidesPerView */
+			slideWidth: null,
+
 			/** @type {number} - Slides visible at once */
 			slidesPerView: 1,
 
 			/** @type {number} - Slides to move on navigation */
 			slidesPerMove: 1,
 
+			/** @type {object} - Multi-row layout, child elements become cells grouped into slides */
+			grid: {
+				/** @type {number} - Cells stacked in each slide (1 = no grouping) */
+				rows: 1,
+				/** @type {string} - 'column' fills each slide top to bottom, 'row' fills each page of slidesPerView columns left to right */
+				fill: 'column',
+			},
+
 			/** @type {object} - Navigation controls settings */
 			navigation: {
 				/** @type {boolean} - Whether to show navigation buttons */
@@ -1004,23 +1350,22 @@ class OptionsManager {
 				showPagination: true,
 				/** @type {boolean|string} - Custom selector for pagination container */
 				paginationSelector: false,
-				// TODO: Scrollbar options commented out - not working yet
-				// /** @type {boolean} - Whether to show scrollbar */
-				// showScrollbar: false,
-				// /** @type {boolean|string} - Custom selector for scrollbar container */
-				// scrollbarSelector: false,
-				// /** @type {string} - Scrollbar position ('top' | 'bottom') */
-				// scrollbarPosition: 'bottom',
-				// /** @type {string} - Scrollbar size ('small' | 'normal' | 'large') */
-				// scrollbarSize: 'normal',
-				// /** @type {boolean} - Auto hide scrollbar when only one page */
-				// scrollbarAutoHide: false,
-				// /** @type {boolean} - Show page indicator dots on scrollbar */
-				// scrollbarShowSnapPoints: true,
-				// /** @type {boolean} - Allow clicking track to navigate */
-				// scrollbarClickToNavigate: true,
-				// /** @type {boolean} - Allow dragging thumb to navigate */
-				// scrollbarDragToNavigate: true,
+				/** @type {boolean} - Whether to show scrollbar */
+				showScrollbar: false,
+				/** @type {boolean|string} - Custom selector for scrollbar container */
+				scrollbarSelector: false,
+				/** @type {string} - Scrollbar position ('top' | 'bottom') */
+				scrollbarPosition: 'bottom',
+				/** @type {string} - Scrollbar size ('small' | 'normal' | 'large') */
+				scrollbarSize: 'normal',
+				/** @type {boolean} - Auto hide scrollbar when only one page */
+				scrollbarAutoHide: false,
+				/** @type {boolean} - Show page indicator dots on scrollbar */
+				scrollbarShowSnapPoints: true,
+				/** @type {boolean} - Allow clicking track to navigate */
+				scrollbarClickToNavigate: true,
+				/** @type {boolean} - Allow dragging thumb to navigate */
+				scrollbarDragToNavigate: true,
 			},
 
 			/** @type {boolean} - Automatically go to selected slide */
@@ -1115,33 +1460,354 @@ class OptionsManager {
 	 */
 	setUserOptions(newOptions = {}) {
 		const _ = this;
-		if (newOptions.slidesPerMove < 1) newOptions.slidesPerMove = 1;
-		if (newOptions.slidesPerView < 1) newOptions.slidesPerView = 1;
+		_.updateOptions(newOptions);
+		return _;
+	}
+
+	/**
+	 * Runtime options API: deep-merges a patch into the user options and re-applies them
+	 * - breakpoints are merged per width unless replaceBreakpoints is set
+	 * - unknown effect names are dropped with a warning so the current effect stays
+	 * - options:changed only fires when the effective options actually differ
+	 * @param {object} patch - Partial user options
+	 * @param {object} [settings]
+	 * @param {boolean} [settings.replaceBreakpoints=false] - Swap the whole breakpoints map instead of merging
+	 * @returns {object} The effective merged options
+	 */
+	updateOptions(patch = {}, { replaceBreakpoints = false } = {}) {
+		const _ = this;
+		const { deepMerge } = _.ctx.utils;
+
+		if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+			console.warn('tarot options: updateOptions expects an options object', patch);
+			return _.ctx.store.getOptions();
+		}
+
+		const { breakpoints, ...base } = patch;
+		const userOptions = deepMerge(_.userOptions, _.validateOptions(base));
+
+		if (breakpoints !== undefined) {
+			const nextBreakpoints = {};
+			for (const [minWidth, options] of Object.entries(breakpoints || {})) {
+				nextBreakpoints[minWidth] = _.validateOptions(options || {});
+			}
+			userOptions.breakpoints = replaceBreakpoints
+				? nextBreakpoints
+				: deepMerge(_.userOptions.breakpoints || {}, nextBreakpoints);
+		}
 
-		_.userOptions = _.ctx.utils.deepMerge(_.userOptions, newOptions);
+		_.userOptions = userOptions;
 		_.currentBreakpoint = _.getCurrentBreakpoint();
 		_.applyMergedOptions();
-		return _;
+
+		return _.ctx.store.getOptions();
+	}
+
+	/**
+	 * Returns a copy of the user-supplied options (before defaults and breakpoints are merged in)
+	 * @returns {object}
+	 */
+	getUserOptions() {
+		return this.ctx.utils.deepMerge({}, this.userOptions);
+	}
+
+	/**
+	 * Normalizes a user options patch without mutating it
+	 * - clamps slidesPerView / slidesPerMove / grid.rows to at least 1
+	 * - lowercases the effect name and drops it if no such effect is registered
+	 * @param {object} options - Partial user options
+	 * @param {object} [settings]
+	 * @param {boolean} [settings.allowPendingEffect=false] - Keep unregistered effect names (at init, effect
+	 *   modules often register after the carousel connects; EffectManager swaps them in when they do)
+	 * @returns {object} A sanitized copy
+	 */
+	validateOptions(options, { allowPendingEffect = false } = {}) {
+		const _ = this;
+		const validated = { ...options };
+
+		if (validated.slidesPerMove < 1) validated.slidesPerMove = 1;
+		if (validated.slidesPerView < 1) validated.slidesPerView = 1;
+
+		// freeMode: true is shorthand for { enabled: true }
+		if (typeof validated.freeMode === 'boolean') {
+			validated.freeMode = { enabled: validated.freeMode };
+		}
+
+		// autoplay.stopAfterInteraction is the older spelling of afterInteraction
+		if (typeof validated.autoplay?.stopAfterInteraction === 'boolean') {
+			const { stopAfterInteraction, ...autoplay } = validated.autoplay;
+			validated.autoplay = {
+				afterInteraction: stopAfterInteraction ? 'stop' : 'pause',
+				...autoplay,
+			};
+		}
+
+		// reducedMotion: true / false are shorthand for 'always' / 'never'
+		if (typeof validated.reducedMotion === 'boolean') {
+			validated.reducedMotion = validated.reducedMotion ? 'always' : 'never';
+		}
+		if (
+			validated.reducedMotion !== undefined &&
+			!['auto', 'always', 'never'].includes(validated.reducedMotion)
+		) {
+			console.warn(
+				`tarot options: unknown reducedMotion '${validated.reducedMotion}', use 'auto', 'always' or 'never'`
+			);
+			delete validated.reducedMotion;
+		}
+		if (
+			validated.reducedMotionMode !== undefined &&
+			!['jump', 'fade'].includes(validated.reducedMotionMode)
+		) {
+			console.warn(
+				`tarot options: unknown reducedMotionMode '${validated.reducedMotionMode}', use 'jump' or 'fade'`
+			);
+			delete validated.reducedMotionMode;
+		}
+
+		// loadMore: a function is shorthand for { load }
+		if (typeof validated.loadMore === 'function') {
+			validated.loadMore = { load: validated.loadMore };
+		}
+
+		// hashNavigation: true (or a bare hash-navigation attribute) is shorthand for 'replace'
+		if (validated.hashNavigation !== undefined) {
+			const mode = HashNavigation.getMode(validated.hashNavigation);
+			if (!mode && ![false, null, 'false'].includes(validated.hashNavigation)) {
+				console.warn(
+					`tarot options: unknown hashNavigation '${validated.hashNavigation}', use 'replace', 'push' or 'hash'`
+				);
+			}
+			validated.hashNavigation = mode;
+		}
+
+		// persist: 'session' / 'local' / true is shorthand for { storage }
+		const { persist } = validated;
+		if (persist !== undefined && (persist === null || typeof persist !== 'object')) {
+			validated.persist = { storage: persist };
+		}
+		// a bare persist attribute (or true) means 'session'
+		if (validated.persist?.storage !== undefined) {
+			const { storage } = validated.persist;
+			const mode = Persist.getMode(storage);
+			if (!mode && ![false, null, 'false'].includes(storage)) {
+				console.warn(`tarot options: unknown persist '${storage}', use 'session' or 'local'`);
+			}
+			validated.persist = { ...validated.persist, storage: mode };
+		}
+
+		// animation tuning the drivers can't run with falls back to the default
+		if (validated.animation && typeof validated.animation === 'object') {
+			validated.animation = _.validateAnimationOptions(validated.animation);
+		}
+
+		if (validated.grid?.rows !== undefined) {
+			validated.grid = {
+				...validated.grid,
+				rows: Math.max(1, Math.floor(Number(validated.grid.rows)) || 1),
+			};
+		}
+
+		if (validated.effect !== undefined) {
+			const effectName = String(validated.effect).trim().toLowerCase();
+			const effects = _.ctx.carousel.getEffects?.() || [];
+
+			if (effects.includes(effectName) || allowPendingEffect) {
+				validated.effect = effectName;
+			} else {
+				console.warn(
+					`tarot options: unknown effect '${validated.effect}', registered effects are: ${effects.join(', ')}`
+				);
+				delete validated.effect;
+			}
+		}
+
+		return validated;
+	}
+
+	/**
+	 * Drops animation values the drivers can't use, with a warning
+	 * - speed and velocityBoost must be above 0, duration 0 or more
+	 * - attraction and friction must be between 0 and 1
+	 * - distanceScale needs reference and min above 0, and max no smaller than min
+	 * @param {object} animation - options.animation patch
+	 * @returns {object} A sanitized copy
+	 */
+	validateAnimationOptions(animation) {
+		const validated = { ...animation };
+		const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+		const checks = {
+			speed: (value) => isNumber(value) && value > 0,
+			velocityBoost: (value) => isNumber(value) && value > 0,
+			duration: (value) => isNumber(value) && value >= 0,
+			attraction: (value) => isNumber(value) && value > 0 && value < 1,
+			friction: (value) => isNumber(value) && value > 0 && value < 1,
+			distanceScale: (value) => {
+				if (!value || typeof value !== 'object') return false;
+				const { offset = 0, reference = 1, min = 1, max = min } = value;
+				return (
+					[offset, reference, min, max].every(isNumber) && reference > 0 && min > 0 && max >= min
+				);
+			},
+		};
+
+		for (const [key, isValid] of Object.entries(checks)) {
+			if (validated[key] === undefined || isValid(validated[key])) continue;
+			console.warn(
+				`tarot options: animation.${key} ${JSON.stringify(validated[key])} is not valid, using the default`
+			);
+			delete validated[key];
+		}
+
+		return validated;
 	}
 
 	/**
-	 * Loads user-supplied options from a DOM element (if present)
+	 * Loads user-supplied options from the data-tarot-options element and host attributes
+	 * - attributes win over the json element
+	 * - both go through validateOptions so init follows the same rules as updateOptions
 	 */
 	loadUserOptions() {
 		const _ = this;
-		if (!_.userOptionsElement) return;
+		const { deepMerge } = _.ctx.utils;
+
+		_.userOptions = deepMerge(
+			_.validateUserOptions(_.loadScriptOptions()),
+			_.validateUserOptions(_.loadAttributeOptions())
+		);
+	}
+
+	/**
+	 * Validates a full user options object at init, including each breakpoint
+	 * - effect names that aren't registered yet are kept for EffectManager to load later
+	 * @param {object} options - User options, optionally with a breakpoints map
+	 * @returns {object} A sanitized copy
+	 */
+	validateUserOptions(options) {
+		const _ = this;
+		const settings = { allowPendingEffect: true };
+		const { breakpoints, ...base } = options || {};
+		const validated = _.validateOptions(base, settings);
+
+		if (breakpoints && typeof breakpoints === 'object') {
+			validated.breakpoints = {};
+			for (const [minWidth, breakpointOptions] of Object.entries(breakpoints)) {
+				validated.breakpoints[minWidth] = _.validateOptions(breakpointOptions || {}, settings);
+			}
+		}
+
+		return validated;
+	}
 
-		let txt = _.userOptionsElement.textContent || '';
-		txt = txt.replace(/\n/g, '').trim();
-		txt = txt.replace(/(\w+)\s*:/g, '"$1":');
+	/**
+	 * Parses the data-tarot-options element (if present)
+	 * @returns {object}
+	 */
+	loadScriptOptions() {
+		const _ = this;
+		if (!_.userOptionsElement) return {};
 
 		try {
-			_.userOptions = JSON.parse(txt);
+			return parseOptionsJSON(_.userOptionsElement.textContent);
 		} catch (err) {
 			console.error('tarot options: failed to parse data-tarot-options json', err);
+			return {};
+		}
+	}
+
+	/**
+	 * Reads every mapped attribute currently set on the host
+	 * @returns {object}
+	 */
+	loadAttributeOptions() {
+		const _ = this;
+		const carousel = _.ctx.carousel;
+		let options = {};
+
+		for (const name of Object.keys(OptionsManager.attributeOptions)) {
+			if (!carousel.hasAttribute(name)) continue;
+			const { key } = OptionsManager.attributeOptions[name];
+			const value = _.parseAttributeValue(name, carousel.getAttribute(name));
+			if (value === undefined) continue;
+			options = _.ctx.utils.deepMerge(options, _.createOptionPatch(key, value));
+		}
+
+		return options;
+	}
+
+	/**
+	 * Applies a host attribute change live
+	 * - a removed (or unreadable) attribute falls back to the json element value, then the default
+	 * @param {string} name - Attribute name
+	 * @param {string|null} value - New attribute value (null when removed)
+	 * @returns {object} The effective merged options
+	 */
+	attributeChanged(name, value) {
+		const _ = this;
+		const mapping = OptionsManager.attributeOptions[name];
+		if (!mapping) return _.ctx.store.getOptions();
+
+		let optionValue = value === null ? undefined : _.parseAttributeValue(name, value);
+		if (optionValue === undefined) {
+			const scriptValue = _.getOptionAtPath(_.loadScriptOptions(), mapping.key);
+			optionValue =
+				scriptValue !== undefined ? scriptValue : _.getOptionAtPath(_.defaultOptions, mapping.key);
+		}
+
+		return _.updateOptions(_.createOptionPatch(mapping.key, optionValue));
+	}
+
+	/**
+	 * Converts an attribute string into an option value based on its mapped type
+	 * @param {string} name - Attribute name
+	 * @param {string} value - Raw attribute value
+	 * @returns {*} undefined (after a warning) when a number attribute isn't a number
+	 */
+	parseAttributeValue(name, value) {
+		const { type } = OptionsManager.attributeOptions[name];
+		const trimmed = String(value ?? '').trim();
+
+		switch (type) {
+			case 'boolean':
+				// bare attribute (loop) or loop="true" → true, loop="false" → false
+				return trimmed !== 'false';
+			case 'number': {
+				const number = Number(trimmed);
+				if (trimmed !== '' && !Number.isNaN(number)) return number;
+				console.warn(`tarot options: ${name}="${value}" is not a number, using the json or default value`);
+				return undefined;
+			}
+			case 'length':
+				// plain numbers are pixels, anything else (2rem, 10%, 12px) is kept as a css string
+				return trimmed !== '' && !Number.isNaN(Number(trimmed)) ? Number(trimmed) : trimmed;
+			default:
+				return trimmed;
 		}
 	}
 
+	/**
+	 * Builds a nested patch from a dot-notation key, e.g. ('autoplay.interval', 4000)
+	 * @param {string} key
+	 * @param {*} value
+	 * @returns {object}
+	 */
+	createOptionPatch(key, value) {
+		return key
+			.split('.')
+			.reverse()
+			.reduce((patch, part) => ({ [part]: patch }), value);
+	}
+
+	/**
+	 * Reads a dot-notation key out of an options object
+	 * @param {object} options
+	 * @param {string} key
+	 * @returns {*}
+	 */
+	getOptionAtPath(options, key) {
+		return key.split('.').reduce((value, part) => value?.[part], options);
+	}
+
 	/**
 	 * Computes which breakpoint applies based on the current measured width
 	 * @returns {{ minWidth:number, options:object }}
@@ -1216,6 +1882,21 @@ class OptionsManager {
 		if (merged.slidesPerMove < 1) merged.slidesPerMove = 1;
 		if (merged.slidesPerView < 1) merged.slidesPerView = 1;
 
+		// effects that opted out of the Y axis fall back to carousel on a vertical carousel
+		const Effect = _.ctx.carousel.constructor.effects?.[merged.effect];
+		if (Effect && !EffectManager.supportsAxis(Effect, merged.axis)) {
+			console.warn(
+				`tarot options: effect '${merged.effect}' does not support axis 'vertical', using 'carousel'`
+			);
+			merged.effect = 'carousel';
+		} else if (Effect && !EffectManager.supportsSlideWidth(Effect, merged.slideWidth)) {
+			// and effects built on transform points need equal widths
+			console.warn(
+				`tarot options: effect '${merged.effect}' does not support slideWidth 'auto', using 'carousel'`
+			);
+			merged.effect = 'carousel';
+		}
+
 		_.ctx.store.setOptions(merged);
 	}
 }
@@ -1234,16 +1915,48 @@ class SlideManager {
 		_.ctx = ctx;
 		_.coreSlides = null;
 		_.observer = null;
+		// how cells were last grouped ({ rows, fill, columns }), needed to read them back in order
+		_.gridLayout = null;
+		/** @type {{value:*, test:Function}|null} - active filter (see setFilter), starts from options.filterClass */
+		_.filter = _.createClassFilter(_.ctx.store.getOptions().filterClass);
+		/** @type {Set<HTMLElement>} - removed slides, kept in the dom while they animate out */
+		_.removing = new Set();
+		/** @type {{current:*, selected:*}|null} - the current and selected slides from before the set went empty */
+		_.emptiedFrom = null;
+		/** @type {VirtualSlides|null} - renders the slides from the carousel's items while options.virtual is on */
+		_.virtual = null;
 
 		// debounce the reload so it only happens once per microbatch
+		// (goes through the carousel so layout and the current slide follow)
 		_.debouncedSlideRefresh = _.ctx.utils.debounce(() => {
-			_.reInit();
+			_.ctx.commands.refreshSlides();
 		}, 4);
 
         _.handlers = {
             selectedIndexChanged: ({ currentIndex }) => {
                 _.renderSelectedIndex(currentIndex);
             },
+			// a removed slide has animated out, now it can leave the dom
+			slideExited: ({ slide }) => {
+				if (!_.removing.delete(slide)) return;
+				slide.remove();
+				_.observer?.takeRecords();
+			},
+			// regroup cells when the grid (or the page width it fills) changes
+			optionsChanged: ({ prevOptions, currentOptions }) => {
+				if (_.getGridKey(prevOptions) !== _.getGridKey(currentOptions)) {
+					_.reInit();
+				}
+				// switching virtual mode on or off swaps where the slides come from
+				if (!!prevOptions.virtual !== !!currentOptions.virtual) {
+					_.ctx.commands.refreshSlides();
+					return;
+				}
+				// a new filterClass replaces whatever filter is active
+				if (!_.virtual && prevOptions.filterClass !== currentOptions.filterClass) {
+					_.ctx.commands.filter(_.createClassFilter(currentOptions.filterClass)?.value ?? null);
+				}
+			},
         };
 
 		_.bindEvents();
@@ -1257,10 +1970,31 @@ class SlideManager {
 
 	reInit() {
 		const _ = this;
+
+		// virtual mode: the slides are rendered from the carousel's items, not read from the track
+		if (_.ctx.store.getOptions().virtual) {
+			_.virtual ||= new VirtualSlides(_.ctx);
+			_.virtual.reInit();
+			_.coreSlides = null;
+			_.renderSelectedIndex(_.ctx.store.getState().selectedIndex);
+			_.observer?.takeRecords();
+			return;
+		}
+
+		// back from virtual mode, the authored slides return to the track first
+		if (_.virtual) {
+			_.virtual.destroy();
+			_.virtual = null;
+		}
+
+		_.groupCells();
 		_.wrapSlides();
 		_.coreSlides = _.ctx.track.querySelectorAll(':scope > tarot-slide');
 		_.loadFilteredSlides(true);
 		_.renderSelectedIndex(_.ctx.store.getState().selectedIndex);
+
+		// drop the mutations we just made ourselves, otherwise the observer refreshes forever
+		_.observer?.takeRecords();
 	}
 
 	bindEvents() {
@@ -1268,34 +2002,170 @@ class SlideManager {
 			this.ctx.events.store.selectedIndexChanged,
 			this.handlers.selectedIndexChanged
 		);
+		this.ctx.emitter.on(this.ctx.events.store.optionsChanged, this.handlers.optionsChanged);
+		this.ctx.emitter.on(this.ctx.events.slides.exited, this.handlers.slideExited);
 	}
 
 	/**
-	 * ensures all carousel children are properly wrapped in tarot-slide elements
+	 * the grid options that decide how cells are grouped
+	 * @param {object} options
+	 * @returns {string}
 	 */
-	wrapSlides() {
-		const _ = this;
-		const track = _.ctx.track;
-		const childrenArray = Array.from(track.children);
-
-		childrenArray.forEach((child) => {
-			if (child.tagName.toLowerCase() !== 'tarot-slide') {
-				const wrapper = document.createElement('tarot-slide');
-				track.replaceChild(wrapper, child);
-				wrapper.appendChild(child);
-			}
-		});
+	getGridKey(options) {
+		const { rows = 1, fill = 'column' } = options?.grid || {};
+		if (rows <= 1) return '1';
+		// row fill spreads cells across a page, so it also depends on slidesPerView
+		return fill === 'row' ? `${rows}:row:${options.slidesPerView}` : `${rows}:column`;
 	}
 
 	/**
-	 * sets up a mutationobserver to watch for dom changes to slides
+	 * grid mode: groups the track's child elements (cells) into tarot-slide columns of grid.rows cells
+	 * so every effect moves a group as one slide. with rows <= 1 existing groups are unpacked again
 	 */
-	observeDOMChanges() {
+	groupCells() {
 		const _ = this;
+		const track = _.ctx.track;
+		const options = _.ctx.store.getOptions();
+		const { rows = 1, fill = 'column' } = options.grid || {};
 
-		_.observer = new MutationObserver((mutationsList) => {
-			for (const mutation of mutationsList) {
-				if (mutation.type === 'childList') {
+		// cells in source order, whether or not they are grouped yet
+		const cells = _.collectCells();
+
+		// no grid - unpack any groups so the cells become slides again
+		if (rows <= 1) {
+			_.ungroupCells(cells);
+			return;
+		}
+
+		// work out which cells land in which column
+		const groups = [];
+		const columns = Math.max(1, options.slidesPerView || 1);
+		_.gridLayout = { rows, fill, columns };
+		if (fill === 'row') {
+			// each page of slidesPerView columns is filled row by row
+			const perPage = rows * columns;
+			cells.forEach((cell, i) => {
+				const page = Math.floor(i / perPage);
+				const column = page * columns + ((i % perPage) % columns);
+				(groups[column] ||= []).push(cell);
+			});
+		} else {
+			for (let i = 0; i < cells.length; i += rows) {
+				groups.push(cells.slice(i, i + rows));
+			}
+		}
+
+		// leave the dom alone when it is already grouped this way
+		const current = Array.from(track.children);
+		const isGrouped =
+			current.length === groups.length &&
+			current.every(
+				(group, i) =>
+					group.classList.contains('tarot-grid-group') &&
+					group.style.getPropertyValue('--tarot-grid-rows') === String(rows) &&
+					group.children.length === groups[i].length &&
+					groups[i].every((cell, j) => group.children[j] === cell)
+			);
+		if (isGrouped) return;
+
+		track.replaceChildren(
+			...groups.map((groupCells) => {
+				const group = document.createElement('tarot-slide');
+				group.classList.add('tarot-grid-group');
+				group.style.setProperty('--tarot-grid-rows', rows);
+				groupCells.forEach((cell) => cell.classList.add('tarot-grid-cell'));
+				group.append(...groupCells);
+				return group;
+			})
+		);
+	}
+
+	/**
+	 * puts grouped cells back into the track as plain slides, in their original order
+	 * @param {Element[]} [cells] - Cells already read with collectCells
+	 */
+	ungroupCells(cells = this.collectCells()) {
+		const _ = this;
+		const track = _.ctx.track;
+
+		_.gridLayout = null;
+		if (!track.querySelector(':scope > .tarot-grid-group')) return;
+		track.replaceChildren(...cells);
+		cells.forEach((cell) => cell.classList.remove('tarot-grid-cell'));
+	}
+
+	/**
+	 * reads the cells back out of the track in their original order
+	 * row filled groups are read a page at a time, row by row
+	 * @returns {Element[]}
+	 */
+	collectCells() {
+		const _ = this;
+		const isRowFill = _.gridLayout?.fill === 'row';
+		const columns = _.gridLayout?.columns || 1;
+		const cells = [];
+		let run = [];
+
+		// flush a run of consecutive groups
+		const readGroups = () => {
+			if (!isRowFill) {
+				run.forEach((group) => cells.push(...group.children));
+			} else {
+				for (let page = 0; page < run.length; page += columns) {
+					const pageGroups = run.slice(page, page + columns);
+					const rows = Math.max(...pageGroups.map((group) => group.children.length));
+					for (let row = 0; row < rows; row++) {
+						pageGroups.forEach((group) => {
+							if (group.children[row]) cells.push(group.children[row]);
+						});
+					}
+				}
+			}
+			run = [];
+		};
+
+		Array.from(_.ctx.track.children).forEach((child) => {
+			if (child.classList.contains('tarot-grid-group')) {
+				run.push(child);
+			} else {
+				readGroups();
+				cells.push(child);
+			}
+		});
+		readGroups();
+
+		return cells;
+	}
+
+	/**
+	 * ensures all carousel children are properly wrapped in tarot-slide elements
+	 */
+	wrapSlides() {
+		const _ = this;
+		const track = _.ctx.track;
+		const childrenArray = Array.from(track.children);
+
+		childrenArray.forEach((child) => {
+			if (child.tagName.toLowerCase() !== 'tarot-slide') {
+				const wrapper = document.createElement('tarot-slide');
+				track.replaceChild(wrapper, child);
+				wrapper.appendChild(child);
+			}
+		});
+	}
+
+	/**
+	 * sets up a mutationobserver to watch for dom changes to slides
+	 */
+	observeDOMChanges() {
+		const _ = this;
+
+		_.observer = new MutationObserver((mutationsList) => {
+			// virtual slides own the track, setItems() is how they change
+			if (_.virtual) return;
+
+			for (const mutation of mutationsList) {
+				if (mutation.type === 'childList') {
 					// trigger debounced refresh instead of instant reInit
 					_.debouncedSlideRefresh();
 					break;
@@ -1341,11 +2211,13 @@ class SlideManager {
 		for (let i = 0, n = slides.length; i < n; ++i) {
 			const slide = slides[i]; // This is the actual <tarot-slide> DOM element
 
-			// Calculate trackPosition: renderIndex * slideAndGap
-			slide.trackPosition = roundToHalfPixel(slide.renderIndex * widths.slideAndGap);
+			// Calculate trackPosition: start of the slide at its renderIndex (wraps by track length)
+			slide.trackPosition = roundToHalfPixel(_.ctx.utils.getSlideStart(widths, slide.renderIndex));
 
 			// Calculate centerPoint: trackPosition + (slide width / 2)
-			slide.centerPoint = roundToHalfPixel(slide.trackPosition + widths.slide / 2);
+			slide.centerPoint = roundToHalfPixel(
+				slide.trackPosition + _.ctx.utils.getSlideWidth(widths, slide.renderIndex) / 2
+			);
 		}
 	}
 
@@ -1356,16 +2228,20 @@ class SlideManager {
 	updateSlidePositions(trackPosition, slides, widths, options) {
 		const _ = this;
 
-		if (!_.ctx.utils.canLoop(slides.length, options)) {
+		// virtual slides: the recycled window follows the track instead
+		if (_.virtual?.isWindowed()) {
+			_.virtual.update(trackPosition);
+			return;
+		}
+
+		if (!_.ctx.utils.canLoop(slides.length, options, widths)) {
 			_.resetAllSlides(slides);
 			return;
 		}
 
 		// Get viewport bounds
 		const viewportWidth = widths.viewport;
-		const slideWidth = widths.slide;
-		const gapWidth = widths.gap;
-		const slideAndGapWidth = slideWidth + gapWidth;
+		const { getSlideStart, getSlideWidth, getSlideIndexAt } = _.ctx.utils;
 
 		// Convert track position to viewport bounds
 		const viewportStart = -trackPosition;
@@ -1373,12 +2249,12 @@ class SlideManager {
 
 		// Find all slide positions visible in the viewport
 		const visibleIndices = new Set();
-		const firstIndex = Math.floor(viewportStart / slideAndGapWidth) - 2;
-		const lastIndex = Math.ceil(viewportEnd / slideAndGapWidth) + 2;
+		const firstIndex = getSlideIndexAt(widths, viewportStart) - 2;
+		const lastIndex = getSlideIndexAt(widths, viewportEnd) + 2;
 
 		for (let i = firstIndex; i <= lastIndex; i++) {
-			const slideStart = i * slideAndGapWidth;
-			const slideEnd = slideStart + slideWidth;
+			const slideStart = getSlideStart(widths, i);
+			const slideEnd = slideStart + getSlideWidth(widths, i);
 
 			if (slideEnd > viewportStart && slideStart < viewportEnd) {
 				visibleIndices.add(i);
@@ -1455,72 +2331,270 @@ class SlideManager {
 		}
 	}
 
+	/**
+	 * show the slides that pass the active filter and hand them to the store
+	 * filtered out slides stay in the track with the hidden attribute, so nothing is
+	 * detached and media or iframes inside them keep their state
+	 */
 	loadFilteredSlides(isInitialLoad = false) {
 		const _ = this;
-		const filterClass = _.ctx.store.getOptions().filterClass;
-		const coreSlides = _.coreSlides;
-		const track = _.ctx.track;
+		const test = _.filter?.test;
+		const filteredSlides = [];
 
-		_.resetSlideIndexes(coreSlides);
+		_.coreSlides.forEach((slide) => {
+			// detached since the last refresh, the mutation observer catches up
+			if (slide.parentNode !== _.ctx.track) return;
 
-		// if no filter class, ensure all slides are in DOM and use them all
-		if (!filterClass) {
-			// restore all slides to DOM if they were filtered before
-			track.innerHTML = '';
-			coreSlides.forEach((slide) => track.appendChild(slide));
-			_.ctx.store.setSlides(Array.from(coreSlides));
-			return;
+			const isMatch = !_.removing.has(slide) && (!test || test(slide));
+			slide.hidden = !isMatch;
+			if (isMatch) filteredSlides.push(slide);
+		});
+
+		// indices count the slides that are showing
+		_.resetSlideIndexes(filteredSlides);
+		_.ctx.store.setSlides(filteredSlides);
+	}
+
+	/**
+	 * turn a filter argument into { value, test }
+	 * - function: (slide, index) => boolean, index is the slide's position among all slides
+	 * - string: css selector the slide has to match
+	 * - { tags, match }: data-tags="shopify, plus" (comma separated, case-insensitive),
+	 *   match 'any' (default, OR) or 'all' (AND)
+	 * @param {Function|string|{tags:string|string[], match?:string}} filter
+	 * @returns {{value:*, test:Function}|null} null (with a warning) when the filter can't be used
+	 */
+	createFilter(filter) {
+		const _ = this;
+
+		if (typeof filter === 'function') {
+			return {
+				value: filter,
+				test: (slide) => !!filter(slide, Array.prototype.indexOf.call(_.coreSlides, slide)),
+			};
 		}
 
-		// filter slides: keep matching ones in DOM, remove others
-		const filteredSlides = [];
-		track.innerHTML = '';
+		if (typeof filter === 'string' && filter.trim()) {
+			const selector = filter.trim();
+			try {
+				document.createElement('tarot-slide').matches(selector);
+			} catch (error) {
+				console.warn(`tarot-carousel: filter '${selector}' is not a valid selector`);
+				return null;
+			}
+			return { value: selector, test: (slide) => slide.matches(selector) };
+		}
 
-		coreSlides.forEach((slide) => {
-			if (slide.classList.contains(filterClass)) {
-				track.appendChild(slide); // add to DOM
-				filteredSlides.push(slide); // add to filtered array
+		if (filter && typeof filter === 'object' && filter.tags !== undefined) {
+			const tags = _.parseTags(filter.tags);
+			const match = filter.match === 'all' ? 'all' : 'any';
+			if (!tags.length) {
+				console.warn('tarot-carousel: filter needs at least one tag');
+				return null;
 			}
-			// non-matching slides stay in memory (coreSlides) but not in DOM
-		});
+			return {
+				value: { tags, match },
+				test: (slide) => {
+					const slideTags = _.parseTags(slide.getAttribute('data-tags'));
+					const hasTag = (tag) => slideTags.includes(tag);
+					return match === 'all' ? tags.every(hasTag) : tags.some(hasTag);
+				},
+			};
+		}
 
-		_.ctx.store.setSlides(filteredSlides);
+		console.warn('tarot-carousel: filter expects a function, a selector or { tags }', filter);
+		return null;
+	}
+
+	/**
+	 * options.filterClass as a filter
+	 * @param {string} filterClass
+	 * @returns {{value:string, test:Function}|null}
+	 */
+	createClassFilter(filterClass) {
+		if (!filterClass) return null;
+		const escaped = window.CSS?.escape ? CSS.escape(filterClass) : filterClass;
+		return {
+			value: `.${escaped}`,
+			test: (slide) => slide.classList.contains(filterClass),
+		};
+	}
+
+	/**
+	 * @param {string|string[]|null} tags - 'a, b' or ['a', 'b']
+	 * @returns {string[]} trimmed, lowercased, without empties
+	 */
+	parseTags(tags) {
+		const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+		return list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean);
 	}
 
-	addSlide(element, index) {
+	/**
+	 * change the slide set as one batch: mutate() edits the dom (or the filter), then the slides
+	 * are collected once, so slides:changed fires once. the current and selected slides keep
+	 * their place when they survive, ones that didn't fall back per `fallback`
+	 * @param {Function} mutate
+	 * @param {'nearest'|'start'} [fallback='nearest'] - 'nearest' keeps the old index, less the slides
+	 *   removed before it (clamped), 'start' goes to 0
+	 * @returns {{matched:number, total:number, renderIndex:number}}
+	 */
+	changeSlides(mutate, fallback = 'nearest') {
 		const _ = this;
-		const track = _.ctx.track;
+		const { store } = _.ctx;
+
+		const prevSlides = _.getSlideKeys();
+		const { renderIndex, selectedIndex } = store.getState();
+		// coming back from an empty set (a filter that matched nothing), look for what showed before it
+		const { current, selected } = prevSlides.length
+			? { current: prevSlides[renderIndex], selected: prevSlides[selectedIndex] }
+			: _.emptiedFrom || {};
+
+		mutate();
+		_.reInit();
+		_.detachRemovedSlides();
+
+		const slides = _.getSlideKeys();
+		const kept = new Set(slides);
+		const fallbackIndex = (index) => {
+			if (fallback === 'start') return 0;
+			// slides removed before the old index shift it down
+			let removedBefore = 0;
+			for (let i = 0; i < index && i < prevSlides.length; i++) {
+				if (!kept.has(prevSlides[i])) removedBefore++;
+			}
+			return Math.max(0, Math.min(index - removedBefore, slides.length - 1));
+		};
+
+		let nextSelectedIndex = slides.indexOf(selected);
+		if (nextSelectedIndex === -1) nextSelectedIndex = fallbackIndex(selectedIndex);
+		store.setState({ selectedIndex: nextSelectedIndex });
+		_.renderSelectedIndex(nextSelectedIndex);
+
+		let nextRenderIndex = slides.indexOf(current);
+		if (nextRenderIndex === -1) nextRenderIndex = fallbackIndex(renderIndex);
+		_.emptiedFrom = slides.length ? null : { current, selected };
+
+		return {
+			matched: slides.length,
+			total: _.virtual ? slides.length : _.coreSlides.length - _.removing.size,
+			renderIndex: nextRenderIndex,
+		};
+	}
+
+	/**
+	 * what identifies each index across a change: the slide elements, or the items in virtual mode
+	 * (virtual slide elements are recycled, so they don't stay with their item)
+	 * @returns {Array}
+	 */
+	getSlideKeys() {
+		const _ = this;
+		return _.virtual ? _.virtual.getItems() : _.ctx.store.getSlides();
+	}
+
+	/**
+	 * apply a filter (null clears it)
+	 * @param {Function|string|object|null} filter - see createFilter
+	 * @returns {{matched:number, total:number, renderIndex:number}|null} null when the filter was rejected
+	 */
+	setFilter(filter) {
+		const _ = this;
+		const next = filter === null || filter === undefined ? null : _.createFilter(filter);
+		if (next === null && filter !== null && filter !== undefined) return null;
+
+		return _.changeSlides(() => {
+			_.filter = next;
+		}, 'start');
+	}
+
+	/**
+	 * the active filter as it was passed in (selectors and tag objects are plain data, predicates are not)
+	 * @returns {Function|string|{tags:string[], match:string}|null}
+	 */
+	getFilter() {
+		return this.filter?.value ?? null;
+	}
 
-		let newSlide;
-		if (typeof element === 'string') {
-			const tempDiv = document.createElement('div');
-			tempDiv.innerHTML = `<tarot-slide>${element.trim()}</tarot-slide>`;
-			newSlide = tempDiv.firstChild;
+	/**
+	 * turn slide input into elements for the track
+	 * an html string gives one slide per top-level element; elements that aren't
+	 * tarot-slides are wrapped by wrapSlides() (or become cells in grid mode)
+	 * @param {string|Node|Node[]|NodeList} input
+	 * @returns {Element[]}
+	 */
+	createSlides(input) {
+		let nodes;
+		if (typeof input === 'string') {
+			const template = document.createElement('template');
+			template.innerHTML = input.trim();
+			nodes = Array.from(template.content.children);
+		} else if (input instanceof DocumentFragment) {
+			nodes = Array.from(input.children);
+		} else if (input instanceof Node) {
+			nodes = [input];
 		} else {
-			const wrapper = document.createElement('tarot-slide');
-			wrapper.appendChild(element);
-			newSlide = wrapper;
+			nodes = Array.from(input || []);
 		}
 
-		const slides = Array.from(_.ctx.store.getSlides());
-		if (typeof index === 'number' && index >= 0 && index < slides.length) {
-			track.insertBefore(newSlide, slides[index]);
+		return nodes.filter((node) => node?.nodeType === Node.ELEMENT_NODE);
+	}
+
+	/**
+	 * put elements in the track before the slide at `index` (index among the slides showing)
+	 * call inside changeSlides()
+	 * @param {Element[]} nodes - from createSlides()
+	 * @param {number} index - past the end appends
+	 */
+	insertSlides(nodes, index) {
+		const _ = this;
+		const reference = _.ctx.store.getSlides()[index];
+		if (reference) {
+			reference.before(...nodes);
 		} else {
-			track.appendChild(newSlide);
+			_.ctx.track.append(...nodes);
 		}
+	}
 
-		_.loadFilteredSlides();
+	/**
+	 * take slides out of the carousel; with slideTransitions on they stay in the dom until
+	 * they have animated out (see detachRemovedSlides). call inside changeSlides()
+	 * @param {HTMLElement[]} slides
+	 */
+	removeSlides(slides) {
+		const _ = this;
+		slides.forEach((slide) => _.removing.add(slide));
 	}
 
-	removeSlide(index) {
+	/**
+	 * move a slide so it shows at index `to` (indices among the slides showing)
+	 * call inside changeSlides()
+	 * @param {number} from
+	 * @param {number} to
+	 */
+	moveSlide(from, to) {
 		const _ = this;
-		const track = _.ctx.track;
-		const slides = Array.from(_.coreSlides);
+		const slides = [..._.ctx.store.getSlides()];
+		const [slide] = slides.splice(from, 1);
+		if (!slide || !slides.length) return;
+
+		const reference = slides[to];
+		if (reference) {
+			reference.before(slide);
+		} else {
+			slides[slides.length - 1].after(slide);
+		}
+	}
 
-		if (index < 0 || index >= slides.length) return;
+	/** detach removed slides that aren't animating out (transitions off, or already filtered out) */
+	detachRemovedSlides() {
+		const _ = this;
+		_.removing.forEach((slide) => {
+			if (slide.classList.contains('tarot-exiting')) return;
+			_.removing.delete(slide);
+			slide.remove();
+		});
 
-		track.removeChild(slides[index]);
-		_.loadFilteredSlides();
+		// they already left the slide set, no refresh needed
+		_.observer?.takeRecords();
 	}
 
 	renderSelectedIndex(newIndex) {
@@ -1537,6 +2611,8 @@ class SlideManager {
 		const _ = this;
 
 		_.ctx.emitter.off(_.ctx.events.store.selectedIndexChanged, _.handlers.selectedIndexChanged);
+		_.ctx.emitter.off(_.ctx.events.store.optionsChanged, _.handlers.optionsChanged);
+		_.ctx.emitter.off(_.ctx.events.slides.exited, _.handlers.slideExited);
 
 		if (_.observer) {
 			_.observer.disconnect();
@@ -1548,14 +2624,256 @@ class SlideManager {
 			_.debouncedSlideRefresh.cancel();
 		}
 		_.debouncedSlideRefresh = null;
+
+		// show everything a filter hid
+		_.coreSlides?.forEach((slide) => {
+			slide.hidden = false;
+		});
 		_.coreSlides = null;
+		_.filter = null;
+
+		// slides still animating out are removed now
+		_.removing.forEach((slide) => slide.remove());
+		_.removing.clear();
+
+		// virtual slides leave, the authored ones come back
+		_.virtual?.destroy();
+		_.virtual = null;
+
+		// a reconnect starts without a grid layout, so leave the cells as authored
+		_.ungroupCells();
+	}
+}
+
+/**
+ * virtual-slides
+ * options.virtual: one slide per item from setItems(), rendered by renderSlide(item, index)
+ * - only the slides in the viewport plus the effect's loopBuffer are in the track
+ * - those tarot-slide elements are recycled as the track moves, each one showing the item at its renderIndex
+ * - slide.index is the item index, state.slideCount the item count
+ * - slides share one width (slideWidth: 'auto' and adaptiveHeight need every slide measured)
+ */
+class VirtualSlides {
+	/**
+	 * @constructor
+	 * @param {object} ctx - shared module context
+	 */
+	constructor(ctx) {
+		const _ = this;
+		_.ctx = ctx;
+
+		/** @type {HTMLElement[]} - the recycled slides, all of them in the track */
+		_.pool = [];
+
+		/** @type {Node[]|null} - what the track held before virtual mode took it over, put back on destroy */
+		_.authoredNodes = null;
+
+		_.handlers = {
+			// the viewport or the effect's loopBuffer decide how many slides the window needs
+			resize: () => {
+				_.resizePool();
+			},
+		};
+
+		_.ctx.emitter.on(_.ctx.events.store.layoutChanged, _.handlers.resize);
+		_.ctx.emitter.on(_.ctx.events.effect.changed, _.handlers.resize);
+	}
+
+	/** take over the track (first time) and render the current items */
+	reInit() {
+		const _ = this;
+
+		if (!_.authoredNodes) {
+			_.authoredNodes = Array.from(_.ctx.track.childNodes);
+			_.ctx.track.replaceChildren();
+		}
+
+		// the items changed, every slide renders again
+		_.pool.forEach((slide) => {
+			slide.index = -1;
+		});
+
+		_.resizePool(true);
+	}
+
+	/** @returns {Array} the items, see Tarot.setItems() */
+	getItems() {
+		return this.ctx.commands.getVirtualSource().items;
+	}
+
+	/**
+	 * whether the slides are a window onto the items
+	 * with fewer items than the window would hold, every item keeps its own slide and
+	 * SlideManager positions (and loops) them like regular slides
+	 * @returns {boolean}
+	 */
+	isWindowed() {
+		return this.pool.length < this.getItems().length;
+	}
+
+	/** @returns {{left:number, right:number}} */
+	getLoopBuffer() {
+		const effect = this.ctx.commands.getEffect();
+		return effect?.constructor?.rules?.loopBuffer || { left: 0, right: 0 };
+	}
+
+	/**
+	 * slides needed to cover the viewport at any track position, plus the loopBuffer
+	 * @returns {number}
+	 */
+	getPoolSize() {
+		const _ = this;
+		const { viewport, slideAndGap } = _.ctx.store.getWidths();
+		const { left, right } = _.getLoopBuffer();
+
+		// a viewport cut between slides shows one more than fits in it
+		const fits = slideAndGap > 0 ? Math.round((viewport / slideAndGap) * 1000) / 1000 : 0;
+		const inView = Math.ceil(fits) + 1;
+		return Math.min(_.getItems().length, inView + left + right);
+	}
+
+	/**
+	 * grow or shrink the pool to getPoolSize() and hand it to the store
+	 * @param {boolean} [force=false] - store the slides even when the pool kept its size (the item count changed)
+	 */
+	resizePool(force = false) {
+		const _ = this;
+		const count = _.getItems().length;
+		const size = _.getPoolSize();
+		if (!force && size === _.pool.length) return;
+
+		while (_.pool.length < size) {
+			const slide = document.createElement('tarot-slide');
+			slide.index = -1;
+			slide.renderIndex = NaN;
+			_.ctx.track.append(slide);
+			_.pool.push(slide);
+		}
+		while (_.pool.length > size) {
+			_.pool.pop().remove();
+		}
+
+		if (_.isWindowed()) {
+			_.update(_.ctx.store.getAnimation().trackPosition || 0);
+		} else {
+			// no window: slide i shows item i for good
+			_.pool.forEach((slide, i) => {
+				slide.renderIndex = i;
+				if (slide.index !== i) _.renderItem(slide, i);
+			});
+		}
+
+		_.ctx.store.setSlides(_.pool, count);
+	}
+
+	/**
+	 * give every render index in the window a slide
+	 * slides already on a render index inside the window keep it, the others are recycled
+	 * @param {number} trackPosition
+	 */
+	update(trackPosition) {
+		const _ = this;
+		const { store, utils } = _.ctx;
+		const widths = store.getWidths();
+		const count = _.getItems().length;
+		const size = _.pool.length;
+		const loop = utils.canLoop(count, store.getOptions(), widths);
+
+		// the window starts loopBuffer.left slides before the viewport, and stays on the track when not looping
+		let first = utils.getSlideIndexAt(widths, -trackPosition) - _.getLoopBuffer().left;
+		if (!loop) first = Math.max(0, Math.min(first, count - size));
+		const last = first + size - 1;
+
+		const placed = new Set();
+		const free = [];
+		for (const slide of _.pool) {
+			const { renderIndex } = slide;
+			if (renderIndex >= first && renderIndex <= last && !placed.has(renderIndex)) {
+				placed.add(renderIndex);
+			} else {
+				free.push(slide);
+			}
+		}
+		if (!free.length) return;
+
+		for (let renderIndex = first; renderIndex <= last; renderIndex++) {
+			if (placed.has(renderIndex)) continue;
+			const slide = free.pop();
+			const index = ((renderIndex % count) + count) % count;
+			slide.renderIndex = renderIndex;
+			// a lap further round the loop is still the same item
+			if (slide.index !== index) _.renderItem(slide, index);
+		}
+	}
+
+	/**
+	 * fill a slide with an item
+	 * @param {HTMLElement} slide
+	 * @param {number} index - item index
+	 */
+	renderItem(slide, index) {
+		const _ = this;
+		const { items, renderSlide } = _.ctx.commands.getVirtualSource();
+		const item = items[index];
+
+		slide.index = index;
+		slide.setAttribute('index', index);
+		slide.selected = index === _.ctx.store.getState().selectedIndex;
+		// SlideStateManager only labels unlabelled slides, a recycled one needs its new position
+		slide.setAttribute('aria-label', `slide ${index + 1} of ${items.length}`);
+
+		let content = item;
+		if (renderSlide) {
+			try {
+				content = renderSlide(item, index);
+			} catch (error) {
+				console.error(`tarot-carousel: renderSlide failed for item ${index}`, error);
+				content = '';
+			}
+		}
+
+		if (content instanceof Node) {
+			slide.replaceChildren(content);
+		} else {
+			slide.innerHTML = content ?? '';
+		}
+	}
+
+	destroy() {
+		const _ = this;
+
+		_.ctx.emitter.off(_.ctx.events.store.layoutChanged, _.handlers.resize);
+		_.ctx.emitter.off(_.ctx.events.effect.changed, _.handlers.resize);
+
+		_.pool.forEach((slide) => slide.remove());
+		_.pool = [];
+
+		if (_.authoredNodes) {
+			_.ctx.track.append(..._.authoredNodes);
+			_.authoredNodes = null;
+		}
 	}
 }
 
 class PhysicsEngine {
+	/**
+	 * tuning defaults, each one can be changed per instance with its setter
+	 * (carousels pass theirs in from options.animation)
+	 */
+	static defaults = Object.freeze({
+		attraction: 0.026,
+		friction: 0.24,
+		speed: 5,
+		velocityBoost: 1.4,
+		distanceScale: Object.freeze({ offset: 230, reference: 200, min: 0.8, max: 1.3 }),
+	});
+
 	#attraction;
 	#friction;
 	#frictionFactor;
+	#speed;
+	#velocityBoost;
+	#distanceScale;
 	#velocity;
 	#currentValue;
 	#targetValue;
@@ -1565,13 +2883,23 @@ class PhysicsEngine {
 	#eventEmitter;
 	#accumulatedTime;
 	#animationId;
+	#isCoasting;
 
 	/**
 	 * creates an instance of physicsengine.
 	 * @param {number} [attraction=0.026] - the attraction value for physics-based animation (0 < attraction < 1).
-	 * @param {number} [friction=0.28] - the friction value for physics-based animation (0 < friction < 1).
-	 */
-	constructor({ attraction = 0.026, friction = 0.28 } = {}) {
+	 * @param {number} [friction=0.24] - the friction value for physics-based animation (0 < friction < 1).
+	 * @param {number} [speed=5] - playback rate of the simulation, 5 is the reference rate.
+	 * @param {number} [velocityBoost=1.4] - multiplier applied to every starting velocity.
+	 * @param {object} [distanceScale] - { offset, reference, min, max } for stretching long moves.
+	 */
+	constructor({
+		attraction = PhysicsEngine.defaults.attraction,
+		friction = PhysicsEngine.defaults.friction,
+		speed = PhysicsEngine.defaults.speed,
+		velocityBoost = PhysicsEngine.defaults.velocityBoost,
+		distanceScale = PhysicsEngine.defaults.distanceScale,
+	} = {}) {
 		const _ = this;
 		_.#validateAttraction(attraction);
 		_.#validateFriction(friction);
@@ -1580,12 +2908,17 @@ class PhysicsEngine {
 		_.#friction = friction;
 		_.#frictionFactor = 1 - friction;
 
+		_.setSpeed(speed);
+		_.setVelocityBoost(velocityBoost);
+		_.setDistanceScale(distanceScale);
+
 		_.#velocity = 0;
 		_.#currentValue = 0;
 		_.#targetValue = 0;
 		_.#startValue = 0;
 
 		_.#isAnimating = false;
+		_.#isCoasting = false;
 		_.#prevTime = null;
 		_.#animationId = 0; // start at zero
 
@@ -1615,13 +2948,14 @@ class PhysicsEngine {
 		++_.#animationId;
 
 		// apply a velocity boost
-		initialVelocity *= 1.4;
+		initialVelocity *= _.#velocityBoost;
 
 		_.#startValue = startValue;
 		_.#currentValue = startValue;
 		_.#targetValue = endValue;
 		_.#velocity = initialVelocity;
 		_.#isAnimating = true;
+		_.#isCoasting = false;
 		_.#prevTime = null;
 
 		// emit initial position to trigger first frame
@@ -1634,14 +2968,74 @@ class PhysicsEngine {
 	}
 
 	/**
-	 * Advances the physics simulation by one frame.
-	 * Called externally by the frame engine to sync with main render loop.
-	 * @param {number} time - the timestamp from the frame engine
+	 * lets a value glide from its start with friction only (no attraction, no target)
+	 * it finishes wherever friction brings it to rest, roughly getCoastDistance() away
+	 * @param {number} startValue - the starting value.
+	 * @param {number} initialVelocity - the initial velocity.
 	 */
-	tick(time) {
+	coast(startValue, initialVelocity) {
 		const _ = this;
 
-		// exit if not animating
+		if (_.#isAnimating) {
+			_.stop();
+		}
+
+		++_.#animationId;
+
+		_.#startValue = startValue;
+		_.#currentValue = startValue;
+		_.#targetValue = startValue + _.getCoastDistance(initialVelocity);
+		_.#velocity = initialVelocity * _.#velocityBoost;
+		_.#isAnimating = true;
+		_.#isCoasting = true;
+		_.#prevTime = null;
+
+		_.#eventEmitter.emit('engine:position-changed', {
+			position: _.#currentValue,
+			positionDelta: 0,
+			progress: 0,
+			velocity: _.#velocity,
+		});
+	}
+
+	/**
+	 * how far a coast starting at this velocity travels before friction stops it
+	 * (the geometric sum of the per-frame friction decay at the reference frame time)
+	 * @param {number} initialVelocity
+	 * @returns {number}
+	 */
+	getCoastDistance(initialVelocity) {
+		return PhysicsEngine.getCoastDistance(initialVelocity, {
+			friction: this.#friction,
+			velocityBoost: this.#velocityBoost,
+		});
+	}
+
+	/**
+	 * coast distance for given tuning, for drivers that have no friction of their own
+	 * @param {number} initialVelocity
+	 * @param {{friction?:number, velocityBoost?:number}} [tuning]
+	 * @returns {number}
+	 */
+	static getCoastDistance(
+		initialVelocity,
+		{
+			friction = PhysicsEngine.defaults.friction,
+			velocityBoost = PhysicsEngine.defaults.velocityBoost,
+		} = {}
+	) {
+		return (initialVelocity * velocityBoost * (1 - friction)) / friction;
+	}
+
+	/**
+	 * Advances the physics simulation by one frame.
+	 * Called externally by the frame engine to sync with main render loop.
+	 * @param {number} time - the timestamp from the frame engine
+	 */
+	tick(time) {
+		const _ = this;
+
+		// exit if not animating
 		if (!_.#isAnimating) {
 			return;
 		}
@@ -1653,20 +3047,21 @@ class PhysicsEngine {
 		// save current time to prevTime
 		_.#prevTime = time;
 
+		const { offset, reference, min, max } = _.#distanceScale;
 		const totalDistance = _.#targetValue - _.#startValue;
-		const totalDistanceAbs = Math.max(Math.abs(totalDistance) - 230, 1);
+		const totalDistanceAbs = Math.max(Math.abs(totalDistance) - offset, 1);
 
 		// figure out ratio based on total distance (the user wants 300px reference)
-		let ratio = totalDistanceAbs / 200;
-		// clamp within range
-		ratio = Math.max(0.8, Math.min(ratio, 1.3));
+		let ratio = totalDistanceAbs / reference;
+		// clamp within range (coasts run at the reference rate so they land near getCoastDistance)
+		ratio = _.#isCoasting ? 1 : Math.max(min, Math.min(ratio, max));
 
-		// compute the actual time factor
-		const timeDeltaFactor = timeDelta / (13 * ratio);
+		// compute the actual time factor (speed 5 is the reference rate)
+		const timeDeltaFactor = (timeDelta / (13 * ratio)) * (_.#speed / 5);
 
-		// calculate force based on distance to target and attraction
+		// calculate force based on distance to target and attraction (coasting has no pull)
 		const displacement = _.#targetValue - _.#currentValue;
-		const force = displacement * _.#attraction;
+		const force = _.#isCoasting ? 0 : displacement * _.#attraction;
 
 		// apply force to velocity
 		_.#velocity += force * timeDeltaFactor;
@@ -1683,6 +3078,21 @@ class PhysicsEngine {
 		// progress percent
 		let progress = totalDistance !== 0 ? distanceCovered / totalDistance : 0;
 
+		// a coast ends wherever friction has brought it to rest
+		if (_.#isCoasting && Math.abs(posDelta) < 0.05) {
+			_.#isAnimating = false;
+			_.#isCoasting = false;
+			_.#targetValue = _.#currentValue;
+			_.#eventEmitter.emit('engine:position-changed', {
+				position: _.#currentValue,
+				positionDelta: posDelta,
+				progress: 1,
+				velocity: 0,
+			});
+			_.#eventEmitter.emit('engine:finished');
+			return;
+		}
+
 		// check if we've arrived at target
 		if (Math.abs(posDelta) < 0.01 && Math.abs(_.#currentValue - _.#targetValue) < 0.1) {
 			_.#isAnimating = false;
@@ -1743,6 +3153,40 @@ class PhysicsEngine {
 		this.#frictionFactor = 1 - friction;
 	}
 
+	/**
+	 * sets the playback rate (5 = reference rate)
+	 * invalid values keep the current rate (OptionsManager.validateOptions warns about them)
+	 * @param {number} speed - a number greater than 0.
+	 */
+	setSpeed(speed) {
+		const isValid = typeof speed === 'number' && speed > 0;
+		this.#speed = isValid ? speed : (this.#speed ?? PhysicsEngine.defaults.speed);
+	}
+
+	/**
+	 * sets the multiplier applied to every starting velocity
+	 * invalid values keep the current boost
+	 * @param {number} velocityBoost - a number greater than 0.
+	 */
+	setVelocityBoost(velocityBoost) {
+		const isValid = typeof velocityBoost === 'number' && velocityBoost > 0;
+		this.#velocityBoost = isValid
+			? velocityBoost
+			: (this.#velocityBoost ?? PhysicsEngine.defaults.velocityBoost);
+	}
+
+	/**
+	 * sets how distance stretches the time step, missing keys keep their current value
+	 * an invalid result (reference or min not above 0, max below min) keeps the current scale
+	 * @param {{offset?:number, reference?:number, min?:number, max?:number}} distanceScale
+	 */
+	setDistanceScale(distanceScale = {}) {
+		const current = this.#distanceScale || PhysicsEngine.defaults.distanceScale;
+		const next = { ...current, ...distanceScale };
+		const isValid = next.reference > 0 && next.min > 0 && !(next.max < next.min);
+		this.#distanceScale = isValid ? next : current;
+	}
+
 	/**
 	 * adds an event listener for the specified event.
 	 * @param {string} eventName - the name of the event.
@@ -1783,6 +3227,242 @@ class PhysicsEngine {
 	}
 }
 
+/** css easing keywords as cubic-bezier control points */
+const EASINGS = Object.freeze({
+	linear: [0, 0, 1, 1],
+	ease: [0.25, 0.1, 0.25, 1],
+	'ease-in': [0.42, 0, 1, 1],
+	'ease-out': [0, 0, 0.58, 1],
+	'ease-in-out': [0.42, 0, 0.58, 1],
+});
+
+/**
+ * builds a css-style cubic-bezier timing function
+ * solves x(t) = progress with newton-raphson, falling back to bisection
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @returns {(progress:number) => number}
+ */
+function cubicBezier(x1, y1, x2, y2) {
+	// polynomial coefficients for one axis of the curve
+	const curve = (p1, p2) => {
+		const c = 3 * p1;
+		const b = 3 * (p2 - p1) - c;
+		const a = 1 - c - b;
+		return {
+			sample: (t) => ((a * t + b) * t + c) * t,
+			slope: (t) => (3 * a * t + 2 * b) * t + c,
+		};
+	};
+	const x = curve(x1, x2);
+	const y = curve(y1, y2);
+
+	return (progress) => {
+		if (progress <= 0) return 0;
+		if (progress >= 1) return 1;
+
+		let t = progress;
+		for (let i = 0; i < 8; i++) {
+			const error = x.sample(t) - progress;
+			if (Math.abs(error) < 1e-6) return y.sample(t);
+			const slope = x.slope(t);
+			if (Math.abs(slope) < 1e-6) break;
+			t -= error / slope;
+		}
+
+		let low = 0;
+		let high = 1;
+		t = progress;
+		while (high - low > 1e-6) {
+			if (x.sample(t) < progress) low = t;
+			else high = t;
+			t = (low + high) / 2;
+		}
+		return y.sample(t);
+	};
+}
+
+/**
+ * turns an easing option into a timing function
+ * @param {string|number[]|Function} easing - keyword, 'cubic-bezier(...)', control points or a function
+ * @returns {(progress:number) => number}
+ */
+function parseEasing(easing) {
+	if (typeof easing === 'function') return easing;
+
+	let points = Array.isArray(easing) ? easing : EASINGS[String(easing).trim().toLowerCase()];
+	if (!points) {
+		const match = /^cubic-bezier\(([^)]*)\)$/i.exec(String(easing).trim());
+		if (match) points = match[1].split(',').map(Number);
+	}
+
+	if (!points || points.length !== 4 || points.some((point) => !Number.isFinite(point))) {
+		console.warn(`tarot animation: unknown easing '${easing}', using ease-out`);
+		points = EASINGS['ease-out'];
+	}
+
+	return cubicBezier(...points);
+}
+
+/**
+ * fixed-duration animation driver with cubic-bezier easing
+ * same contract as PhysicsEngine: animateTo / tick / stop / isAnimating / on / off,
+ * emitting engine:position-changed and engine:finished
+ */
+class TweenEngine {
+	static defaults = Object.freeze({
+		duration: 400,
+		easing: 'ease-out',
+	});
+
+	#duration;
+	#ease;
+	#startValue = 0;
+	#currentValue = 0;
+	#targetValue = 0;
+	#startTime = null;
+	#isAnimating = false;
+	#eventEmitter;
+
+	/**
+	 * @param {number} [duration=400] - length of every animation in ms.
+	 * @param {string|number[]|Function} [easing='ease-out'] - timing function (see parseEasing).
+	 */
+	constructor({ duration = TweenEngine.defaults.duration, easing = TweenEngine.defaults.easing } = {}) {
+		const _ = this;
+		_.setDuration(duration);
+		_.setEasing(easing);
+		_.#eventEmitter = new EventEmitter();
+	}
+
+	/**
+	 * animates from a start value to an end value over the duration
+	 * the velocity is reported back but doesn't shape the curve
+	 * @param {number} startValue - the starting value.
+	 * @param {number} endValue - the target value.
+	 * @param {number} initialVelocity - the initial velocity.
+	 */
+	animateTo(startValue, endValue, initialVelocity) {
+		const _ = this;
+
+		if (isNaN(endValue)) {
+			console.warn('tarot animation: tween end value is not a number', endValue);
+			return;
+		}
+
+		_.#startValue = startValue;
+		_.#currentValue = startValue;
+		_.#targetValue = endValue;
+		_.#startTime = null;
+		_.#isAnimating = true;
+
+		// emit initial position to trigger first frame
+		_.#eventEmitter.emit('engine:position-changed', {
+			position: _.#currentValue,
+			positionDelta: 0,
+			progress: 0,
+			velocity: initialVelocity,
+		});
+	}
+
+	/**
+	 * advances the tween to the frame time
+	 * @param {number} time - the timestamp from the frame engine
+	 */
+	tick(time) {
+		const _ = this;
+
+		if (!_.#isAnimating) return;
+
+		// the first frame counts as one 120hz step, same as the physics engine
+		if (_.#startTime === null) _.#startTime = time - 8.33;
+
+		const elapsed = time - _.#startTime;
+		const linear = _.#duration > 0 ? Math.min(1, elapsed / _.#duration) : 1;
+		const progress = linear >= 1 ? 1 : _.#ease(linear);
+
+		const position = _.#startValue + (_.#targetValue - _.#startValue) * progress;
+		const positionDelta = position - _.#currentValue;
+		_.#currentValue = position;
+
+		if (linear >= 1) {
+			_.#isAnimating = false;
+			_.#eventEmitter.emit('engine:position-changed', {
+				position,
+				positionDelta,
+				progress: 1,
+				velocity: 0,
+			});
+			_.#eventEmitter.emit('engine:finished');
+			return;
+		}
+
+		_.#eventEmitter.emit('engine:position-changed', {
+			position,
+			positionDelta,
+			progress,
+			velocity: positionDelta,
+		});
+	}
+
+	/**
+	 * stops the ongoing animation immediately.
+	 */
+	stop() {
+		this.#isAnimating = false;
+	}
+
+	/**
+	 * returns whether we are currently animating.
+	 * @returns {boolean}
+	 */
+	isAnimating() {
+		return this.#isAnimating;
+	}
+
+	/**
+	 * sets the duration, invalid values keep the current one
+	 * @param {number} duration - ms, 0 or more.
+	 */
+	setDuration(duration) {
+		const isValid = typeof duration === 'number' && duration >= 0;
+		this.#duration = isValid ? duration : (this.#duration ?? TweenEngine.defaults.duration);
+	}
+
+	/**
+	 * sets the easing
+	 * @param {string|number[]|Function} easing
+	 */
+	setEasing(easing) {
+		this.#ease = parseEasing(easing);
+	}
+
+	/**
+	 * adds an event listener for the specified event.
+	 * @param {string} eventName - the name of the event.
+	 * @param {function} eventFunction - the function to call when the event is triggered.
+	 */
+	on(eventName, eventFunction) {
+		this.#eventEmitter.on(eventName, eventFunction);
+	}
+
+	/**
+	 * remove an event listener for the specified event.
+	 * @param {string} eventName - the name of the event.
+	 * @param {function} eventFunction - the function to remove
+	 */
+	off(eventName, eventFunction) {
+		this.#eventEmitter.off(eventName, eventFunction);
+	}
+
+	destroy() {
+		this.stop();
+		this.#eventEmitter.destroy();
+	}
+}
+
 // Manages track animations using physics-based motion
 class TrackAnimator {
 	#currentPos = 0;
@@ -1794,30 +3474,34 @@ class TrackAnimator {
 
 	/**
 	 * @param {Object} ctx - The context object containing carousel references and services
+	 * @param {Object} [drivers] - Registry of animation driver classes by name (Tarot.drivers)
 	 */
-	constructor(ctx) {
+	constructor(ctx, drivers = { spring: PhysicsEngine, tween: TweenEngine }) {
 		const _ = this;
 		_.ctx = ctx;
 
-		// get initial animation options from store
-		const options = _.ctx.store.getOptions();
-
-		// load new physics engine with attraction and friction options
-		_.engine = new PhysicsEngine({
-			attraction: options.animation.attraction,
-			friction: options.animation.friction,
-		});
+		/** @type {Object} - available driver classes */
+		_.drivers = drivers;
+		/** @type {string|null} - driver the options asked for */
+		_.driverName = null;
+		/** @type {Object|null} - running driver instance */
+		_.engine = null;
 
 		_.#dragStartPos = 1;
 
 		// Define event handlers to enable proper cleanup
         _.handlers = {
             optionsChanged: ({ currentOptions }) => {
-                _.engine.setAttraction(currentOptions.animation?.attraction || 0.1);
-                _.engine.setFriction(currentOptions.animation?.friction || 0.8);
+                const animation = currentOptions.animation || {};
+                if (_.getDriverName(animation) !== _.driverName) {
+                    _.loadDriver(animation);
+                } else {
+                    _.configureDriver(animation);
+                }
             },
 			dragStart: ({ event, drag }) => {
 				_.stop();
+				_.ctx.commands.getTrackManager().cancelFade();
 				_.#dragStartPos = _.#currentPos;
 				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'drag', event });
 			},
@@ -1828,7 +3512,14 @@ class TrackAnimator {
 			dragEnd: ({ event, drag }) => {
 				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'drag', event });
 
-				if (Math.abs(drag.delta) < _.ctx.store.getOptions().dragThreshold) {
+				// free mode lets the release velocity carry the track wherever it goes
+				if (_.ctx.store.getOptions().freeMode?.enabled) {
+					_.ctx.commands.getTrackManager().coastTrack(drag.velocity);
+					return;
+				}
+
+				const threshold = drag.releaseThreshold ?? _.ctx.store.getOptions().dragThreshold;
+				if (Math.abs(drag.delta) < threshold) {
 					_.ctx.commands.getTrackManager().settleTrack();
 					return;
 				}
@@ -1840,18 +3531,24 @@ class TrackAnimator {
 					_.ctx.commands.prev(drag.velocity);
 				}
 			},
+			dragCancel: () => {
+				// drag was abandoned - put the track back where it belongs
+				_.ctx.commands.getTrackManager().settleTrack();
+			},
 			enginePositionChanged: ({ position, positionDelta, progress, velocity }) => {
-				if (progress === 1) {
+				if (progress === 1 && _.#animationType !== 'coast') {
 					// we have reached the end
 					_.setPos(_.#targetPos, progress, velocity, _.#animationType, _.#direction);
 				} else {
 					// add delta to current position
 					_.setPos(_.#currentPos + positionDelta, progress, velocity, _.#animationType, _.#direction);
+					// a coast has no target until it comes to rest
+					if (progress === 1) _.#targetPos = _.#currentPos;
 				}
 			},
 			engineAnimationFinished: () => {
 				// relay finished event to context emitter
-				_.ctx.emitter.emit('animationFinished', _.#targetPos);
+				_.emitAnimationEvent(_.ctx.events.animation.completed, 0);
 			},
 			trackRequestFrame: ({ time }) => {
 				// tick the physics engine when frame engine requests it
@@ -1859,6 +3556,9 @@ class TrackAnimator {
 			},
 		};
 
+		// load the animation driver from the initial options
+		_.loadDriver(_.ctx.store.getOptions().animation || {});
+
 		_.bindEvents();
 	}
 
@@ -1875,13 +3575,72 @@ class TrackAnimator {
 		emitter.on(events.drag.start, _.handlers.dragStart);
 		emitter.on(events.drag.move, _.handlers.dragMove);
 		emitter.on(events.drag.end, _.handlers.dragEnd);
+		emitter.on(events.drag.cancel, _.handlers.dragCancel);
 		emitter.on(events.track.requestFrame, _.handlers.trackRequestFrame);
+	}
+
+	/**
+	 * @param {Object} animation - options.animation
+	 * @returns {string} normalized driver name
+	 */
+	getDriverName(animation) {
+		return String(animation.driver || 'spring').trim().toLowerCase();
+	}
+
+	/**
+	 * swap in the driver named by options.animation.driver (unknown names fall back to spring)
+	 * the track keeps its position, a running animation is stopped
+	 * @param {Object} animation - options.animation
+	 */
+	loadDriver(animation) {
+		const _ = this;
+		const name = _.getDriverName(animation);
+
+		let Driver = _.drivers[name];
+		if (!Driver) {
+			console.warn(
+				`tarot animation: unknown driver '${name}', registered drivers are: ${Object.keys(_.drivers).join(', ')}`
+			);
+			Driver = _.drivers.spring || PhysicsEngine;
+		}
+
+		_.unloadDriver();
 
-		// Bind physics engine events
+		_.engine = new Driver({ ...animation });
+		_.driverName = name;
+
+		// Bind driver events
 		_.engine.on('engine:position-changed', _.handlers.enginePositionChanged);
 		_.engine.on('engine:finished', _.handlers.engineAnimationFinished);
 	}
 
+	/**
+	 * push tuning options into the running driver through whichever setters it has
+	 * @param {Object} animation - options.animation
+	 */
+	configureDriver(animation) {
+		const engine = this.engine;
+		engine.setAttraction?.(animation.attraction ?? PhysicsEngine.defaults.attraction);
+		engine.setFriction?.(animation.friction ?? PhysicsEngine.defaults.friction);
+		engine.setSpeed?.(animation.speed ?? PhysicsEngine.defaults.speed);
+		engine.setVelocityBoost?.(animation.velocityBoost ?? PhysicsEngine.defaults.velocityBoost);
+		engine.setDistanceScale?.(animation.distanceScale);
+		engine.setDuration?.(animation.duration ?? TweenEngine.defaults.duration);
+		engine.setEasing?.(animation.easing ?? TweenEngine.defaults.easing);
+	}
+
+	// stop the running driver and drop its listeners
+	unloadDriver() {
+		const _ = this;
+		if (!_.engine) return;
+
+		_.engine.off('engine:position-changed', _.handlers.enginePositionChanged);
+		_.engine.off('engine:finished', _.handlers.engineAnimationFinished);
+		_.engine.stop();
+		_.engine.destroy?.();
+		_.engine = null;
+	}
+
 	// @returns {number} - The current X position.
 	get currentPos() {
 		return this.#currentPos;
@@ -1898,8 +3657,8 @@ class TrackAnimator {
 	canLoop() {
 		const _ = this;
 		const options = _.ctx.store.getOptions();
-		const slideCount = _.ctx.store.getSlides().length;
-		return _.ctx.utils.canLoop(slideCount, options);
+		const { slideCount } = _.ctx.store.getState();
+		return _.ctx.utils.canLoop(slideCount, options, _.ctx.store.getWidths());
 	}
 
 	stop() {
@@ -1916,7 +3675,10 @@ class TrackAnimator {
 		_.#direction = direction;
 
 		if (animationType === 'jump') {
-			this.setPos(targetPos, 1, 0, 'jump', direction);
+			_.#targetPos = targetPos;
+			_.emitAnimationEvent(_.ctx.events.animation.started, 0);
+			_.setPos(targetPos, 1, 0, 'jump', direction);
+			_.emitAnimationEvent(_.ctx.events.animation.completed, 0);
 			return;
 		}
 
@@ -1939,6 +3701,61 @@ class TrackAnimator {
 
 		// tell engine to go to target with velocity
 		_.engine.animateTo(_.#currentPos, targetPos, velocity);
+		_.emitAnimationEvent(_.ctx.events.animation.started, velocity);
+	}
+
+	/**
+	 * glide from the current position with friction only (free mode)
+	 * @param {number} velocity - release velocity from the drag
+	 */
+	coast(velocity) {
+		const _ = this;
+
+		_.stop();
+
+		_.#animationType = 'coast';
+		_.#direction = Math.sign(velocity);
+		_.#targetPos = _.getCoastTarget(velocity);
+
+		// drivers without a coast of their own animate to where friction would have stopped
+		if (typeof _.engine.coast === 'function') {
+			_.engine.coast(_.#currentPos, velocity);
+		} else {
+			_.engine.animateTo(_.#currentPos, _.#targetPos, velocity);
+		}
+		_.emitAnimationEvent(_.ctx.events.animation.started, velocity);
+	}
+
+	/**
+	 * where a coast from the current position would come to rest
+	 * @param {number} velocity
+	 * @returns {number}
+	 */
+	getCoastTarget(velocity) {
+		const _ = this;
+		const distance =
+			typeof _.engine.getCoastDistance === 'function'
+				? _.engine.getCoastDistance(velocity)
+				: PhysicsEngine.getCoastDistance(velocity, _.ctx.store.getOptions().animation);
+		return _.#currentPos + distance;
+	}
+
+	/**
+	 * emit an animation lifecycle event with the current target data
+	 * @param {string} eventName - animation:started or animation:completed
+	 * @param {number} velocity - velocity the animation started with (0 when completed)
+	 */
+	emitAnimationEvent(eventName, velocity) {
+		const _ = this;
+		const state = _.ctx.store.getState();
+		_.ctx.emitter.emit(eventName, {
+			renderIndex: state.renderIndex,
+			pageIndex: state.pageIndex,
+			velocity,
+			type: _.#animationType,
+			direction: _.#direction,
+			trackPosition: _.#targetPos,
+		});
 	}
 
 	// type = 'animate', 'jump', settle
@@ -2007,18 +3824,19 @@ class TrackAnimator {
 			trackPosition: _.#currentPos,
 			animationType: 'shift',
 		});
+
+		// the track wrapped around its seam
+		_.ctx.emitter.emit(_.ctx.events.track.looped, {
+			direction: value, // 1 when wrapping past the end, -1 when wrapping past the start
+			trackPosition: _.#currentPos,
+		});
 	}
 
 	destroy() {
 		const _ = this;
 
-		// clean up physics engine and its events
-		if (_.engine) {
-			_.engine.off('engine:position-changed', _.handlers.enginePositionChanged);
-			_.engine.off('engine:finished', _.handlers.engineAnimationFinished);
-			_.engine.stop();
-			_.engine = null;
-		}
+		// clean up the animation driver and its events
+		_.unloadDriver();
 
 		// remove context event listeners using specific handler references
 		if (_.ctx) {
@@ -2027,6 +3845,7 @@ class TrackAnimator {
 			emitter.off(events.drag.start, _.handlers.dragStart);
 			emitter.off(events.drag.move, _.handlers.dragMove);
 			emitter.off(events.drag.end, _.handlers.dragEnd);
+			emitter.off(events.drag.cancel, _.handlers.dragCancel);
 			emitter.off(events.track.requestFrame, _.handlers.trackRequestFrame);
 		}
 
@@ -2043,23 +3862,50 @@ class TrackAnimator {
  *
  **/
 class TrackManager {
+	/**
+	 * velocity tuning defaults, overridden by options.animation
+	 * navigationBoost - multiplier for velocities handed in by navigation
+	 * minVelocity - velocity used when none is given, and the floor for slowVelocityBoost
+	 * slowVelocityBoost - extra multiplier for velocities under minVelocity
+	 */
+	static defaults = Object.freeze({
+		navigationBoost: 1.2,
+		minVelocity: 15,
+		slowVelocityBoost: 1.3,
+	});
+
+	/** ms for a reducedMotionMode: 'fade' move, half fading out and half fading back in */
+	static fadeDuration = 240;
+
 	constructor(ctx, animator) {
 		const _ = this;
 
 		_.ctx = ctx;
 		_.animator = animator;
 
+		// transition waiting for its animation to complete
+		_.pendingTransition = null;
+
+		// timer for the running reduced motion fade
+		_.fadeTimer = null;
+
 		_.handlers = {
 			animationRequested: (payload) => {
 				const { index, trackPosition, velocity, type } = payload;
+				const transition = _.createTransition(payload);
 				if (trackPosition !== undefined) {
 					// Direct track position request (continuous positioning)
-					this.animateToTrackPosition(trackPosition, velocity, type);
+					this.animateToTrackPosition(trackPosition, velocity, type, transition);
 				} else if (index !== undefined) {
 					// Slide index request (discrete positioning)
-					this.animateToSlide(index, velocity, type);
+					this.animateToSlide(index, velocity, type, transition);
 				}
 			},
+			animationCompleted: ({ type }) => {
+				// a free mode coast picks its slide from wherever it stopped
+				if (type === 'coast') _.syncIndexToTrack();
+				_.completeTransition();
+			},
 		};
 
 		_.bindEvents();
@@ -2075,32 +3921,193 @@ class TrackManager {
 
 		// Listen for animation requests from the main carousel
 		emitter.on(events.animation.requested, _.handlers.animationRequested);
+		emitter.on(events.animation.completed, _.handlers.animationCompleted);
 	}
 
-	// settling track happens when the track has moved
-	// but the dragThreshold hasn't been reached
-	// this can be used in the effect render for certain animations
-	settleTrack() {
+	/**
+	 * build transition data from an animation request
+	 * @param {object} payload - animation:requested payload
+	 * @returns {{ prevIndex:number, index:number, kind:string, type:string }}
+	 */
+	createTransition(payload) {
+		const renderIndex = this.ctx.store.getState().renderIndex;
+		const isPosition = payload.trackPosition !== undefined;
+		return {
+			prevIndex: payload.prevIndex ?? renderIndex,
+			index: isPosition ? renderIndex : payload.index,
+			kind: payload.kind || (isPosition ? 'position' : 'slide'),
+			type: payload.type,
+		};
+	}
+
+	/**
+	 * emit carousel:before-transition and hold the transition until the animation completes
+	 * a newer transition replaces a pending one, so only the last one gets an after-transition
+	 * @param {object} transition - data from createTransition()
+	 * @param {number} direction - -1 moving left, 1 moving right, 0 no movement
+	 */
+	beginTransition(transition, direction) {
+		const _ = this;
+		_.pendingTransition = { ...transition, direction };
+		_.ctx.emitter.emit(_.ctx.events.carousel.beforeTransition, {
+			currentIndex: transition.prevIndex,
+			nextIndex: transition.index,
+			kind: transition.kind,
+			type: transition.type,
+			direction,
+		});
+	}
+
+	// emit carousel:after-transition for the pending transition
+	completeTransition() {
+		const _ = this;
+		const transition = _.pendingTransition;
+		if (!transition) return;
+
+		_.pendingTransition = null;
+		_.ctx.emitter.emit(_.ctx.events.carousel.afterTransition, {
+			prevIndex: transition.prevIndex,
+			currentIndex: transition.index,
+			kind: transition.kind,
+			type: transition.type,
+			direction: transition.direction,
+		});
+	}
+
+	// settling track happens when the track has moved
+	// but the dragThreshold hasn't been reached
+	// this can be used in the effect render for certain animations
+	settleTrack() {
 		const renderIndex = this.ctx.store.getState().renderIndex;
 		this.animateToSlide(renderIndex, 0, 'settle');
 	}
 
+	/**
+	 * free mode release: coast with friction only, unless the coast would leave the track
+	 * (spring back to the end instead) or freeMode.sticky wants it to land on a slide
+	 * @param {number} velocity - release velocity from the drag
+	 */
+	coastTrack(velocity = 0) {
+		const _ = this;
+		const { loop, freeMode } = _.ctx.store.getOptions();
+
+		// reduced motion: the track stays where it was let go
+		if (_.ctx.store.getState().reducedMotion) velocity = 0;
+
+		const lastIndex = _.ctx.store.getState().slideCount - 1;
+		const target = _.animator.getCoastTarget(velocity);
+
+		// keep non-looping tracks inside their ends
+		if (!loop && target > _.getTrackPosForIndex(0)) {
+			_.ctx.commands.goToSlide(0, velocity);
+			return;
+		}
+		if (!loop && target < _.getTrackPosForIndex(lastIndex)) {
+			_.ctx.commands.goToSlide(lastIndex, velocity);
+			return;
+		}
+
+		const index = _.getIndexForTrackPos(target);
+		if (freeMode?.sticky) {
+			_.ctx.commands.goToSlide(index, velocity);
+			return;
+		}
+
+		// a coast is a position transition: announce the slide it should rest on up front,
+		// the same way goToSlide does, then correct it when the coast actually stops
+		const currentPos = _.animator.currentPos;
+		const prevIndex = _.ctx.store.getState().renderIndex;
+		_.beginTransition(
+			{ prevIndex, index, kind: 'position', type: 'coast' },
+			Math.sign(target - currentPos)
+		);
+		_.syncIndex(index);
+		_.animator.coast(velocity);
+	}
+
+	/**
+	 * set renderIndex / pageIndex (and the pending transition) to the slide
+	 * closest to where the track is now
+	 */
+	syncIndexToTrack() {
+		const _ = this;
+		const index = _.getIndexForTrackPos(_.animator.currentPos);
+		if (_.pendingTransition) _.pendingTransition.index = index;
+		_.syncIndex(index);
+	}
+
+	/**
+	 * set renderIndex / pageIndex for a slide index
+	 * selectedIndex follows renderIndex through the store like any goToSlide
+	 * @param {number} index - slide index
+	 */
+	syncIndex(index) {
+		const perMove = this.ctx.store.getOptions().slidesPerMove ?? 1;
+		this.ctx.store.setState({
+			renderIndex: index,
+			pageIndex: Math.floor(index / perMove),
+		});
+	}
+
+	/**
+	 * the slide whose resting position is closest to a track position
+	 * looping tracks compare positions around the loop
+	 * @param {number} trackPosition
+	 * @returns {number} slide index
+	 */
+	getIndexForTrackPos(trackPosition) {
+		const _ = this;
+		const { slideCount } = _.ctx.store.getState();
+		const trackWidth = _.ctx.store.getWidths().track;
+		const loop = _.ctx.store.getOptions().loop && trackWidth > 0;
+
+		let nearest = 0;
+		let nearestDistance = Infinity;
+		for (let i = 0; i < slideCount; i++) {
+			let distance = Math.abs(trackPosition - _.getTrackPosForIndex(i));
+			if (loop) {
+				distance %= trackWidth;
+				distance = Math.min(distance, trackWidth - distance);
+			}
+			// strictly closer, so clamped ends resolve to their first slide
+			if (distance < nearestDistance - 0.5) {
+				nearestDistance = distance;
+				nearest = i;
+			}
+		}
+		return nearest;
+	}
+
 	// calculates position on track and tells animator to go
-	animateToSlide(slideIndex, velocity, animationType) {
+	animateToSlide(slideIndex, velocity, animationType, transition = null) {
 		// Convert slide index to track position and delegate to animateToTrackPosition
 		const trackPosition = this.getTrackPosForIndex(slideIndex);
-		this.animateToTrackPosition(trackPosition, velocity, animationType);
+		this.animateToTrackPosition(trackPosition, velocity, animationType, transition);
 	}
 
 	// Direct track position animation for continuous positioning
-	animateToTrackPosition(trackPosition, velocity, animationType) {
+	animateToTrackPosition(trackPosition, velocity, animationType, transition = null) {
 		const _ = this;
 		const currentPos = _.animator.currentPos;
 		let newPos = trackPosition; // Direct position, no conversion needed
 		const trackWidth = _.ctx.store.getWidths().track;
 
+		// a new move replaces a running fade
+		_.cancelFade();
+
+		// reduced motion swaps animated moves for jumps, or for a fade around the jump
+		if (_.ctx.store.getState().reducedMotion && animationType !== 'jump') {
+			const isFade = _.ctx.store.getOptions().reducedMotionMode === 'fade';
+			if (isFade && animationType !== 'settle' && newPos !== currentPos) {
+				_.fadeToTrackPosition(newPos, transition, newPos < currentPos ? -1 : 1);
+				return;
+			}
+			animationType = 'jump';
+		}
+
 		// Handle jump animation immediately
 		if (animationType === 'jump') {
+			if (transition) _.beginTransition(transition, 0);
 			_.animator.animateToPosition(newPos, 0, 'jump', 0); // direction = 0 for jump
 			return;
 		}
@@ -2138,13 +4145,17 @@ class TrackManager {
 		}
 
 		// Apply velocity logic if none provided
+		const { navigationBoost, minVelocity, slowVelocityBoost } = {
+			...TrackManager.defaults,
+			..._.ctx.store.getOptions().animation,
+		};
 		if (velocity === undefined) {
-			velocity = newPos < currentPos ? -15 : 15;
+			velocity = newPos < currentPos ? -minVelocity : minVelocity;
 		} else {
 			// Give provided velocity a boost
-			velocity *= 1.2;
+			velocity *= navigationBoost;
 			// Minimum velocity threshold
-			if (Math.abs(velocity) < 15) velocity *= 1.3;
+			if (Math.abs(velocity) < minVelocity) velocity *= slowVelocityBoost;
 		}
 
 		// Calculate direction: -1 for left, 1 for right, 0 for no movement
@@ -2155,6 +4166,8 @@ class TrackManager {
 			direction = 1; // moving right
 		}
 
+		if (transition) _.beginTransition(transition, direction);
+
 		// Trigger animation
 		_.animator.animateToPosition(newPos, velocity, animationType, direction);
 	}
@@ -2175,7 +4188,7 @@ class TrackManager {
 		const widths = _.ctx.store.getWidths();
 
 		// we're including the left and right padding in these calculations
-		let pos = slideIndex * (widths.slide + widths.gap);
+		let pos = _.ctx.utils.getSlideStart(widths, slideIndex);
 		const minPos = 0 - widths.paddingLeft;
 		const maxPos = widths.track - widths.viewport - widths.gap + widths.paddingRight - 0.1;
 
@@ -2183,7 +4196,7 @@ class TrackManager {
 		if (pos != minPos && pos != maxPos && options.centerSelectedSlide) {
 			// center selected slide
 			pos -= widths.viewport / 2;
-			pos += widths.slide / 2;
+			pos += _.ctx.utils.getSlideWidth(widths, slideIndex) / 2;
 		} else {
 			// account for left padding
 			pos -= widths.paddingLeft;
@@ -2208,6 +4221,44 @@ class TrackManager {
 		return pos;
 	}
 
+	/**
+	 * reduced motion fade: the viewport fades out, the track jumps, and the viewport fades back in
+	 * @param {number} trackPosition - position to jump to
+	 * @param {object|null} transition - data from createTransition()
+	 * @param {number} direction - -1 moving left, 1 moving right
+	 */
+	fadeToTrackPosition(trackPosition, transition, direction) {
+		const _ = this;
+		const viewport = _.ctx.viewport;
+		const half = TrackManager.fadeDuration / 2;
+
+		if (transition) _.beginTransition(transition, direction);
+
+		viewport.style.transition = `opacity ${half}ms ease-out`;
+		viewport.style.opacity = '0';
+
+		_.fadeTimer = setTimeout(() => {
+			_.animator.animateToPosition(trackPosition, 0, 'jump', 0);
+			viewport.style.opacity = '';
+
+			_.fadeTimer = setTimeout(() => {
+				_.fadeTimer = null;
+				viewport.style.transition = '';
+			}, half);
+		}, half);
+	}
+
+	// stop a running fade and put the viewport back
+	cancelFade() {
+		const _ = this;
+		if (_.fadeTimer === null) return;
+
+		clearTimeout(_.fadeTimer);
+		_.fadeTimer = null;
+		_.ctx.viewport.style.transition = '';
+		_.ctx.viewport.style.opacity = '';
+	}
+
 	/**
 	 * destroy the track manager and clean up event listeners
 	 */
@@ -2217,6 +4268,9 @@ class TrackManager {
 
 		// Clean up event listeners
 		emitter.off(events.animation.requested, _.handlers.animationRequested);
+		emitter.off(events.animation.completed, _.handlers.animationCompleted);
+		_.cancelFade();
+		_.pendingTransition = null;
 	}
 }
 
@@ -2240,6 +4294,12 @@ class WindowEvents {
 		_.carousel = ctx.carousel;
 		_.viewport = ctx.viewport;
 
+		// slides watched by the resize observer (slideWidth: 'auto' only)
+		_.observedSlides = [];
+
+		// os level motion preference, resolved against options.reducedMotion
+		_.reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+
 		// helper: check if an event originated inside the carousel
 		_.isInsideCarousel = (e) => {
 			const path = e?.composedPath?.() || [];
@@ -2254,6 +4314,16 @@ class WindowEvents {
 				_.ctx.emitter.emit(_.ctx.events.window.resize, { event });
 			},
 
+			// auto width and adaptive height slides change size with their content (fonts, images), so watch them too
+			syncSlideObservers: () => {
+				_.observeSlides();
+			},
+
+			// the os setting or the reducedMotion option changed
+			syncReducedMotion: () => {
+				_.syncReducedMotion();
+			},
+
 			// focus carousel on click for keyboard navigation
 			handleCarouselClick: (event) => {
 				// only focus if clicking on the carousel itself or viewport/track, not interactive elements
@@ -2287,15 +4357,29 @@ class WindowEvents {
 				_.ctx.emitter.emit(_.ctx.events.window.visibilityChange, { hidden: document.hidden });
 			},
 
+			// a dir attribute changed somewhere on the page, only a flip of our own direction matters
+			handleDirMutation: () => {
+				const rtl = getComputedStyle(_.carousel).direction === 'rtl';
+				if (rtl === _.ctx.store.getState().rtl) return;
+				_.ctx.emitter.emit(_.ctx.events.window.directionChange, { rtl });
+			},
+
 			// user inputs that imply interaction (for autoplay pause)
 			handleKeyDown: (event) => {
 				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'key', event });
 				
 				// core arrow key support only when carousel itself has focus
 				// plugins handle their own keyboard events and call stopPropagation()
-				if (['ArrowLeft', 'ArrowRight'].includes(event.key) && event.target === _.carousel) {
+				// vertical carousels navigate with up/down instead of left/right
+				// rtl carousels mirror left/right
+				const [prevKey, nextKey] =
+					_.ctx.store.getOptions().axis === 'vertical'
+						? ['ArrowUp', 'ArrowDown']
+						: ['ArrowLeft', 'ArrowRight'];
+				const key = _.ctx.utils.mirrorArrowKey(event.key, _.ctx.store.getState().rtl);
+				if ([prevKey, nextKey].includes(key) && event.target === _.carousel) {
 					event.preventDefault();
-					const direction = event.key === 'ArrowLeft' ? -1 : 1;
+					const direction = key === prevKey ? -1 : 1;
 					_.ctx.emitter.emit(_.ctx.events.keyboard.arrow, { direction, event });
 				}
 			},
@@ -2309,12 +4393,21 @@ class WindowEvents {
 			}, 4),
 		};
 
+		// last measured viewport length along the carousel axis
+		_.viewportLength = null;
+
 		// create a resize observer for the viewport element (in case its size changes independently)
 		_.viewportObserver = new ResizeObserver((entries) => {
+			// the viewport's cross-axis size is set by adaptiveHeight, only its length needs a relayout
+			const entry = entries.find((item) => item.target !== _.viewport || _.hasViewportLengthChanged(item));
+
 			// trigger unified handler
-			_.handlers.unifiedResizeHandler(entries?.[0]);
+			if (entry) _.handlers.unifiedResizeHandler(entry);
 		});
 
+		// direction is inherited, so watch dir on the whole document (our own attribute included)
+		_.directionObserver = new MutationObserver(_.handlers.handleDirMutation);
+
 		_.init();
 	}
 
@@ -2346,6 +4439,74 @@ class WindowEvents {
 		if (_.viewport) {
 			_.viewportObserver.observe(_.viewport);
 		}
+
+		_.directionObserver.observe(document.documentElement, {
+			attributes: true,
+			attributeFilter: ['dir'],
+			subtree: true,
+		});
+
+		// keep slide observers in step with the slide list and slideWidth option
+		_.ctx.emitter.on(_.ctx.events.store.slidesChanged, _.handlers.syncSlideObservers);
+		_.ctx.emitter.on(_.ctx.events.store.optionsChanged, _.handlers.syncSlideObservers);
+
+		// follow prefers-reduced-motion live
+		_.reducedMotionQuery?.addEventListener?.('change', _.handlers.syncReducedMotion);
+		_.ctx.emitter.on(_.ctx.events.store.optionsChanged, _.handlers.syncReducedMotion);
+		_.syncReducedMotion();
+	}
+
+	/**
+	 * resolve options.reducedMotion against the os preference into state.reducedMotion
+	 * and the tarot-reduced-motion class
+	 */
+	syncReducedMotion() {
+		const _ = this;
+		const mode = _.ctx.store.getOptions().reducedMotion;
+		const reducedMotion =
+			mode === 'always' || (mode !== 'never' && !!_.reducedMotionQuery?.matches);
+
+		_.carousel.classList.toggle('tarot-reduced-motion', reducedMotion);
+		if (_.ctx.store.getState().reducedMotion !== reducedMotion) {
+			_.ctx.store.setState({ reducedMotion });
+		}
+	}
+
+	/**
+	 * whether a viewport resize changed its length along the carousel axis
+	 * @param {ResizeObserverEntry} entry
+	 * @returns {boolean}
+	 */
+	hasViewportLengthChanged(entry) {
+		const _ = this;
+		const { width, height } = entry.contentRect || {};
+		const length = _.ctx.store.getOptions().axis === 'vertical' ? height : width;
+		if (length === _.viewportLength) return false;
+		_.viewportLength = length;
+		return true;
+	}
+
+	/**
+	 * observe each slide when slides are measured individually (slideWidth: 'auto', adaptiveHeight)
+	 * slides that are already observed are left alone so they don't report again
+	 */
+	observeSlides() {
+		const _ = this;
+		if (!_.viewportObserver) return;
+
+		const options = _.ctx.store.getOptions();
+		const slides =
+			options.slideWidth === 'auto' || options.adaptiveHeight
+				? Array.from(_.ctx.store.getSlides())
+				: [];
+
+		_.observedSlides.forEach((slide) => {
+			if (!slides.includes(slide)) _.viewportObserver.unobserve(slide);
+		});
+		slides.forEach((slide) => {
+			if (!_.observedSlides.includes(slide)) _.viewportObserver.observe(slide);
+		});
+		_.observedSlides = slides;
 	}
 
 	/**
@@ -2374,11 +4535,28 @@ class WindowEvents {
 		_.carousel.removeEventListener('wheel', _.handlers.handleWheel, { passive: true });
 		_.carousel.removeEventListener('click', _.handlers.handleCarouselClick, true);
 
-		// disconnect the viewport observer
+		// drop a resize that is still waiting on the debounce
+		_.handlers.unifiedResizeHandler.cancel();
+
+		_.ctx.emitter.off(_.ctx.events.store.slidesChanged, _.handlers.syncSlideObservers);
+		_.ctx.emitter.off(_.ctx.events.store.optionsChanged, _.handlers.syncSlideObservers);
+
+		_.reducedMotionQuery?.removeEventListener?.('change', _.handlers.syncReducedMotion);
+		_.ctx.emitter.off(_.ctx.events.store.optionsChanged, _.handlers.syncReducedMotion);
+		_.carousel.classList.remove('tarot-reduced-motion');
+
+		// disconnect the viewport (and slide) observer
 		if (_.viewportObserver) {
 			_.viewportObserver.disconnect();
 			_.viewportObserver = null;
 		}
+
+		if (_.directionObserver) {
+			_.directionObserver.disconnect();
+			_.directionObserver = null;
+		}
+
+		_.observedSlides = [];
 	}
 }
 
@@ -2604,10 +4782,15 @@ class SlideStateManager {
 			.map((info) => info.slide);
 	}
 
-	/** reset classes/attributes */
+	/** unbind events and reset classes/attributes */
 	destroy() {
 		const _ = this;
 
+		// unbind event handlers
+		if (_.handlers?.renderIndexChanged) {
+			_.ctx.emitter.off(_.ctx.events.store.renderIndexChanged, _.handlers.renderIndexChanged);
+		}
+
 		// reset slide state
 		const slides = _.ctx.carousel.querySelectorAll('tarot-slide');
 		for (const slide of slides) {
@@ -2651,8 +4834,7 @@ class SlideStateManager {
 		// check if announcements are enabled
 		if (!options.announcements || !_.ctx.announcements) return;
 		
-		const slides = _.ctx.store.getSlides();
-		const total = slides.length;
+		const total = _.ctx.store.getState().slideCount;
 		
 		// create announcement text
 		const announcement = `Slide ${slideIndex + 1} of ${total}`;
@@ -2660,18 +4842,6 @@ class SlideStateManager {
 		// update announcement element content
 		_.ctx.announcements.textContent = announcement;
 	}
-
-	/**
-	 * cleanup method for destroying the manager
-	 */
-	destroy() {
-		const _ = this;
-		
-		// unbind event handlers
-		if (_.handlers?.renderIndexChanged) {
-			_.ctx.emitter.off(_.ctx.events.store.renderIndexChanged, _.handlers.renderIndexChanged);
-		}
-	}
 }
 
 /**
@@ -2814,128 +4984,448 @@ function createFrameUtils(frame) {
 	};
 }
 
-class FrameEngine {
-	#slideStateManager;
-	ctx;
+/**
+ * slide-transitions
+ * animates slides joining or leaving the carousel (filters, addSlide, removeSlide)
+ * - owned by frame-engine, runs right after effect.render() on every frame while a transition is live
+ * - entering slides go through effect.renderEnter(), leaving ones through effect.renderExit()
+ *   and stay visible (held in place on screen) until they have animated out
+ * - slides that stayed but changed render index glide from where they were (FLIP) with effect.renderMove()
+ * - the styles the hooks write are put back to the effect's own values every frame, so they compose
+ */
+class SlideTransitions {
+	/** inline styles the transition hooks write on top of the effect */
+	static styleProperties = ['opacity', 'scale', 'translate'];
 
+	/**
+	 * @constructor
+	 * @param {object} ctx - shared module context
+	 */
 	constructor(ctx) {
 		const _ = this;
 		_.ctx = ctx;
 
-		_.#slideStateManager = new SlideStateManager(ctx);
+		/** @type {Map<HTMLElement, {type:'enter'|'exit'|'move', start:number|null, progress:number, offset:number, from:number, base:object|null}>} */
+		_.transitions = new Map();
 
-		_.effect = null;
-		_.rafId = null;
+		// cached easing function and the option value it was built from
+		_.easing = null;
+		_.easingSource = null;
 
 		_.handlers = {
-			effectChanged: () => {
-				_.effect = ctx.commands.getEffect();
-				_.requestFrame();
-			},
-			storeDirty: () => {
-				_.requestFrame();
+			slidesChanged: ({ prevSlides, currentSlides }) => {
+				_.slidesChanged(prevSlides, currentSlides);
 			},
 		};
-		_.bindEvents();
+
+		_.ctx.emitter.on(_.ctx.events.store.slidesChanged, _.handlers.slidesChanged);
 	}
 
-	bindEvents() {
+	/** @returns {boolean} whether changes to the slide set animate */
+	isEnabled() {
 		const _ = this;
-		const { emitter, events } = _.ctx;
-
-		// effect swapped
-		emitter.on(events.effect.changed, _.handlers.effectChanged);
+		const options = _.ctx.store.getOptions();
+		const { duration } = options.slideTransitions || {};
+		// virtual slides are recycled rather than added or removed
+		return duration > 0 && !options.virtual && !_.ctx.store.getState().reducedMotion;
+	}
 
-		// store changed → request frame
-		emitter.on(events.store.changedDirty, _.handlers.storeDirty);
+	/** @returns {boolean} whether frames are still needed */
+	isActive() {
+		return this.transitions.size > 0;
 	}
 
-	requestFrame() {
-		const _ = this;
-		if (_.rafId !== null) return; // already pending
-		_.rafId = requestAnimationFrame(_.onFrame.bind(_));
+	/**
+	 * on-screen offset a slide is drawn at right now, on top of its track position
+	 * @param {HTMLElement} slide
+	 * @returns {number}
+	 */
+	getCurrentOffset(slide) {
+		const entry = this.transitions.get(slide);
+		if (!entry || entry.start === null) return entry?.type === 'move' ? entry.offset : 0;
+		return entry.type === 'move' ? entry.offset * (1 - entry.progress) : 0;
 	}
 
-	cancel() {
+	/**
+	 * diff the old and new slide sets and queue enter / exit / move transitions
+	 * the slides still carry last frame's trackPosition here, that is where they are on screen
+	 * @param {HTMLElement[]} prevSlides
+	 * @param {HTMLElement[]} currentSlides
+	 */
+	slidesChanged(prevSlides, currentSlides) {
 		const _ = this;
-		if (_.rafId !== null) {
-			cancelAnimationFrame(_.rafId);
-			_.rafId = null;
+
+		// first load or transitions off: nothing animates, land everything in place
+		if (!prevSlides.length || !_.isEnabled()) {
+			_.finishAll();
+			return;
 		}
-	}
 
-	onFrame(time) {
-		const _ = this;
+		const prev = new Set(prevSlides);
+		const current = new Set(currentSlides);
+		const { trackPosition } = _.ctx.store.getAnimation();
 
-		// clear rafId
-		_.rafId = null;
+		for (const slide of currentSlides) {
+			const entry = _.transitions.get(slide);
 
-		// Step 1: Tell SlideManager to prep slides (updates datastore)
-		_.ctx.commands.getSlideManager().prepSlidesForFrame();
+			if (!prev.has(slide)) {
+				// back before it finished leaving, or brand new
+				if (entry) _.restoreStyles(slide, entry);
+				slide.classList.remove('tarot-exiting');
+				_.transitions.set(slide, _.createEntry('enter'));
+				continue;
+			}
 
-		// Step 2: Get fresh snapshot with prepped slides
-		const snapshot = _.ctx.store.getSnapshot();
+			// an entrance keeps going, the slide just slides along with the rest
+			if (entry?.type === 'enter') continue;
 
-		// Sort slides by renderIndex (important for transform calculations)
-		// Create a copy for sorting since we shouldn't mutate the original array
-		const sortedSlides = [...snapshot.slides].sort((a, b) => a.renderIndex - b.renderIndex);
+			const from = slide.trackPosition + _.getCurrentOffset(slide) + trackPosition;
+			if (entry) _.restoreStyles(slide, entry);
+			_.transitions.set(slide, { ..._.createEntry('move'), from });
+		}
 
-		// Step 3: Build frame object with all data
-		const frame = Object.freeze({
-			state: snapshot.state, // all carousel state: selectedIndex, renderIndex, page, etc.
-			widths: snapshot.widths, // all measured widths: viewport, slide, gap, etc.
-			options: snapshot.options, // current active options in datastore
-			slides: sortedSlides, // prepped slides array with calculated positions
-			animation: snapshot.animation, // { type, trackPosition, trackDelta, velocity, progress }
-			transformPoints: snapshot.transformPoints, // named position points for effects
-			time: time, // current animation frame timestamp from requestAnimationFrame
-		});
+		for (const slide of prevSlides) {
+			if (current.has(slide)) continue;
 
-		// render frame
-		_.renderFrame(frame);
+			const entry = _.transitions.get(slide);
+			const offset = _.getCurrentOffset(slide);
+			if (entry) _.restoreStyles(slide, entry);
 
-		// mark store as clean after processing
-		_.ctx.store.markAsClean();
+			// only slides still in the track can be seen leaving
+			if (slide.parentNode !== _.ctx.track) {
+				_.transitions.delete(slide);
+				continue;
+			}
 
-		// schedule next frame only while an animation is in progress
-		if (snapshot.animation.isAnimating) {
-			// Emit event to tell track animator to continue physics calculations
-			// The physics engine uses time delta between frames to calculate movement
-			_.ctx.emitter.emit(_.ctx.events.track.requestFrame, { time });
+			slide.hidden = false;
+			slide.classList.add('tarot-exiting');
+			slide.setAttribute('aria-hidden', 'true');
+			_.transitions.set(slide, { ..._.createEntry('exit'), from: trackPosition + offset });
+		}
+	}
 
-			// request next frame
-			_.requestFrame();
+	/**
+	 * @param {'enter'|'exit'|'move'} type
+	 * @returns {object}
+	 */
+	createEntry(type) {
+		return { type, start: null, progress: 0, offset: 0, from: 0, base: null };
+	}
+
+	/**
+	 * put back the effect's values before it renders again, so hooks never read their own writes
+	 * called by frame-engine before effect.render()
+	 */
+	beforeRender() {
+		const _ = this;
+		for (const [slide, entry] of _.transitions) {
+			_.restoreStyles(slide, entry);
 		}
 	}
 
-	renderFrame(frame) {
+	/**
+	 * run the effect's transition hooks for this frame
+	 * @param {object} frame
+	 * @param {TarotEffect} effect
+	 */
+	render(frame, effect) {
 		const _ = this;
+		if (!_.transitions.size) return;
 
-		// emit before render event
-		_.ctx.emitter.emit(_.ctx.events.frame.beforeRender, frame);
+		const { duration, easing } = frame.options.slideTransitions;
+		if (_.easingSource !== easing) {
+			_.easing = parseEasing(easing);
+			_.easingSource = easing;
+		}
 
-		// pass frame and utils to effect.render(frame, utils)
-		const utils = createFrameUtils(frame);
-		_.effect.render(frame, utils);
+		const { options, widths, animation } = frame;
+		for (const [slide, entry] of _.transitions) {
+			if (entry.start === null) {
+				entry.start = frame.time;
 
-		// update classes and ARIA states based on visibility in viewport
-		_.#slideStateManager.updateSlides(frame.animation.trackPosition);
+				// FLIP: how far the slide jumped between the last frame and this one
+				if (entry.type === 'move') {
+					entry.offset = entry.from - (slide.trackPosition + animation.trackPosition);
 
-		// emit after render event
-		_.ctx.emitter.emit(_.ctx.events.frame.afterRender, frame);
-	}
+					// a loop wrap moves a slide across the whole track, let it jump
+					const isWrap = options.loop && Math.abs(entry.offset) > widths.track / 2;
+					if (Math.abs(entry.offset) < 0.5 || isWrap) {
+						_.transitions.delete(slide);
+						continue;
+					}
+				}
+			}
 
-	destroy() {
-		const _ = this;
-		const { emitter, events } = _.ctx;
+			const linear = Math.min(1, Math.max(0, (frame.time - entry.start) / duration));
+			if (linear >= 1) {
+				_.finish(slide, entry);
+				continue;
+			}
 
-		// Cancel any pending animation frame
+			entry.progress = _.easing(linear);
+			entry.base = _.readStyles(slide);
+
+			if (entry.type === 'enter') {
+				effect.renderEnter(slide, entry.progress, frame);
+			} else if (entry.type === 'exit') {
+				// hold it where it was on screen while the track moves on
+				effect.renderMove(slide, 0, entry.from - animation.trackPosition, frame);
+				effect.renderExit(slide, entry.progress, frame);
+			} else {
+				effect.renderMove(slide, entry.progress, entry.offset, frame);
+			}
+		}
+	}
+
+	/**
+	 * @param {HTMLElement} slide
+	 * @returns {object} the hook-managed inline styles as they are now
+	 */
+	readStyles(slide) {
+		const base = {};
+		for (const property of SlideTransitions.styleProperties) {
+			base[property] = slide.style[property];
+		}
+		return base;
+	}
+
+	/**
+	 * @param {HTMLElement} slide
+	 * @param {object} entry
+	 */
+	restoreStyles(slide, entry) {
+		if (!entry.base) return;
+		for (const property of SlideTransitions.styleProperties) {
+			slide.style[property] = entry.base[property];
+		}
+		entry.base = null;
+	}
+
+	/**
+	 * end a transition: back to the effect's styles, leaving slides get hidden again
+	 * @param {HTMLElement} slide
+	 * @param {object} entry
+	 */
+	finish(slide, entry) {
+		const _ = this;
+		_.restoreStyles(slide, entry);
+		_.transitions.delete(slide);
+
+		if (entry.type === 'exit') {
+			slide.classList.remove('tarot-exiting');
+			if (!_.ctx.store.getSlides().includes(slide)) slide.hidden = true;
+			_.ctx.emitter.emit(_.ctx.events.slides.exited, { slide });
+		} else if (entry.type === 'enter') {
+			_.ctx.emitter.emit(_.ctx.events.slides.entered, { slide });
+		}
+	}
+
+	/** jump every transition to its end */
+	finishAll() {
+		const _ = this;
+		for (const [slide, entry] of [..._.transitions]) {
+			_.finish(slide, entry);
+		}
+	}
+
+	destroy() {
+		const _ = this;
+
+		// the slide manager has already shown every slide again, so leaving ones aren't hidden
+		for (const [slide, entry] of _.transitions) {
+			_.restoreStyles(slide, entry);
+			slide.classList.remove('tarot-exiting');
+		}
+		_.transitions.clear();
+		_.ctx.emitter.off(_.ctx.events.store.slidesChanged, _.handlers.slidesChanged);
+	}
+}
+
+class FrameEngine {
+	#slideStateManager;
+	#slideTransitions;
+	ctx;
+
+	constructor(ctx) {
+		const _ = this;
+		_.ctx = ctx;
+
+		_.#slideStateManager = new SlideStateManager(ctx);
+		_.#slideTransitions = new SlideTransitions(ctx);
+
+		_.effect = null;
+		_.rafId = null;
+
+		_.handlers = {
+			effectChanged: ({ previousEffect, currentEffect }) => {
+				// a different effect starts from a settled set of slides (a reInit reloads the same one)
+				if (previousEffect?.constructor !== currentEffect?.constructor) {
+					_.#slideTransitions.finishAll();
+				}
+				_.effect = ctx.commands.getEffect();
+				_.requestFrame();
+			},
+			storeDirty: () => {
+				_.requestFrame();
+			},
+		};
+		_.bindEvents();
+	}
+
+	bindEvents() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+
+		// effect swapped
+		emitter.on(events.effect.changed, _.handlers.effectChanged);
+
+		// store changed → request frame
+		emitter.on(events.store.changedDirty, _.handlers.storeDirty);
+	}
+
+	requestFrame() {
+		const _ = this;
+		if (_.rafId !== null) return; // already pending
+		_.rafId = requestAnimationFrame(_.onFrame.bind(_));
+	}
+
+	cancel() {
+		const _ = this;
+		if (_.rafId !== null) {
+			cancelAnimationFrame(_.rafId);
+			_.rafId = null;
+		}
+	}
+
+	onFrame(time) {
+		const _ = this;
+
+		// clear rafId
+		_.rafId = null;
+
+		// Step 1: Tell SlideManager to prep slides (updates datastore)
+		_.ctx.commands.getSlideManager().prepSlidesForFrame();
+
+		// Step 2: Get fresh snapshot with prepped slides
+		const snapshot = _.ctx.store.getSnapshot();
+
+		// Sort slides by renderIndex (important for transform calculations)
+		// Create a copy for sorting since we shouldn't mutate the original array
+		const sortedSlides = [...snapshot.slides].sort((a, b) => a.renderIndex - b.renderIndex);
+
+		// Step 3: Build frame object with all data
+		const frame = Object.freeze({
+			state: snapshot.state, // all carousel state: selectedIndex, renderIndex, page, etc.
+			widths: snapshot.widths, // all measured widths: viewport, slide, gap, etc.
+			options: snapshot.options, // current active options in datastore
+			slides: sortedSlides, // prepped slides array with calculated positions
+			animation: snapshot.animation, // { type, trackPosition, trackDelta, velocity, progress }
+			transformPoints: snapshot.transformPoints, // named position points for effects
+			time: time, // current animation frame timestamp from requestAnimationFrame
+		});
+
+		// render frame
+		_.renderFrame(frame);
+
+		// mark store as clean after processing
+		_.ctx.store.markAsClean();
+
+		// schedule next frame only while an animation is in progress
+		if (snapshot.animation.isAnimating) {
+			// Emit event to tell track animator to continue physics calculations
+			// The physics engine uses time delta between frames to calculate movement
+			_.ctx.emitter.emit(_.ctx.events.track.requestFrame, { time });
+
+			// request next frame
+			_.requestFrame();
+		} else if (_.#slideTransitions.isActive()) {
+			// slides still entering, leaving or gliding to their new index
+			_.requestFrame();
+		}
+	}
+
+	renderFrame(frame) {
+		const _ = this;
+
+		// emit before render event
+		_.ctx.emitter.emit(_.ctx.events.frame.beforeRender, frame);
+
+		// pass frame and utils to effect.render(frame, utils)
+		const utils = createFrameUtils(frame);
+		_.#slideTransitions.beforeRender();
+		_.effect.render(frame, utils);
+
+		// enter / exit / move transitions compose on top of the effect
+		_.#slideTransitions.render(frame, _.effect);
+
+		// size the viewport to the slides in view (adaptiveHeight)
+		_.renderAdaptiveHeight(frame);
+
+		// update classes and ARIA states based on visibility in viewport
+		_.#slideStateManager.updateSlides(frame.animation.trackPosition);
+
+		// emit after render event
+		_.ctx.emitter.emit(_.ctx.events.frame.afterRender, frame);
+	}
+
+	/**
+	 * adaptiveHeight: blend the viewport height between the heights of the slides in view
+	 * fully visible slides set the height, partly visible ones pull it towards theirs by how
+	 * much of them shows, so it follows the same trackPosition as the effect
+	 * @param {object} frame
+	 */
+	renderAdaptiveHeight(frame) {
+		const _ = this;
+		const { options, widths, animation } = frame;
+		const heights = widths.slideHeights;
+		if (!options.adaptiveHeight || options.axis === 'vertical' || !heights?.length) return;
+
+		const infos = _.ctx.utils
+			.getSlidesInViewport(_.ctx, animation.trackPosition)
+			.filter((info) => info.isVisible);
+		if (!infos.length) return;
+
+		let fullHeight = 0;
+		let blended = 0;
+		let visibility = 0;
+		for (const info of infos) {
+			const height = heights[info.index] || 0;
+			if (info.visibilityPercent >= 0.999) fullHeight = Math.max(fullHeight, height);
+			blended += height * info.visibilityPercent;
+			visibility += info.visibilityPercent;
+		}
+
+		// nothing fully in view (one slide per view, mid-move): weigh by visibility
+		let height = blended / visibility;
+		if (fullHeight) {
+			height = fullHeight;
+			for (const info of infos) {
+				const slideHeight = heights[info.index] || 0;
+				if (info.visibilityPercent < 0.999 && slideHeight > fullHeight) {
+					height = Math.max(height, fullHeight + (slideHeight - fullHeight) * info.visibilityPercent);
+				}
+			}
+		}
+
+		_.ctx.viewport.style.height = `${Math.round(height * 2) / 2}px`;
+	}
+
+	destroy() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+
+		// Cancel any pending animation frame
 		_.cancel();
 
 		// Unbind events
 		emitter.off(events.effect.changed, _.handlers.effectChanged);
 		emitter.off(events.store.changedDirty, _.handlers.storeDirty);
 
+		if (_.#slideTransitions) {
+			_.#slideTransitions.destroy();
+			_.#slideTransitions = null;
+		}
+
 		// Destroy slide state manager
 		if (_.#slideStateManager) {
 			_.#slideStateManager.destroy();
@@ -2995,6 +5485,8 @@ class DataStore {
 			pageCount: 1,
 			isDragging: false,
 			slideCount: 0,
+			rtl: false, // resolved css direction of the host (dir attr or inherited)
+			reducedMotion: false, // resolved options.reducedMotion + prefers-reduced-motion
 		};
 		_.#widths = {
 			viewport: 0,
@@ -3005,6 +5497,9 @@ class DataStore {
 			slideAndGap: 0,
 			paddingLeft: 0,
 			paddingRight: 0,
+			slideWidths: [], // per-slide lengths in dom order
+			slideStarts: [], // per-slide start offsets on the track
+			slideHeights: [], // per-slide content heights (adaptiveHeight only)
 		};
 		_.#slides = [];
 		_.#transformPoints = {};
@@ -3034,13 +5529,18 @@ class DataStore {
 
 	/**
 	 * merges a patch into options and emits options:changed
+	 * - no-op (no event, no frame) when the merged options are deeply equal to the current ones
 	 * @param {object} [patch={}] - partial options to merge
+	 * @returns {boolean} true if options changed
 	 */
 	setOptions(patch = {}) {
 		const _ = this;
 
     const prevOptions = _.getOptions();
-    _.#options = { ..._.#options, ...patch };
+    const nextOptions = { ..._.#options, ...patch };
+    if (areOptionsEqual(prevOptions, nextOptions)) return false;
+
+    _.#options = nextOptions;
     const currentOptions = _.getOptions();
 
 		_.#markAsDirty();
@@ -3049,6 +5549,8 @@ class DataStore {
         prevOptions,
         currentOptions,
     });
+
+		return true;
 	}
 
 	// ---------------------------------------------------------------------
@@ -3153,12 +5655,25 @@ class DataStore {
 		return Object.freeze([...this.#slides]);
 	}
 
+	/**
+	 * the slide showing a core index (slide.index)
+	 * in virtual mode only the slides in the dom are stored, any other index gives undefined
+	 * @param {number} index
+	 * @returns {HTMLElement|undefined}
+	 */
+	getSlide(index) {
+		const slides = this.#slides;
+		if (slides[index]?.index === index) return slides[index];
+		return slides.find((slide) => slide.index === index);
+	}
+
 	/**
 	 * replaces the slides array, syncs slideCount in state,
 	 * and emits slides:changed
 	 * @param {Array} [slides=[]] - new slide descriptors
+	 * @param {number} [slideCount=slides.length] - virtual mode counts items, not the slides in the dom
 	 */
-	setSlides(slides = []) {
+	setSlides(slides = [], slideCount = slides.length) {
 		const _ = this;
 
     // cache previous and set slides
@@ -3167,7 +5682,7 @@ class DataStore {
     const currentSlides = _.getSlides();
 
 		// keep slideCount in sync via state setter (also emits fine-grained events)
-		_.setState({ slideCount: _.#slides.length });
+		_.setState({ slideCount });
 
 		_.#markAsDirty();
 
@@ -3378,11 +5893,11 @@ function throttle(callback, limit) {
  * @param {Function} func - the function to debounce
  * @param {number} wait - the number of milliseconds to wait before calling func
  * @param {boolean} [immediate=false] - if true, func is called on the leading edge of the timeout
- * @returns {Function} a debounced function that delays invoking func
+ * @returns {Function} a debounced function that delays invoking func, with a cancel() to drop a pending call
  */
 function debounce(func, wait, immediate) {
 	var timeout;
-	return function (...args) {
+	var debounced = function (...args) {
 		var context = this;
 		var later = function () {
 			timeout = null;
@@ -3397,6 +5912,12 @@ function debounce(func, wait, immediate) {
 			func.apply(context, args);
 		}
 	};
+	// drop any pending call (used during teardown)
+	debounced.cancel = function () {
+		clearTimeout(timeout);
+		timeout = null;
+	};
+	return debounced;
 }
 
 /**
@@ -3407,13 +5928,18 @@ function debounce(func, wait, immediate) {
  */
 function deepMerge(target, source) {
 	const isObject = (obj) => obj && typeof obj === 'object';
+	const isPlainObject = (obj) => isObject(obj) && Object.getPrototypeOf(obj) === Object.prototype;
 
 	return Object.keys(source).reduce(
 		(acc, key) => {
-			if (Array.isArray(acc[key]) && Array.isArray(source[key])) {
-				acc[key] = acc[key].concat(source[key]);
+			if (Array.isArray(source[key])) {
+				// arrays are values (e.g. a cubic-bezier easing), so the source replaces them
+				acc[key] = [...source[key]];
 			} else if (isObject(acc[key]) && isObject(source[key])) {
 				acc[key] = deepMerge({ ...acc[key] }, source[key]);
+			} else if (isPlainObject(source[key])) {
+				// copy nested groups so the result never shares them with the source
+				acc[key] = deepMerge({}, source[key]);
 			} else {
 				acc[key] = source[key];
 			}
@@ -3423,7 +5949,7 @@ function deepMerge(target, source) {
 	);
 }
 
-// accepts number (int or float), Pixel value "10px", or percent "10%"
+// accepts number (int or float), Pixel value "10px", root em value "2rem", or percent "10%"
 // returns a numerical value
 function convertValueToNumber(value, width) {
 	if (typeof value == 'number') {
@@ -3436,12 +5962,61 @@ function convertValueToNumber(value, width) {
 	}
 	if (value.indexOf('px') > -1) {
 		return parseFloat(value.replace('px', ''));
+	} else if (value.indexOf('rem') > -1) {
+		const rootFontSize = parseFloat(getComputedStyle(document.documentElement).fontSize) || 16;
+		return parseFloat(value.replace('rem', '')) * rootFontSize;
 	} else if (value.indexOf('%') > -1) {
 		return (parseFloat(value.replace('%', '')) / 100) * width;
 	}
 	return 0;
 }
 
+/**
+ * parses the text of a data-tarot-options element
+ * - strict json first
+ * - falls back to quoting bare object keys ({ loop: true }) while leaving string contents untouched
+ * @param {string} text - raw element text
+ * @returns {object} parsed options
+ * @throws {SyntaxError} if the text is not valid even after quoting keys
+ */
+function parseOptionsJSON(text) {
+	const source = String(text || '').trim();
+	if (!source) return {};
+
+	try {
+		return JSON.parse(source);
+	} catch (err) {
+		// walk the text, skipping string literals, and quote identifiers followed by a colon
+		let output = '';
+		let i = 0;
+		while (i < source.length) {
+			const char = source[i];
+
+			if (char === '"') {
+				let end = i + 1;
+				while (end < source.length && source[end] !== '"') {
+					end += source[end] === '\\' ? 2 : 1;
+				}
+				output += source.slice(i, end + 1);
+				i = end + 1;
+				continue;
+			}
+
+			const match = /^[A-Za-z_$][\w$]*(?=\s*:)/.exec(source.slice(i));
+			if (match && /[{,]\s*$/.test(output)) {
+				output += `"${match[0]}"`;
+				i += match[0].length;
+				continue;
+			}
+
+			output += char;
+			i++;
+		}
+
+		return JSON.parse(output);
+	}
+}
+
 function areOptionsEqual(obj1, obj2) {
 	// Check for reference equality
 	if (obj1 === obj2) return true;
@@ -3482,13 +6057,70 @@ function areOptionsEqual(obj1, obj2) {
  * Determines if looping is possible and should be enabled
  * @param {number} slideCount - Total number of slides
  * @param {Object} options - Carousel options containing loop and slidesPerView settings
+ * @param {Object} [widths] - Layout widths, needed for slideWidth: 'auto' where slidesPerView doesn't apply
  * @returns {boolean} true if looping should be enabled, false otherwise
  */
-function canLoop(slideCount, options) {
+function canLoop(slideCount, options, widths = null) {
+	if (options.slideWidth === 'auto' && widths?.slideWidths?.length) {
+		// one lap of the track has to cover the viewport plus the widest slide,
+		// otherwise a slide would be needed on both edges at once
+		const widest = Math.max(...widths.slideWidths) + widths.gap;
+		return !!(options.loop && slideCount > 1 && widths.track - widest >= widths.viewport);
+	}
 	const slidesPerView = options.slidesPerView || 1;
 	return !!(options.loop && slideCount > slidesPerView);
 }
 
+/**
+ * start offset of a slide on the track
+ * renderIndex may fall outside 0..slideCount-1 when looping, each lap adds one track length
+ * @param {Object} widths - Layout widths from the store
+ * @param {number} renderIndex - Logical render position
+ * @returns {number} px from the start of the track
+ */
+function getSlideStart(widths, renderIndex) {
+	const starts = widths.slideStarts;
+	const count = starts?.length || 0;
+	if (!count) return renderIndex * widths.slideAndGap;
+
+	const lap = Math.floor(renderIndex / count);
+	return lap * widths.track + starts[renderIndex - lap * count];
+}
+
+/**
+ * length of a slide along the carousel axis
+ * @param {Object} widths - Layout widths from the store
+ * @param {number} renderIndex - Logical render position (wraps like getSlideStart)
+ * @returns {number} px
+ */
+function getSlideWidth(widths, renderIndex) {
+	const lengths = widths.slideWidths;
+	const count = lengths?.length || 0;
+	if (!count) return widths.slide;
+
+	return lengths[((renderIndex % count) + count) % count];
+}
+
+/**
+ * render index of the slide (including its trailing gap) under a track offset
+ * @param {Object} widths - Layout widths from the store
+ * @param {number} position - px from the start of the track
+ * @returns {number} render index, outside 0..slideCount-1 past either end of the track
+ */
+function getSlideIndexAt(widths, position) {
+	const starts = widths.slideStarts;
+	const count = starts?.length || 0;
+	if (!count || !widths.track) {
+		return widths.slideAndGap ? Math.floor(position / widths.slideAndGap) : 0;
+	}
+
+	const lap = Math.floor(position / widths.track);
+	const offset = position - lap * widths.track;
+	let index = 0;
+	while (index < count - 1 && starts[index + 1] <= offset) index++;
+	return lap * count + index;
+}
+
 /**
  * Calculate which slides are visible in the viewport and their visibility percentages
  * @param {Object} ctx - shared module context containing store, emitter, etc.
@@ -3509,9 +6141,6 @@ function getSlidesInViewport(ctx, trackPosition = null, buffer = 0) {
 	}
 
 	const viewportWidth = widths.viewport;
-	const slideWidth = widths.slide;
-	widths.gap;
-	const slideAndGapWidth = widths.slideAndGap;
 
 	// Convert track position to viewport bounds (with buffer)
 	const viewportStart = -trackPosition - buffer;
@@ -3526,7 +6155,8 @@ function getSlidesInViewport(ctx, trackPosition = null, buffer = 0) {
 		const renderIndex = slide.renderIndex !== undefined ? slide.renderIndex : i;
 
 		// Calculate slide bounds in the viewport
-		const slideStart = renderIndex * slideAndGapWidth;
+		const slideWidth = getSlideWidth(widths, renderIndex);
+		const slideStart = getSlideStart(widths, renderIndex);
 		const slideEnd = slideStart + slideWidth;
 
 		// Check if slide intersects with viewport
@@ -3616,6 +6246,19 @@ function getSlidesInViewport(ctx, trackPosition = null, buffer = 0) {
 	return slideInfo;
 }
 
+/**
+ * swaps ArrowLeft/ArrowRight for right-to-left layouts so "left" keeps meaning "towards the start"
+ * @param {string} key - KeyboardEvent.key
+ * @param {boolean} rtl - whether the carousel is laid out right-to-left
+ * @returns {string} the key as it would be in a left-to-right layout
+ */
+function mirrorArrowKey(key, rtl) {
+	if (!rtl) return key;
+	if (key === 'ArrowLeft') return 'ArrowRight';
+	if (key === 'ArrowRight') return 'ArrowLeft';
+	return key;
+}
+
 // Create utils object containing all functions for ctx usage
 const utils = Object.freeze({
 	throttle,
@@ -3624,14 +6267,22 @@ const utils = Object.freeze({
 	convertValueToNumber,
 	areOptionsEqual,
 	canLoop,
+	getSlideStart,
+	getSlideWidth,
+	getSlideIndexAt,
 	getSlidesInViewport,
+	mirrorArrowKey,
 });
 
 //  calculates widths exactly like your _calculateWidths()
 //  provide viewportWidth (number), options (object), slideCount (number)
 //  pass in convertValueToNumber so this stays pure and testable
-function calculateWidths({ viewportEl, options, slideCount }) {
-	const viewport = viewportEl.offsetWidth || 0;
+//  "widths" are lengths along the carousel axis, so vertical carousels measure heights
+//  with slideWidth: 'auto' each slide element is measured instead of sharing one width
+function calculateWidths({ viewportEl, options, slideCount, slideEls = [] }) {
+	const isVertical = options.axis === 'vertical';
+	const measure = (el) => (isVertical ? el.offsetHeight : el.offsetWidth) || 0;
+	const viewport = measure(viewportEl);
 
 	//  guard inputs
 	const slidesPerView = Math.max(1, Number(options.slidesPerView) || 1);
@@ -3656,8 +6307,34 @@ function calculateWidths({ viewportEl, options, slideCount }) {
 		slide = slideMin;
 	}
 
+	//  per-slide lengths: measured for auto, otherwise all the same
+	const isAuto = options.slideWidth === 'auto' && slideEls.length > 0;
+	const slideWidths = isAuto
+		? Array.from(slideEls, (el) => Math.round(measure(el) * 1000) / 1000)
+		: new Array(Math.max(0, slideCount)).fill(slide);
+
+	//  auto: "slide" is the average so single-width consumers stay sensible
+	if (isAuto) {
+		const total = slideWidths.reduce((sum, width) => sum + width, 0);
+		slide = Math.round((total / slideWidths.length) * 1000) / 1000;
+	}
+
+	//  adaptive height: each slide's own height, the viewport follows them while rendering
+	const slideHeights =
+		options.adaptiveHeight && !isVertical
+			? Array.from(slideEls, (el) => Math.round(el.offsetHeight * 1000) / 1000)
+			: [];
+
+	//  slide starts along the track, each slide followed by one gap
+	const slideStarts = [];
+	let track = 0;
+	for (const width of slideWidths) {
+		slideStarts.push(Math.round(track * 1000) / 1000);
+		track += width + gap;
+	}
+
 	//  track width: contains gap at the end for looping
-	const track = Math.max(0, slideCount) * (slide + gap);
+	track = Math.round(track * 1000) / 1000;
 
 	//  return a flat object that maps to _.widths.* plus track
 	return {
@@ -3669,9 +6346,26 @@ function calculateWidths({ viewportEl, options, slideCount }) {
 		slideAndGap: Math.round((slide + gap) * 1000) / 1000,
 		paddingLeft,
 		paddingRight,
+		slideWidths,
+		slideStarts,
+		slideHeights,
 	};
 }
 
+//  counts the trailing slides that fit in the viewport at the end of the track
+//  stands in for slidesPerView when slides have their own widths
+function countSlidesInLastView(widths) {
+	const space = widths.viewport - widths.paddingLeft - widths.paddingRight + widths.gap;
+	let used = 0;
+	let count = 0;
+	for (let i = widths.slideWidths.length - 1; i >= 0; i--) {
+		used += widths.slideWidths[i] + widths.gap;
+		if (used > space + 0.5) break;
+		count++;
+	}
+	return Math.max(1, count);
+}
+
 //  calculates page count based on navigation semantics
 //  pageCount = number of valid page indices where pageIndex * slidesPerMove = valid slideIndex
 function calculatePageCount({ loop, slidesPerMove, slidesPerView, slideCount }) {
@@ -3778,6 +6472,11 @@ class TarotEffect {
 		min_slidesPerView: 1,
 		max_slidesPerView: Infinity,
 		loopBuffer: { left: 0, right: 0 },
+		// false for effects whose layout only works along X (they fall back to carousel)
+		vertical: true,
+		// true for effects that place slides from their own offsets rather than transform points,
+		// the rest fall back to carousel when slideWidth is 'auto'
+		autoWidth: false,
 	};
 
 	/**
@@ -3795,10 +6494,100 @@ class TarotEffect {
 
 	reInit() {}
 
+	/**
+	 * whether the carousel runs along the Y axis
+	 * widths, track positions and transform points are all measured along this axis
+	 * @returns {boolean}
+	 */
+	isVertical() {
+		return this.ctx.store.getOptions().axis === 'vertical';
+	}
+
+	/**
+	 * whether positions along the axis run right to left
+	 * positions and transform points stay in reading order, the helpers below mirror them on screen
+	 * vertical carousels always run top to bottom
+	 * @returns {boolean}
+	 */
+	isRTL() {
+		return !this.isVertical() && this.ctx.store.getState().rtl === true;
+	}
+
+	/**
+	 * translate css for a position along the carousel axis
+	 * @param {number} position - pixels along the axis, in reading order (mirrored on screen in rtl)
+	 * @returns {string}
+	 */
+	translateAxis(position) {
+		if (this.isVertical()) return `translateY(${position}px)`;
+		return `translateX(${this.isRTL() ? -position : position}px)`;
+	}
+
+	/**
+	 * translate3d css with offsets along and across the carousel axis
+	 * @param {number} along - pixels along the axis
+	 * @param {number} [across=0] - pixels across the axis
+	 * @param {number} [depth=0] - pixels along Z
+	 * @returns {string}
+	 */
+	translate3dAxis(along, across = 0, depth = 0) {
+		if (this.isVertical()) return `translate3d(${across}px, ${along}px, ${depth}px)`;
+		return `translate3d(${this.isRTL() ? -along : along}px, ${across}px, ${depth}px)`;
+	}
+
+	/**
+	 * transform-origin css from edges along and across the carousel axis
+	 * 'start' is left (top on a vertical carousel, right in rtl), 'end' is the opposite edge
+	 * @param {'start'|'center'|'end'} along - edge along the axis
+	 * @param {'start'|'center'|'end'} [across='center'] - edge across the axis
+	 * @returns {string}
+	 */
+	transformOriginAxis(along, across = 'center') {
+		const x = this.isRTL()
+			? { start: 'right', center: 'center', end: 'left' }
+			: { start: 'left', center: 'center', end: 'right' };
+		const y = { start: 'top', center: 'center', end: 'bottom' };
+		return this.isVertical() ? `${x[across]} ${y[along]}` : `${x[along]} ${y[across]}`;
+	}
+
+	/**
+	 * 3d tilt that turns the slide's edges along the axis toward or away from the viewer
+	 * rotateY, or rotateX on a vertical carousel, signed so a positive angle pushes the end edge back
+	 * @param {number} degrees
+	 * @returns {string}
+	 */
+	rotateAxis(degrees) {
+		if (this.isVertical()) return `rotateX(${-degrees}deg)`;
+		return `rotateY(${this.isRTL() ? -degrees : degrees}deg)`;
+	}
+
+	/**
+	 * 2d rotation in the slide's plane, mirrored in rtl so it turns the same way relative to reading order
+	 * @param {number} degrees - clockwise in ltr
+	 * @returns {string}
+	 */
+	rotatePlane(degrees) {
+		return `rotate(${this.isRTL() ? -degrees : degrees}deg)`;
+	}
+
+	/**
+	 * sizes a slide along the carousel axis (width, or height on a vertical carousel)
+	 * the other dimension is cleared so a changed axis doesn't leave a stale length behind
+	 * @param {HTMLElement} slide
+	 * @param {number|string} length - pixels, or '' to clear
+	 */
+	setSlideLength(slide, length) {
+		const [main, cross] = this.isVertical() ? ['height', 'width'] : ['width', 'height'];
+		slide.style[main] = typeof length === 'number' ? `${length}px` : length;
+		slide.style[cross] = '';
+	}
+
+	// sets --tarot-slide-width (or --tarot-slide-height on a vertical carousel)
 	renderSlideWidth(width) {
 		if (this.currentSlideWidth !== width) {
 			this.currentSlideWidth = width;
-			this.ctx.viewport.style.setProperty('--tarot-slide-width', `${width}px`);
+			const property = this.isVertical() ? '--tarot-slide-height' : '--tarot-slide-width';
+			this.ctx.viewport.style.setProperty(property, `${width}px`);
 		}
 	}
 
@@ -3806,16 +6595,26 @@ class TarotEffect {
 	renderTrackPosition(animation) {
 		// some people say translateX produces sharper text than translate3d
 		// but translate3d is better for GPU optimized animations
-		let transformValue = animation.isAnimating
-			? `translate3d(${animation.trackPosition}px,0,0)`
-			: `translateX(${animation.trackPosition}px)`;
-		this.ctx.track.style.transform = transformValue;
+		// rtl mirrors the track, it starts at the right edge and moves right
+		const position = this.isRTL() ? -animation.trackPosition : animation.trackPosition;
+		let transformValue;
+		if (this.isVertical()) {
+			transformValue = animation.isAnimating
+				? `translate3d(0,${position}px,0)`
+				: `translateY(${position}px)`;
+		} else {
+			transformValue = animation.isAnimating
+				? `translate3d(${position}px,0,0)`
+				: `translateX(${position}px)`;
+		}
+		this.ctx.track.style.transform = transformValue;
 	}
 
+	// sets the track length along the carousel axis
 	renderTrackWidth(width) {
 		if (this.currentTrackWidth !== width) {
 			this.currentTrackWidth = width;
-			this.ctx.track.style.width = `${width}px`;
+			this.ctx.track.style[this.isVertical() ? 'height' : 'width'] = `${width}px`;
 		}
 	}
 
@@ -3838,6 +6637,50 @@ class TarotEffect {
 		// Override this method in child effects to implement visual transformations
 	}
 
+	/**
+	 * Slide joining the carousel (filter, addSlide), called after render() on each frame of the transition.
+	 * Styles written here (opacity, scale, translate) are put back to render()'s values before the next frame.
+	 * The default fades and grows the slide in on top of the effect's own opacity.
+	 * @param {HTMLElement} slide
+	 * @param {number} progress - Eased 0 → 1
+	 * @param {Object} frame
+	 */
+	renderEnter(slide, progress, frame) {
+		const opacity = slide.style.opacity === '' ? 1 : Number(slide.style.opacity);
+		slide.style.opacity = String(opacity * progress);
+		slide.style.scale = String(0.9 + 0.1 * progress);
+	}
+
+	/**
+	 * Slide leaving the carousel, drawn where it was until progress reaches 1, then hidden or removed.
+	 * @param {HTMLElement} slide
+	 * @param {number} progress - Eased 0 → 1
+	 * @param {Object} frame
+	 */
+	renderExit(slide, progress, frame) {
+		const opacity = slide.style.opacity === '' ? 1 : Number(slide.style.opacity);
+		slide.style.opacity = String(opacity * (1 - progress));
+		slide.style.scale = String(1 - 0.1 * progress);
+	}
+
+	/**
+	 * Slide that stayed but changed render index (FLIP): render() already drew it at its new place,
+	 * offset is how far back along the axis it was. Also holds leaving slides in place (progress 0).
+	 * Effects that don't place slides by trackPosition can override this with a no-op.
+	 * @param {HTMLElement} slide
+	 * @param {number} progress - Eased 0 → 1
+	 * @param {number} offset - Pixels along the axis from the new position to the old one, in reading order
+	 * @param {Object} frame
+	 */
+	renderMove(slide, progress, offset, frame) {
+		const distance = offset * (1 - progress);
+		if (this.isVertical()) {
+			slide.style.translate = `0 ${distance}px`;
+		} else {
+			slide.style.translate = `${this.isRTL() ? -distance : distance}px 0`;
+		}
+	}
+
 	get rules() {
 		return this.constructor.rules;
 	}
@@ -3854,6 +6697,9 @@ class TarotEffect {
 class CarouselEffect extends TarotEffect {
 	static effectName = 'carousel';
 
+	// slides sit at their own track positions, so content-sized slides work as-is
+	static rules = { ...TarotEffect.rules, autoWidth: true };
+
 	constructor(ctx) {
 		super(ctx);
 	}
@@ -3890,7 +6736,7 @@ class CarouselEffect extends TarotEffect {
 				slide.style.transition = 'none';
 
 				// position slide using its trackPosition property (set by frame engine)
-				slide.style.transform = `translateX(${slide.trackPosition}px)`;
+				slide.style.transform = _.translateAxis(slide.trackPosition);
 			}
 		}
 	}
@@ -3899,8 +6745,9 @@ class CarouselEffect extends TarotEffect {
 		// this.ctx.viewport.style.setProperty('--tarot-slide-width', ``);
 		// reset track position
 		this.ctx.track.style.transform = '';
-		// clear track width
+		// clear track width (height on a vertical carousel)
 		this.ctx.track.style.width = '';
+		this.ctx.track.style.height = '';
 	}
 }
 
@@ -3923,6 +6770,9 @@ class Fade extends TarotEffect {
 		_.lastState = new WeakMap();
 	}
 
+	// stacked slides don't move along the track, so there is nothing to glide
+	renderMove() {}
+
 	/**
 	 * Main render function called every animation frame
 	 * Uses the frame-based architecture with dependency injection for utilities
@@ -4109,8 +6959,7 @@ class AsNavFor {
 			slideClick: ({ index, renderIndex, event }) => {
 				if (!_.isActive) return;
 				// Focus the clicked slide for consistent keyboard capture
-				const slides = _.ctx.store.getSlides();
-				const targetSlide = slides[index];
+				const targetSlide = _.ctx.store.getSlide(index);
 				if (targetSlide && typeof targetSlide.focus === 'function') {
 					try {
 						targetSlide.focus({ preventScroll: true });
@@ -4255,7 +7104,7 @@ class AsNavFor {
 		const _ = this;
 		const currentIndex = _.ctx.store.getState().selectedIndex;
 		const totalSlides = _.ctx.store.getState().slideCount;
-		switch (event.key) {
+		switch (_.ctx.utils.mirrorArrowKey(event.key, _.ctx.store.getState().rtl)) {
 			case 'ArrowLeft':
 			case 'ArrowUp':
 				event.preventDefault();
@@ -4340,21 +7189,22 @@ class AsNavFor {
 	 */
 	updateNavClasses(prevIndex, currentIndex) {
 		const _ = this;
-		const slides = _.ctx.store.getSlides();
+		const prevSlide = prevIndex >= 0 ? _.ctx.store.getSlide(prevIndex) : null;
+		const currentSlide = _.ctx.store.getSlide(currentIndex);
 
 		// Update ARIA attributes for navigation
-		if (prevIndex >= 0 && slides[prevIndex]) {
-			slides[prevIndex].setAttribute('aria-selected', 'false');
+		if (prevSlide) {
+			prevSlide.setAttribute('aria-selected', 'false');
 			// roving tabindex: make previous non-focusable
-			slides[prevIndex].setAttribute('tabindex', '-1');
+			prevSlide.setAttribute('tabindex', '-1');
 		}
 
 		// Add ARIA attributes to current slide
-		if (slides[currentIndex]) {
-			slides[currentIndex].setAttribute('aria-selected', 'true');
-			slides[currentIndex].setAttribute('role', 'tab');
+		if (currentSlide) {
+			currentSlide.setAttribute('aria-selected', 'true');
+			currentSlide.setAttribute('role', 'tab');
 			// roving tabindex: make current focusable
-			slides[currentIndex].setAttribute('tabindex', '0');
+			currentSlide.setAttribute('tabindex', '0');
 		}
 
 		// The tarot-selected class is automatically managed by ClassManager
@@ -4530,6 +7380,11 @@ class SyncWith {
 
 /**
  * controls automatic play/advance of the carousel
+ * - dwell time is counted on requestAnimationFrame, so hidden tabs don't advance
+ * - each slide can set its own dwell (data-autoplay-interval), a playing <video> advances when it ends
+ * - holds while hovered, focused, hidden or shortly after an interaction
+ * - emits autoplay:progress (0..1) every frame while playing
+ * - builds a play/pause button (wcag 2.2.2) unless one is provided
  */
 class Autoplay {
 	/**
@@ -4539,35 +7394,108 @@ class Autoplay {
 	constructor(ctx) {
 		const _ = this;
 		_.ctx = ctx;
-		_.autoplayTimer = null;
 		_.autoplayOptions = _.ctx.store.getOptions().autoplay || {};
 
-		// create debounced resume function
-		_.debouncedResume = _.ctx.utils.debounce(() => _.start(), 10000);
+		/** @type {Set<string>} - reasons playback is held: hover, focus, interaction, hidden, window */
+		_.holds = new Set();
+		/** @type {boolean} - stopped by the play/pause button or afterInteraction: 'stop' */
+		_.isStopped = false;
+		/** @type {string} - 'playing' | 'paused' | 'stopped' */
+		_.status = 'stopped';
+
+		// dwell timing
+		_.rafId = null;
+		_.lastTime = null;
+		_.elapsed = 0;
+		_.resumeTimer = null;
+		// the current slide's video has played since the slide was shown
+		_.videoPlayed = false;
+
+		// play/pause button
+		_.button = null;
 
 		// define all event handlers in one object
 		_.handlers = {
 			// handler for user interaction event
-			userInteracted: () => {
-				_.pause();
+			userInteracted: ({ via, event } = {}) => {
+				// focus is tracked on its own (pauseOnFocus), the button is the control itself
+				if (via === 'focus') return;
+				if (_.button && event?.target instanceof Node && _.button.contains(event.target)) return;
+				if (!_.isEnabled()) return;
+
+				if (_.autoplayOptions.afterInteraction === 'stop') {
+					_.stop();
+					return;
+				}
+
+				// pause, then resume once interactions have been quiet for resumeDelay
+				clearTimeout(_.resumeTimer);
+				_.hold('interaction');
+				_.resumeTimer = setTimeout(() => _.release('interaction'), _.autoplayOptions.resumeDelay ?? 10000);
 			},
 
 			// handler for options changed event
 			optionsChanged: () => {
-				_.autoplayOptions = _.ctx.store.getOptions().autoplay || {};
 				_.reInit();
 			},
 
-			// handler for the interval timer
-			tick: () => {
-				// exit if document doesn't have focus
-				if (!document.hasFocus?.()) return;
-				
-				// go to next page
-				_.ctx.commands.next(-5);
+			// reduced motion turned on or off
+			stateChanged: ({ prevState, currentState }) => {
+				if (prevState.reducedMotion === currentState.reducedMotion) return;
+				_.update();
+			},
+
+			// every newly shown slide gets its full dwell time
+			renderIndexChanged: () => {
+				_.videoPlayed = false;
+				_.resetProgress();
+			},
+
+			// hover
+			pointerEnter: (event) => {
+				if (event.pointerType === 'touch' || !_.autoplayOptions.pauseOnHover) return;
+				_.hold('hover');
+			},
+			pointerLeave: () => {
+				_.release('hover');
+			},
+
+			// focus anywhere inside the carousel
+			focusIn: () => {
+				if (!_.autoplayOptions.pauseOnFocus) return;
+				_.hold('focus');
+			},
+			focusOut: (event) => {
+				if (_.ctx.carousel.contains(event.relatedTarget)) return;
+				_.release('focus');
+			},
+
+			// hidden tab or unfocused window
+			visibilityChange: ({ hidden }) => {
+				hidden ? _.hold('hidden') : _.release('hidden');
+			},
+			windowLostFocus: () => {
+				_.hold('window');
+			},
+			windowHasFocus: () => {
+				_.release('window');
+			},
+
+			// play/pause button
+			buttonClick: () => {
+				_.isStopped ? _.play() : _.stop();
+			},
+
+			// the dwell clock
+			frame: (time) => {
+				_.tick(time);
 			},
 		};
 
+		// nothing can be focused before the first paint, but the window might not be
+		if (document.hasFocus?.() === false) _.holds.add('window');
+		if (document.hidden) _.holds.add('hidden');
+
 		_.bindEvents();
 		_.reInit();
 	}
@@ -4581,12 +7509,12 @@ class Autoplay {
 		// reload options
 		_.autoplayOptions = _.ctx.store.getOptions().autoplay || {};
 
-		// check options
-		if (_.autoplayOptions.interval) {
-			_.start();
-		} else {
-			_.stop();
-		}
+		// hover and focus holds only apply while their option is on
+		if (!_.autoplayOptions.pauseOnHover) _.holds.delete('hover');
+		if (!_.autoplayOptions.pauseOnFocus) _.holds.delete('focus');
+
+		_.setupButton();
+		_.update();
 	}
 
 	/**
@@ -4594,50 +7522,279 @@ class Autoplay {
 	 */
 	bindEvents() {
 		const _ = this;
+		const { emitter, events, carousel } = _.ctx;
+
 		// pause when user interacts with carousel
-		_.ctx.emitter.on(_.ctx.events.user.interacted, _.handlers.userInteracted);
-		_.ctx.emitter.on(_.ctx.events.store.optionsChanged, _.handlers.optionsChanged);
+		emitter.on(events.user.interacted, _.handlers.userInteracted);
+		emitter.on(events.store.optionsChanged, _.handlers.optionsChanged);
+		emitter.on(events.store.stateChanged, _.handlers.stateChanged);
+		emitter.on(events.store.renderIndexChanged, _.handlers.renderIndexChanged);
+		emitter.on(events.window.visibilityChange, _.handlers.visibilityChange);
+		emitter.on(events.window.lostFocus, _.handlers.windowLostFocus);
+		emitter.on(events.window.hasFocus, _.handlers.windowHasFocus);
+
+		carousel.addEventListener('pointerenter', _.handlers.pointerEnter);
+		carousel.addEventListener('pointerleave', _.handlers.pointerLeave);
+		carousel.addEventListener('focusin', _.handlers.focusIn);
+		carousel.addEventListener('focusout', _.handlers.focusOut);
 	}
 
 	/**
-	 * start the autoplay timer
+	 * find or build the play/pause button and show it while autoplay is configured
 	 */
-	start() {
+	setupButton() {
 		const _ = this;
-		// clear existing timer
-		_.stop();
+		const { showButton, buttonSelector } = _.autoplayOptions;
+
+		if (!_.button) {
+			// a selector wins, then a button inside this carousel
+			if (buttonSelector) {
+				_.button = document.querySelector(buttonSelector);
+			}
+			if (!_.button) {
+				const allButtons = _.ctx.carousel.querySelectorAll('[data-action="tarot-autoplay"]');
+				_.button =
+					Array.from(allButtons).find((btn) => btn.closest('tarot-carousel') === _.ctx.carousel) ||
+					null;
+			}
+			// only build one once there is something to pause
+			if (!_.button && showButton !== false && _.isEnabled()) {
+				_.buildButton();
+			}
+			_.button?.addEventListener('click', _.handlers.buttonClick);
+		}
+
+		if (_.button) {
+			_.button.style.display = showButton !== false && _.isEnabled() ? '' : 'none';
+		}
+	}
+
+	/**
+	 * build the play/pause button if it doesn't exist
+	 */
+	buildButton() {
+		const _ = this;
+		const buttonHTML = `
+			<button class="tarot-button tarot-autoplay-button" data-action="tarot-autoplay" type="button" aria-label="pause autoplay">
+				<svg data-icon="pause" fill="none" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">
+					<title>pause</title>
+					<path d="M12 9v14M20 9v14" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+				</svg>
+				<svg data-icon="play" fill="none" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">
+					<title>play</title>
+					<path d="m12 8 12 8-12 8z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+				</svg>
+			</button>
+		`;
+		_.ctx.carousel.insertAdjacentHTML('afterbegin', buttonHTML);
+		_.button = _.ctx.carousel.querySelector('[data-action="tarot-autoplay"]');
+	}
+
+	/**
+	 * reflect the play/pause state on the button
+	 * the label names what a press will do, like a media player
+	 */
+	renderButton() {
+		const _ = this;
+		if (!_.button) return;
+
+		const isStopped = _.isStopped || !_.isEnabled();
+		_.button.setAttribute('aria-label', isStopped ? 'play autoplay' : 'pause autoplay');
+		_.button.setAttribute('data-state', isStopped ? 'paused' : 'playing');
+	}
+
+	/**
+	 * whether autoplay is configured at all
+	 * @returns {boolean}
+	 */
+	isEnabled() {
+		return !!this.autoplayOptions.interval;
+	}
+
+	/**
+	 * the slide autoplay is timing (renderIndex)
+	 * @returns {HTMLElement|undefined}
+	 */
+	getCurrentSlide() {
+		const _ = this;
+		return _.ctx.store.getSlide(_.ctx.store.getState().renderIndex);
+	}
+
+	/**
+	 * dwell time for the current slide in ms
+	 * <tarot-slide data-autoplay-interval="8000"> overrides autoplay.interval
+	 * @returns {number}
+	 */
+	getInterval() {
+		const _ = this;
+		const slideInterval = Number(_.getCurrentSlide()?.getAttribute('data-autoplay-interval'));
+		if (slideInterval > 0) return slideInterval;
+
+		const interval = _.autoplayOptions.interval;
+		return interval === true ? 4000 : interval;
+	}
 
-		// exit if it's turned off
-		if (!_.autoplayOptions.interval) return;
+	/**
+	 * a video that paces the current slide: the first non-looping <video>,
+	 * unless the slide sets its own data-autoplay-interval
+	 * @returns {HTMLVideoElement|null}
+	 */
+	getVideo() {
+		const slide = this.getCurrentSlide();
+		if (!slide || slide.hasAttribute('data-autoplay-interval')) return null;
+		return slide.querySelector('video:not([loop])');
+	}
+
+	/**
+	 * hold playback for a reason until it's released
+	 * @param {string} reason
+	 */
+	hold(reason) {
+		const _ = this;
+		if (_.holds.has(reason)) return;
+		_.holds.add(reason);
+		_.update();
+	}
+
+	/**
+	 * release a hold, playback resumes once no holds are left
+	 * @param {string} reason
+	 */
+	release(reason) {
+		const _ = this;
+		if (!_.holds.delete(reason)) return;
+		_.update();
+	}
+
+	/**
+	 * start (or restart) autoplay, clearing a stop and the holds a press implies
+	 */
+	play() {
+		const _ = this;
+		_.isStopped = false;
 
-		let interval = _.autoplayOptions.interval;
-		if (interval === 0 || interval === false) return;
-		if (interval === true) interval = 4000;
+		// pressing play from inside the carousel means play now, not when the pointer leaves
+		clearTimeout(_.resumeTimer);
+		_.holds.delete('interaction');
+		_.holds.delete('hover');
+		_.holds.delete('focus');
 
-		_.autoplayTimer = setInterval(_.handlers.tick, interval);
+		_.update();
 	}
 
 	/**
-	 * stop the autoplay timer
+	 * stop autoplay until play() (or the button) starts it again
 	 */
 	stop() {
 		const _ = this;
-		clearInterval(_.autoplayTimer);
-		_.autoplayTimer = null;
+		_.isStopped = true;
+		clearTimeout(_.resumeTimer);
+		_.resetProgress();
+		_.update();
 	}
 
 	/**
-	 * pause autoplay temporarily
+	 * work out whether we should be playing and start/stop the frame loop to match
 	 */
-	pause() {
+	update() {
 		const _ = this;
-		// stops the current timer
-		_.stop();
+		const reasons = [..._.holds];
+
+		// reduced motion holds autoplay unless it's opted back in
+		if (_.ctx.store.getState().reducedMotion && !_.autoplayOptions.reducedMotion) {
+			reasons.push('reduced-motion');
+		}
+
+		let status = 'playing';
+		if (_.isStopped || !_.isEnabled()) status = 'stopped';
+		else if (reasons.length) status = 'paused';
+
+		_.renderButton();
+
+		if (status === 'playing' && _.rafId === null) {
+			_.lastTime = null;
+			_.rafId = requestAnimationFrame(_.handlers.frame);
+		} else if (status !== 'playing' && _.rafId !== null) {
+			cancelAnimationFrame(_.rafId);
+			_.rafId = null;
+		}
+
+		// screen readers shouldn't announce every rotation, only moves while it is paused
+		_.ctx.announcements?.setAttribute('aria-live', status === 'playing' ? 'off' : 'polite');
+
+		if (status === _.status) return;
+		_.status = status;
+
+		const { emitter, events } = _.ctx;
+		if (status === 'playing') {
+			emitter.emit(events.autoplay.started, {});
+		} else if (status === 'paused') {
+			emitter.emit(events.autoplay.paused, { reasons });
+		} else {
+			emitter.emit(events.autoplay.stopped, {});
+		}
+	}
+
+	/**
+	 * advance the dwell clock one frame and go to the next page when it runs out
+	 * @param {number} time - requestAnimationFrame timestamp
+	 */
+	tick(time) {
+		const _ = this;
+		_.rafId = null;
 
-		// restarts in 10 seconds if no interaction
-		if (_.autoplayOptions.interval) {
-			_.debouncedResume();
+		// long gaps (a blocked thread, a tab coming back) count as one frame
+		const frameTime = _.lastTime !== null ? Math.min(time - _.lastTime, 100) : 0;
+		_.lastTime = time;
+
+		let progress;
+		const video = _.getVideo();
+		if (video && !video.paused) _.videoPlayed = true;
+
+		// a video that ended on an earlier visit doesn't count until it plays again
+		if (video && _.videoPlayed && (!video.paused || video.ended)) {
+			// a playing video sets the pace, if it gets paused the interval starts over
+			_.elapsed = 0;
+			const duration = Number.isFinite(video.duration) ? video.duration : 0;
+			progress = video.ended ? 1 : duration > 0 ? Math.min(1, video.currentTime / duration) : 0;
+			_.emitProgress(progress, video.currentTime * 1000, duration * 1000);
+		} else {
+			_.elapsed += frameTime;
+			const interval = _.getInterval();
+			progress = interval > 0 ? Math.min(1, _.elapsed / interval) : 1;
+			_.emitProgress(progress);
 		}
+
+		_.rafId = requestAnimationFrame(_.handlers.frame);
+
+		if (progress < 1) return;
+
+		// go to next page
+		_.resetProgress();
+		_.ctx.commands.next(_.autoplayOptions.velocity ?? -5);
+	}
+
+	// start the dwell clock over for the current slide
+	resetProgress() {
+		const _ = this;
+		if (_.elapsed === 0) return;
+		_.elapsed = 0;
+		_.emitProgress(0);
+	}
+
+	/**
+	 * @param {number} progress - 0..1 through the current slide's dwell time
+	 * @param {number} [elapsed] - ms into the dwell (video time for video slides)
+	 * @param {number} [interval] - ms the dwell lasts (video duration for video slides)
+	 */
+	emitProgress(progress, elapsed = this.elapsed, interval = this.getInterval()) {
+		const _ = this;
+		_.ctx.emitter.emit(_.ctx.events.autoplay.progress, {
+			progress,
+			elapsed,
+			interval,
+			index: _.ctx.store.getState().renderIndex,
+		});
 	}
 
 	/**
@@ -4645,18 +7802,31 @@ class Autoplay {
 	 */
 	destroy() {
 		const _ = this;
+		const { emitter, events, carousel } = _.ctx;
 
-		// stop any running timer
-		_.stop();
+		// stop the frame loop and any pending resume
+		if (_.rafId !== null) cancelAnimationFrame(_.rafId);
+		_.rafId = null;
+		clearTimeout(_.resumeTimer);
 
 		// unbind from carousel events
-		_.ctx.emitter.off(_.ctx.events.user.interacted, _.handlers.userInteracted);
-		_.ctx.emitter.off(_.ctx.events.store.optionsChanged, _.handlers.optionsChanged);
+		emitter.off(events.user.interacted, _.handlers.userInteracted);
+		emitter.off(events.store.optionsChanged, _.handlers.optionsChanged);
+		emitter.off(events.store.stateChanged, _.handlers.stateChanged);
+		emitter.off(events.store.renderIndexChanged, _.handlers.renderIndexChanged);
+		emitter.off(events.window.visibilityChange, _.handlers.visibilityChange);
+		emitter.off(events.window.lostFocus, _.handlers.windowLostFocus);
+		emitter.off(events.window.hasFocus, _.handlers.windowHasFocus);
 
-		// clear the debounced function
-		if (_.debouncedResume.cancel) {
-			_.debouncedResume.cancel();
-		}
+		carousel.removeEventListener('pointerenter', _.handlers.pointerEnter);
+		carousel.removeEventListener('pointerleave', _.handlers.pointerLeave);
+		carousel.removeEventListener('focusin', _.handlers.focusIn);
+		carousel.removeEventListener('focusout', _.handlers.focusOut);
+
+		_.button?.removeEventListener('click', _.handlers.buttonClick);
+		_.button = null;
+
+		_.ctx.announcements?.setAttribute('aria-live', 'polite');
 	}
 }
 
@@ -4696,7 +7866,7 @@ class Buttons {
 
 			// handler for button blur
 			buttonBlur: (e) => {
-				// autoplay will resume automatically via debounced timer
+				// autoplay resumes on its own once focus leaves the carousel
 			},
 
 			// handler for options changed event
@@ -4998,6 +8168,11 @@ class Buttons {
 		const paddingRightWidth = widths.paddingRight || 0;
 		const gapWidth = widths.gap || 0;
 
+		// rtl puts prev on the right edge and next on the left edge
+		const isRTL = _.ctx.store.getState().rtl;
+		const prevSide = isRTL ? 'right' : 'left';
+		const nextSide = isRTL ? 'left' : 'right';
+
 		// set prev button
 		if (prevButton) {
 			prevButton.classList.add('tarot-smart-position');
@@ -5024,7 +8199,8 @@ class Buttons {
 				leftPos = leftPosOnlyPadding;
 			}
 
-			prevButton.style.left = `${leftPos}px`;
+			prevButton.style[nextSide] = '';
+			prevButton.style[prevSide] = `${leftPos}px`;
 		}
 
 		// set next button
@@ -5051,7 +8227,8 @@ class Buttons {
 				rightPos = rightPosOnlyPadding;
 			}
 
-			nextButton.style.right = `${rightPos}px`;
+			nextButton.style[prevSide] = '';
+			nextButton.style[nextSide] = `${rightPos}px`;
 		}
 	}
 
@@ -5105,34 +8282,58 @@ class Buttons {
 }
 
 /**
- * lazy-load plugin (ctx-based)
- * - accepts a ctx object (emitter, events, store, carousel)
- * - removes loading="lazy" attributes from images on first user interaction
- * - re-checks images when slides change
- * - subscribes to user:interacted and slides:changed events
+ * hash navigation plugin (ctx-based)
+ * - links slides to the url with data-hash="name" (or the slide's id)
+ * - the slide named by location.hash is the first one painted (see getInitialIndex)
+ * - settled transitions write the hash back: 'replace' rewrites the url,
+ *   'push' adds a history entry, 'hash' sets location.hash
+ * - back/forward and hash links on the page move the carousel
  */
-class LazyLoad {
+class HashNavigation {
+	/** history modes for options.hashNavigation */
+	static modes = ['replace', 'push', 'hash'];
+
+	/**
+	 * resolve options.hashNavigation, attribute and json values included
+	 * @param {boolean|string} value
+	 * @returns {string|false} 'replace' | 'push' | 'hash', or false when off
+	 */
+	static getMode(value) {
+		if (value === true || value === '' || value === 'true') return 'replace';
+		return HashNavigation.modes.includes(value) ? value : false;
+	}
+
 	/**
 	 * @param {object} ctx - shared module context from tarot-carousel
 	 * @param {object} ctx.emitter
 	 * @param {object} ctx.events
 	 * @param {object} ctx.store
-	 * @param {HTMLElement} ctx.carousel
+	 * @param {object} ctx.commands
 	 */
 	constructor(ctx) {
 		const _ = this;
 		_.ctx = ctx;
+		_.mode = false;
 
 		// Save handlers for later removal
 		_.handlers = {
-			userInteracted: () => {
-				_.checkLazyImages();
-				// Remove this handler after first interaction since we only need to run it once
-				_.ctx.emitter.off(_.ctx.events.user.interacted, _.handlers.userInteracted);
-			},
-			slidesChanged: () => {
+			optionsChanged: () => {
 				_.reInit();
 			},
+
+			// only settled moves reach the url, so a drag or a run of next() clicks is one entry
+			afterTransition: ({ prevIndex }) => {
+				const { renderIndex } = _.ctx.store.getState();
+				if (renderIndex === prevIndex) return;
+				_.writeHash(renderIndex);
+			},
+
+			// back/forward (popstate) and in-page links or typed hashes (hashchange)
+			locationChanged: () => {
+				const index = _.getIndexForHash(window.location.hash);
+				if (index === -1 || index === _.ctx.store.getState().renderIndex) return;
+				_.ctx.commands.goToSlide(index);
+			},
 		};
 
 		_.init();
@@ -5140,95 +8341,644 @@ class LazyLoad {
 
 	init() {
 		const _ = this;
-		_.bindEvents();
-		_.checkLazyImages(); // Check on init as well
+		_.ctx.emitter.on(_.ctx.events.store.optionsChanged, _.handlers.optionsChanged);
+		_.reInit();
 	}
 
 	reInit() {
 		const _ = this;
-		_.checkLazyImages();
+		const mode = HashNavigation.getMode(_.ctx.store.getOptions().hashNavigation);
+		if (mode === _.mode) return;
+
+		_.unbindEvents();
+		_.mode = mode;
+		if (_.mode) _.bindEvents();
 	}
 
 	bindEvents() {
 		const _ = this;
-		const { emitter, events } = _.ctx;
+		_.ctx.emitter.on(_.ctx.events.carousel.afterTransition, _.handlers.afterTransition);
+		window.addEventListener('popstate', _.handlers.locationChanged);
+		window.addEventListener('hashchange', _.handlers.locationChanged);
+	}
 
-		// Load images when user interacts with the carousel
-		emitter.on(events.user.interacted, _.handlers.userInteracted);
+	unbindEvents() {
+		const _ = this;
+		_.ctx.emitter.off(_.ctx.events.carousel.afterTransition, _.handlers.afterTransition);
+		window.removeEventListener('popstate', _.handlers.locationChanged);
+		window.removeEventListener('hashchange', _.handlers.locationChanged);
+	}
 
-		// Rebind when slides change
-		emitter.on(events.store.slidesChanged, _.handlers.slidesChanged);
+	/**
+	 * the name a slide is linked by
+	 * @param {HTMLElement} slide
+	 * @returns {string}
+	 */
+	getSlideHash(slide) {
+		return slide?.getAttribute('data-hash') || slide?.id || '';
 	}
 
-	checkLazyImages() {
+	/**
+	 * index of the slide a location hash points at
+	 * @param {string} hash - location.hash, with or without the leading #
+	 * @returns {number} -1 when no slide in this carousel has that name
+	 */
+	getIndexForHash(hash) {
 		const _ = this;
-		const slides = _.ctx.store.getSlides();
+		let name = String(hash || '').replace(/^#/, '');
+		if (!name) return -1;
 
-		// Guard against slides being undefined or not having a length property
-		if (!slides || typeof slides.length === 'undefined') {
-			console.warn('LazyLoad: Slides not available');
-			return;
+		try {
+			name = decodeURIComponent(name);
+		} catch (e) {
+			// malformed escapes, match the raw hash
 		}
 
-		let images;
+		const slide = _.ctx.store.getSlides().find((slide) => _.getSlideHash(slide) === name);
+		return slide ? slide.index : -1;
+	}
 
-		// remove all loading="lazy" attributes from images
-		// to force them to load
-		for (let i = 0, n = slides.length; i < n; ++i) {
-			if (!slides[i] || !slides[i].el) continue;
+	/**
+	 * deep link for the first paint, read once at connect
+	 * @returns {number|null} slide index, or null to keep options.initialIndex
+	 */
+	getInitialIndex() {
+		const _ = this;
+		if (!_.mode) return null;
+
+		const index = _.getIndexForHash(window.location.hash);
+		return index === -1 ? null : index;
+	}
+
+	/**
+	 * point the url at a slide, or drop this carousel's hash when the slide has no name
+	 * @param {number} index
+	 */
+	writeHash(index) {
+		const _ = this;
+		const name = _.getSlideHash(_.ctx.store.getSlide(index));
+		const current = window.location.hash;
 
-			images = slides[i].el.querySelectorAll('img[loading="lazy"]');
+		if (name) {
+			const hash = `#${encodeURIComponent(name)}`;
+			if (current === hash || _.getIndexForHash(current) === index) return;
 
-			for (let k = 0, l = images.length; k < l; ++k) {
-				images[k].removeAttribute('loading');
+			// setting location.hash also scrolls to an element with that id
+			if (_.mode === 'hash') {
+				window.location.hash = hash;
+				return;
 			}
+			_.updateHistory(hash);
+			return;
 		}
+
+		// leave hashes that belong to something else on the page alone
+		if (_.getIndexForHash(current) !== -1) _.updateHistory('');
 	}
 
-	destroy() {
+	/**
+	 * replace or push the current url with a new hash
+	 * @param {string} hash - '#name', or '' to drop the hash
+	 */
+	updateHistory(hash) {
 		const _ = this;
-		const { emitter, events } = _.ctx;
+		const { pathname, search } = window.location;
+		const method = _.mode === 'replace' ? 'replaceState' : 'pushState';
 
-		// Remove all event listeners
-		emitter.off(events.user.interacted, _.handlers.userInteracted);
-		emitter.off(events.store.slidesChanged, _.handlers.slidesChanged);
+		try {
+			// keep history.state, routers store their own data there
+			window.history[method](window.history.state, '', `${pathname}${search}${hash}`);
+		} catch (error) {
+			// sandboxed frames and some file:// pages refuse history writes
+			console.warn('tarot-carousel: hashNavigation could not update the url', error);
+		}
+	}
+
+	destroy() {
+		const _ = this;
+		_.ctx.emitter.off(_.ctx.events.store.optionsChanged, _.handlers.optionsChanged);
+		_.unbindEvents();
+		_.mode = false;
 	}
 }
 
 /**
- * I used this link for referencing how to implement the pagedots
- * https://www.w3.org/WAI/ARIA/apg/patterns/tabs/
- * "It is recommended that tabs activate automatically when they
- * receive focus as long as their associated tab panels are displayed
- * without noticeable latency. This typically requires tab panel
- * content to be preloaded. Otherwise, automatic activation slows
- * focus movement, which significantly hampers users' ability
- * to navigate efficiently across the tab list."
- * */
+ * lazy-load plugin (ctx-based)
+ * - loads images in and around the viewport (lazyLoad.preload slides on each side)
+ * - swaps data-src / data-srcset / data-sizes (and <picture><source data-srcset>) in,
+ *   and drops loading="lazy" so offscreen slides don't wait on the browser
+ * - marks images and slides with tarot-loading / tarot-loaded / tarot-error
+ * - emits lazy:loaded / lazy:error and relayouts when a load resizes its slide
+ */
+class LazyLoad {
+	/** images the plugin takes over */
+	static selector =
+		'img[data-src], img[data-srcset], img[loading="lazy"], picture source[data-srcset]';
 
-class Pagination {
+	/**
+	 * @param {object} ctx - shared module context from tarot-carousel
+	 * @param {object} ctx.emitter
+	 * @param {object} ctx.events
+	 * @param {object} ctx.store
+	 * @param {HTMLElement} ctx.carousel
+	 */
 	constructor(ctx) {
 		const _ = this;
 		_.ctx = ctx;
-		_.navOptions = {};
-		_.paginationContainer = null;
-		_.dotsList = null;
-		_.isAutoGeneratedNav = false;
+		_.lazyOptions = {};
 
-		//  debounce render so rapid changes do not rebuild repeatedly
-		_.debouncedRender = _.ctx.utils.debounce(() => _.render(), 20);
+		/** @type {Map<HTMLImageElement, {slide:HTMLElement, index:number, width:number, height:number}>} - images still loading */
+		_.loading = new Map();
 
+		// Save handlers for later removal
 		_.handlers = {
-			//  handle clicks on pagination dots
-			paginationClick: (event) => {
-				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'pagination', event });
-				const target = event.target.closest('[data-action="tarot-go-to-page"]');
-				if (!target) return;
-				const pageIndex = parseInt(target.getAttribute('data-page-index'), 10);
-				_.activateDot(pageIndex);
+			update: () => {
+				_.update();
 			},
-
-			//  keyboard navigation with auto-activation
+			optionsChanged: () => {
+				_.reInit();
+			},
+			imageLoad: (event) => {
+				_.finishImage(event.currentTarget, true);
+			},
+			imageError: (event) => {
+				_.finishImage(event.currentTarget, false);
+			},
+
+			// a finished image changed its slide's size, measure again (once per burst of loads)
+			relayout: _.ctx.utils.debounce(() => {
+				_.ctx.commands.recomputeLayout();
+			}, 50),
+		};
+
+		_.init();
+	}
+
+	init() {
+		const _ = this;
+		_.lazyOptions = _.ctx.store.getOptions().lazyLoad || {};
+		_.bindEvents();
+		_.update();
+	}
+
+	reInit() {
+		const _ = this;
+		_.lazyOptions = _.ctx.store.getOptions().lazyLoad || {};
+		_.update();
+	}
+
+	bindEvents() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+
+		// the slides in range move with navigation, layout and the slide list
+		emitter.on(events.store.renderIndexChanged, _.handlers.update);
+		emitter.on(events.animation.completed, _.handlers.update);
+		emitter.on(events.store.layoutChanged, _.handlers.update);
+		emitter.on(events.store.slidesChanged, _.handlers.update);
+		emitter.on(events.store.optionsChanged, _.handlers.optionsChanged);
+	}
+
+	/**
+	 * indexes of the slides that should be loaded: the viewport plus lazyLoad.preload
+	 * slide widths on each side, and the same count of neighbours by index around
+	 * renderIndex (looping tracks show the far end next to slide 0)
+	 * @returns {Set<number>}
+	 */
+	getSlidesToLoad() {
+		const _ = this;
+		const { store, utils } = _.ctx;
+		const options = store.getOptions();
+		const { slideCount } = store.getState();
+		const preload = Math.max(0, _.lazyOptions.preload ?? 1);
+
+		const indexes = new Set();
+		const buffer = preload * store.getWidths().slideAndGap;
+		utils.getSlidesInViewport(_.ctx, null, buffer).forEach((info) => {
+			if (info.isVisible) indexes.add(info.slide.index);
+		});
+
+		const { renderIndex } = store.getState();
+		const perView = Math.ceil(options.slidesPerView) || 1;
+		for (let offset = -preload; offset < perView + preload; offset++) {
+			let index = renderIndex + offset;
+			if (options.loop) index = ((index % slideCount) + slideCount) % slideCount;
+			if (index >= 0 && index < slideCount) indexes.add(index);
+		}
+
+		return indexes;
+	}
+
+	/**
+	 * start loading every lazy image in range that hasn't been started yet
+	 */
+	update() {
+		const _ = this;
+
+		// virtual slides that aren't in the dom are skipped, they load once they render
+		_.getSlidesToLoad().forEach((index) => {
+			const slide = _.ctx.store.getSlide(index);
+			if (!slide) return;
+
+			// <source> matches stand in for their picture's <img>
+			const images = new Set();
+			slide.querySelectorAll(LazyLoad.selector).forEach((el) => {
+				const img = el.tagName === 'SOURCE' ? el.parentElement.querySelector('img') : el;
+				if (img) images.add(img);
+			});
+
+			images.forEach((img) => _.loadImage(img, slide, index));
+		});
+	}
+
+	/**
+	 * swap the data-* sources in and wait for the image to settle
+	 * @param {HTMLImageElement} img
+	 * @param {HTMLElement} slide
+	 * @param {number} index
+	 */
+	loadImage(img, slide, index) {
+		const _ = this;
+
+		// already started
+		if (
+			_.loading.has(img) ||
+			img.classList.contains('tarot-loaded') ||
+			img.classList.contains('tarot-error')
+		) {
+			return;
+		}
+
+		_.loading.set(img, { slide, index, width: slide.offsetWidth, height: slide.offsetHeight });
+		img.classList.add('tarot-loading');
+		slide.classList.add('tarot-loading');
+		img.addEventListener('load', _.handlers.imageLoad);
+		img.addEventListener('error', _.handlers.imageError);
+
+		// sources first, so the picture picks its candidate from the real srcsets
+		const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+		picture?.querySelectorAll('source[data-srcset]').forEach((source) => {
+			if (source.dataset.sizes) source.sizes = source.dataset.sizes;
+			source.srcset = source.dataset.srcset;
+			source.removeAttribute('data-srcset');
+			source.removeAttribute('data-sizes');
+		});
+
+		let hasNewSource = false;
+		if (img.dataset.sizes) {
+			img.sizes = img.dataset.sizes;
+			img.removeAttribute('data-sizes');
+		}
+		if (img.dataset.srcset) {
+			img.srcset = img.dataset.srcset;
+			img.removeAttribute('data-srcset');
+			hasNewSource = true;
+		}
+		if (img.dataset.src) {
+			img.src = img.dataset.src;
+			img.removeAttribute('data-src');
+			hasNewSource = true;
+		}
+		img.removeAttribute('loading');
+
+		// a loading="lazy" image the browser already fetched won't fire load again
+		if (!hasNewSource && img.complete) {
+			_.finishImage(img, img.naturalWidth > 0);
+		}
+	}
+
+	/**
+	 * mark an image (and its slide once nothing in it is loading) as loaded or failed
+	 * @param {HTMLImageElement} img
+	 * @param {boolean} isLoaded
+	 */
+	finishImage(img, isLoaded) {
+		const _ = this;
+		const entry = _.loading.get(img);
+		if (!entry) return;
+
+		_.loading.delete(img);
+		img.removeEventListener('load', _.handlers.imageLoad);
+		img.removeEventListener('error', _.handlers.imageError);
+
+		const { slide, index } = entry;
+		img.classList.remove('tarot-loading');
+		img.classList.add(isLoaded ? 'tarot-loaded' : 'tarot-error');
+		if (!isLoaded) slide.classList.add('tarot-error');
+
+		if (!slide.querySelector('img.tarot-loading')) {
+			slide.classList.remove('tarot-loading');
+			if (!slide.classList.contains('tarot-error')) slide.classList.add('tarot-loaded');
+		}
+
+		_.ctx.emitter.emit(isLoaded ? _.ctx.events.lazy.loaded : _.ctx.events.lazy.error, {
+			slide,
+			index,
+			image: img,
+		});
+
+		// the image gave the slide its real size
+		if (slide.offsetWidth !== entry.width || slide.offsetHeight !== entry.height) {
+			_.handlers.relayout();
+		}
+	}
+
+	destroy() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+
+		// Remove all event listeners
+		emitter.off(events.store.renderIndexChanged, _.handlers.update);
+		emitter.off(events.animation.completed, _.handlers.update);
+		emitter.off(events.store.layoutChanged, _.handlers.update);
+		emitter.off(events.store.slidesChanged, _.handlers.update);
+		emitter.off(events.store.optionsChanged, _.handlers.optionsChanged);
+		_.handlers.relayout.cancel();
+
+		// images keep loading, we just stop listening
+		_.loading.forEach((entry, img) => {
+			img.removeEventListener('load', _.handlers.imageLoad);
+			img.removeEventListener('error', _.handlers.imageError);
+		});
+		_.loading.clear();
+	}
+}
+
+/**
+ * I used this link for referencing how to implement the pagedots
+ * https://www.w3.org/WAI/ARIA/apg/patterns/tabs/
+ * "It is recommended that tabs activate automatically when they
+ * receive focus as long as their associated tab panels are displayed
+ * without noticeable latency. This typically requires tab panel
+ * content to be preloaded. Otherwise, automatic activation slows
+ * focus movement, which significantly hampers users' ability
+ * to navigate efficiently across the tab list."
+ * */
+
+/**
+ * load-more
+ * infinite loading: near the end of a non-looping carousel, loadMore.load() is asked for the next page
+ * - a placeholder slide sits at the end while the page loads
+ * - the page replaces the placeholder in one SlideManager batch (setItems() in virtual mode)
+ * - an empty page ends loading, a failed one is retried after the next user interaction
+ */
+class LoadMore {
+	/**
+	 * @param {object} ctx - shared module context from tarot-carousel
+	 * @param {object} ctx.emitter
+	 * @param {object} ctx.events
+	 * @param {object} ctx.store
+	 * @param {HTMLElement} ctx.carousel
+	 */
+	constructor(ctx) {
+		const _ = this;
+		_.ctx = ctx;
+		_.loadOptions = {};
+		/** @type {number} - pages added so far */
+		_.page = 0;
+		/** @type {boolean} - the loader came back empty, there is nothing more */
+		_.isDone = false;
+		/** @type {boolean} - the last load failed, wait for the user before trying again */
+		_.isBlocked = false;
+		/** @type {AbortController|null} - the load in flight */
+		_.controller = null;
+		/** @type {HTMLElement|null} */
+		_.placeholder = null;
+
+		// Save handlers for later removal
+		_.handlers = {
+			check: () => {
+				_.check();
+			},
+			optionsChanged: () => {
+				_.reInit();
+			},
+			// a failed page is tried again once the user does something
+			userInteracted: () => {
+				_.isBlocked = false;
+				_.check();
+			},
+		};
+
+		_.init();
+	}
+
+	init() {
+		const _ = this;
+		_.loadOptions = _.getLoadOptions();
+		_.bindEvents();
+	}
+
+	reInit() {
+		const _ = this;
+		const prevLoad = _.loadOptions.load;
+		_.loadOptions = _.getLoadOptions();
+
+		// a new loader starts from its own first page
+		if (_.loadOptions.load !== prevLoad) {
+			_.abort();
+			_.page = 0;
+			_.isDone = false;
+			_.isBlocked = false;
+		}
+		_.check();
+	}
+
+	bindEvents() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+		emitter.on(events.store.renderIndexChanged, _.handlers.check);
+		emitter.on(events.carousel.ready, _.handlers.check);
+		emitter.on(events.store.optionsChanged, _.handlers.optionsChanged);
+		emitter.on(events.user.interacted, _.handlers.userInteracted);
+	}
+
+	/**
+	 * options.loadMore with the function shorthand resolved
+	 * @returns {{load:Function|null, threshold:number, placeholder:string|boolean}}
+	 */
+	getLoadOptions() {
+		const loadMore = this.ctx.store.getOptions().loadMore;
+		return typeof loadMore === 'function' ? { load: loadMore } : loadMore || {};
+	}
+
+	/** @returns {boolean} whether options.virtual is on (pages are items, not slides) */
+	isVirtual() {
+		return !!this.ctx.store.getOptions().virtual;
+	}
+
+	/** load the next page when the last slide in view is within loadMore.threshold of the end */
+	check() {
+		const _ = this;
+		const { load, threshold = 3 } = _.loadOptions;
+		if (typeof load !== 'function' || _.controller || _.isDone || _.isBlocked) return;
+
+		const options = _.ctx.store.getOptions();
+		if (options.loop) return;
+
+		const { renderIndex, slideCount } = _.ctx.store.getState();
+		const lastInView = renderIndex + Math.max(1, Math.ceil(options.slidesPerView)) - 1;
+		if (slideCount - 1 - lastInView > threshold) return;
+
+		_.loadNext();
+	}
+
+	/** ask the loader for the next page and add what it returns */
+	async loadNext() {
+		const _ = this;
+		const { emitter, events, store } = _.ctx;
+		const controller = new AbortController();
+		const page = _.page + 1;
+		_.controller = controller;
+
+		_.ctx.carousel.classList.add('tarot-loading-more');
+		_.showPlaceholder();
+
+		let result;
+		try {
+			result = await _.loadOptions.load({
+				page,
+				count: store.getState().slideCount - (_.placeholder ? 1 : 0),
+				signal: controller.signal,
+			});
+		} catch (error) {
+			// aborted (destroy, new loader): someone else cleans up
+			if (controller !== _.controller) return;
+
+			_.finish();
+			_.isBlocked = true;
+			console.warn(`tarot-carousel: loadMore page ${page} failed`, error);
+			emitter.emit(events.slides.loadMoreError, { error, page });
+			return;
+		}
+		if (controller !== _.controller) return;
+
+		const slides = _.addPage(result);
+		_.finish();
+		_.page = page;
+		_.isDone = slides.length === 0;
+		emitter.emit(events.slides.loadMore, { slides, page, done: _.isDone });
+
+		// one page may not reach past the threshold
+		_.check();
+	}
+
+	/**
+	 * add a page: items in virtual mode, otherwise new slides in place of the placeholder
+	 * @param {*} result - what load() resolved with
+	 * @returns {Array} the new slides (or items)
+	 */
+	addPage(result) {
+		const _ = this;
+		const { commands } = _.ctx;
+
+		if (_.isVirtual()) {
+			const items = Array.from(result ?? []);
+			if (items.length) commands.setItems([...commands.getVirtualSource().items, ...items]);
+			return items;
+		}
+
+		const placeholder = _.placeholder;
+		_.placeholder = null;
+
+		let slides = [];
+		commands.changeSlides((slideManager) => {
+			const nodes = slideManager.createSlides(result ?? []);
+			const index = _.ctx.store.getSlides().indexOf(placeholder);
+			if (nodes.length) slideManager.insertSlides(nodes, index === -1 ? Infinity : index);
+			if (placeholder) slideManager.removeSlides([placeholder]);
+			slides = nodes;
+		});
+
+		// wrapSlides() may have put them in a tarot-slide
+		return slides.map((node) => node.closest('tarot-slide')).filter(Boolean);
+	}
+
+	/** append the loading slide (not in virtual mode, its slides come from the items) */
+	showPlaceholder() {
+		const _ = this;
+		const { placeholder } = _.loadOptions;
+		if (placeholder === false || _.isVirtual()) return;
+
+		const slide = document.createElement('tarot-slide');
+		slide.classList.add('tarot-load-more');
+		slide.setAttribute('aria-busy', 'true');
+		slide.innerHTML = typeof placeholder === 'string' ? placeholder : '';
+
+		_.placeholder = slide;
+		_.ctx.commands.changeSlides((slideManager) => slideManager.insertSlides([slide], Infinity));
+	}
+
+	/** take the placeholder out again (when nothing replaced it) */
+	removePlaceholder() {
+		const _ = this;
+		const placeholder = _.placeholder;
+		if (!placeholder) return;
+
+		_.placeholder = null;
+		if (!placeholder.isConnected) return;
+		_.ctx.commands.changeSlides((slideManager) => slideManager.removeSlides([placeholder]));
+	}
+
+	/** loading is over, successful or not */
+	finish() {
+		const _ = this;
+		_.controller = null;
+		_.removePlaceholder();
+		_.ctx.carousel.classList.remove('tarot-loading-more');
+	}
+
+	/** cancel the load in flight, its result is ignored */
+	abort() {
+		const _ = this;
+		const controller = _.controller;
+		if (!controller) return;
+
+		_.finish();
+		controller.abort();
+	}
+
+	destroy() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+
+		emitter.off(events.store.renderIndexChanged, _.handlers.check);
+		emitter.off(events.carousel.ready, _.handlers.check);
+		emitter.off(events.store.optionsChanged, _.handlers.optionsChanged);
+		emitter.off(events.user.interacted, _.handlers.userInteracted);
+
+		// the carousel is coming down, only drop the placeholder itself
+		_.controller?.abort();
+		_.controller = null;
+		_.placeholder?.remove();
+		_.placeholder = null;
+		_.ctx.carousel.classList.remove('tarot-loading-more');
+	}
+}
+
+class Pagination {
+	constructor(ctx) {
+		const _ = this;
+		_.ctx = ctx;
+		_.navOptions = {};
+		_.paginationContainer = null;
+		_.dotsList = null;
+		_.isAutoGeneratedNav = false;
+
+		//  debounce render so rapid changes do not rebuild repeatedly
+		_.debouncedRender = _.ctx.utils.debounce(() => _.render(), 20);
+
+		_.handlers = {
+			//  handle clicks on pagination dots
+			paginationClick: (event) => {
+				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'pagination', event });
+				const target = event.target.closest('[data-action="tarot-go-to-page"]');
+				if (!target) return;
+				const pageIndex = parseInt(target.getAttribute('data-page-index'), 10);
+				_.activateDot(pageIndex);
+			},
+
+			//  keyboard navigation with auto-activation
 			keyDown: (event) => {
 				const allowedKeys = ['ArrowLeft', 'ArrowRight', 'Home', 'End'];
 				if (!allowedKeys.includes(event.key)) return;
@@ -5239,7 +8989,8 @@ class Pagination {
 
 				const options = _.ctx.store.getOptions();
 
-				switch (event.key) {
+				// dots follow the host direction, so rtl flips left/right
+				switch (_.ctx.utils.mirrorArrowKey(event.key, _.ctx.store.getState().rtl)) {
 					case 'ArrowRight':
 						newIndex = currentIndex + 1;
 						if (newIndex >= tabs.length) newIndex = options.loop ? 0 : currentIndex;
@@ -5455,14 +9206,746 @@ class Pagination {
 			_.ctx.carousel.removeChild(_.paginationContainer.parentNode);
 		}
 
-		_.paginationContainer = null;
-		_.dotsList = null;
+		_.paginationContainer = null;
+		_.dotsList = null;
+		_.debouncedRender = null;
+	}
+}
+
+/**
+ * persist plugin (ctx-based)
+ * - saves renderIndex / selectedIndex (and the active filter) to web storage on every change
+ * - the saved filter is applied and the saved slide is the first one painted on the next load (see getInitialIndex)
+ * - records are keyed by persist.key or the carousel's authored id, without either it turns off
+ * - storage that is blocked or full (private mode, sandboxed frames) turns it off quietly
+ */
+class Persist {
+	/** storage key prefix, the carousel id is appended */
+	static keyPrefix = 'tarot-carousel:';
+
+	/**
+	 * resolve options.persist, attribute and json values included
+	 * @param {boolean|string} value
+	 * @returns {string|false} 'session' | 'local', or false when off
+	 */
+	static getMode(value) {
+		if (value === true || value === '' || value === 'true') return 'session';
+		return value === 'session' || value === 'local' ? value : false;
+	}
+
+	/**
+	 * @param {object} ctx - shared module context from tarot-carousel
+	 * @param {object} ctx.emitter
+	 * @param {object} ctx.events
+	 * @param {object} ctx.store
+	 * @param {HTMLElement} ctx.carousel
+	 */
+	constructor(ctx) {
+		const _ = this;
+		_.ctx = ctx;
+		_.mode = false;
+		_.key = null;
+		_.storage = null;
+		/** @type {{renderIndex:number, selectedIndex:number, filter:string|object|null}|null} - what the last page saved */
+		_.restored = null;
+
+		// Save handlers for later removal
+		_.handlers = {
+			optionsChanged: () => {
+				_.reInit();
+			},
+			save: () => {
+				_.save();
+			},
+		};
+
+		_.init();
+	}
+
+	init() {
+		const _ = this;
+		_.ctx.emitter.on(_.ctx.events.store.optionsChanged, _.handlers.optionsChanged);
+		_.reInit();
+
+		// read before anything is saved over it
+		_.restored = _.read();
+		_.restoreFilter();
+		_.restoreSelectedIndex();
+	}
+
+	reInit() {
+		const _ = this;
+		const persist = _.ctx.store.getOptions().persist || {};
+		const mode = Persist.getMode(persist.storage);
+		const key = mode ? _.getKey(persist.key) : null;
+		if (mode === _.mode && key === _.key) return;
+
+		_.unbindEvents();
+		_.mode = mode;
+		_.key = key;
+		_.storage = null;
+		if (!mode) return;
+
+		// a generated id would hand this carousel's record to whichever carousel gets it next time
+		if (!key) {
+			console.warn(
+				`tarot-carousel: persist needs an id on the carousel or persist.key, turning it off for #${_.ctx.carousel.id}`
+			);
+			return;
+		}
+
+		_.storage = _.getStorage(mode);
+		if (!_.storage) return;
+
+		_.bindEvents();
+	}
+
+	bindEvents() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+		emitter.on(events.store.renderIndexChanged, _.handlers.save);
+		emitter.on(events.store.selectedIndexChanged, _.handlers.save);
+		emitter.on(events.slides.filtered, _.handlers.save);
+	}
+
+	unbindEvents() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+		emitter.off(events.store.renderIndexChanged, _.handlers.save);
+		emitter.off(events.store.selectedIndexChanged, _.handlers.save);
+		emitter.off(events.slides.filtered, _.handlers.save);
+	}
+
+	/**
+	 * the web storage area for a mode, or null when the browser blocks it
+	 * @param {string} mode - 'session' | 'local'
+	 * @returns {Storage|null}
+	 */
+	getStorage(mode) {
+		try {
+			// reading window.localStorage itself throws when storage is disabled
+			const storage = mode === 'local' ? window.localStorage : window.sessionStorage;
+			storage.getItem(Persist.keyPrefix);
+			return storage;
+		} catch (error) {
+			console.warn(`tarot-carousel: persist '${mode}' storage is unavailable`, error);
+			return null;
+		}
+	}
+
+	/**
+	 * storage key: persist.key, else the carousel's authored id
+	 * @param {string|null} key - options.persist.key
+	 * @returns {string|null} null when neither names the carousel
+	 */
+	getKey(key) {
+		const _ = this;
+		if (key) return `${Persist.keyPrefix}${key}`;
+		return _.ctx.commands.hasAuthoredId() ? `${Persist.keyPrefix}${_.ctx.carousel.id}` : null;
+	}
+
+	/**
+	 * the filter the saved indices belong to
+	 * @returns {string|object|null|undefined} undefined for predicate filters, which can't be saved
+	 */
+	getFilter() {
+		const filter = this.ctx.commands.getSlideManager().getFilter();
+		return typeof filter === 'function' ? undefined : filter;
+	}
+
+	/**
+	 * saved record for this carousel
+	 * @returns {object|null} null when nothing usable is stored
+	 */
+	read() {
+		const _ = this;
+		if (!_.storage) return null;
+
+		try {
+			const record = JSON.parse(_.storage.getItem(_.key));
+			return record && typeof record === 'object' ? record : null;
+		} catch (error) {
+			// unreadable or foreign data, start fresh
+			return null;
+		}
+	}
+
+	/** write the current position */
+	save() {
+		const _ = this;
+		if (!_.storage) return;
+
+		const { renderIndex, selectedIndex } = _.ctx.store.getState();
+		const filter = _.getFilter();
+		try {
+			// indices under a predicate filter can't be restored, so don't leave stale ones behind
+			if (filter === undefined) {
+				_.storage.removeItem(_.key);
+				return;
+			}
+			_.storage.setItem(_.key, JSON.stringify({ renderIndex, selectedIndex, filter }));
+		} catch (error) {
+			// quota exceeded or storage revoked mid-session, stop trying
+			console.warn('tarot-carousel: persist could not save, turning it off', error);
+			_.unbindEvents();
+			_.storage = null;
+		}
+	}
+
+	/**
+	 * @param {*} index
+	 * @returns {boolean} whether index points at a current slide
+	 */
+	isValidIndex(index) {
+		return Number.isInteger(index) && index >= 0 && index < this.ctx.store.getState().slideCount;
+	}
+
+	/** re-apply the saved filter, the saved indices point into the slides it leaves */
+	restoreFilter() {
+		const _ = this;
+		if (!_.restored) return;
+
+		const filter = _.restored.filter ?? null;
+		const pageFilter = _.ctx.commands.getSlideManager().getFilter();
+		if (JSON.stringify(filter) === JSON.stringify(pageFilter)) return;
+
+		const result = _.ctx.commands.filter(filter);
+		if (result?.matched) return;
+
+		// a filter this page can't apply (bad selector) or that matches nothing (renamed tags)
+		// makes the indices meaningless, keep the page's own filter
+		if (result) _.ctx.commands.filter(pageFilter);
+		_.restored = null;
+	}
+
+	/** put the saved selection back (selection has no animation, so it can happen right away) */
+	restoreSelectedIndex() {
+		const _ = this;
+		const selectedIndex = _.restored?.selectedIndex;
+		if (!_.isValidIndex(selectedIndex)) return;
+		_.ctx.store.setState({ selectedIndex });
+	}
+
+	/**
+	 * saved slide for the first paint
+	 * @returns {number|null} slide index, or null to keep options.initialIndex
+	 */
+	getInitialIndex() {
+		const _ = this;
+		const renderIndex = _.restored?.renderIndex;
+		return _.isValidIndex(renderIndex) ? renderIndex : null;
+	}
+
+	destroy() {
+		const _ = this;
+		_.ctx.emitter.off(_.ctx.events.store.optionsChanged, _.handlers.optionsChanged);
+		_.unbindEvents();
+		_.mode = false;
+		_.key = null;
+		_.storage = null;
+		_.restored = null;
+	}
+}
+
+/**
+ * scrollbar plugin (ctx-based)
+ * - renders a track with a draggable role="slider" thumb and clickable snap points
+ * - follows track:position-changed so the thumb moves with every frame
+ * - dragging scrubs the track via requestTrackPosition, releasing snaps to the nearest page
+ * - can render into an external element via navigation.scrollbarSelector
+ */
+class Scrollbar {
+	/**
+	 * @param {object} ctx - shared module context from tarot-carousel
+	 */
+	constructor(ctx) {
+		const _ = this;
+		_.ctx = ctx;
+		_.navOptions = {};
+		_.container = null;
+		_.scrollbar = null;
+		_.track = null;
+		_.snapPointsList = null;
+		_.thumb = null;
+		_.isAutoGenerated = false;
+		_.isDragging = false;
+		_.pointerId = null;
+
+		// cached page positions on the track (0..1 along the scrollbar)
+		_.pagePositions = [];
+		_.firstPagePos = 0;
+		_.lastPagePos = 0;
+
+		// throttle track scrubbing so we don't flood the animator while dragging
+		_.throttledScrub = _.ctx.utils.throttle((percent) => _.scrubTo(percent), 16);
+
+		//  debounce render so rapid changes do not rebuild repeatedly
+		_.debouncedRender = _.ctx.utils.debounce(() => _.render(), 20);
+
+		_.handlers = {
+			// click on the scrollbar track or a snap point
+			trackClick: (event) => {
+				if (_.isDragging || event.target === _.thumb) return;
+				if (!_.navOptions.scrollbarClickToNavigate) return;
+
+				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'scrollbar', event });
+
+				// snap points go straight to their page
+				const snapPoint = event.target.closest('.tarot-scrollbar-snap-point');
+				if (snapPoint) {
+					_.ctx.commands.goToPage(parseInt(snapPoint.getAttribute('data-page'), 10));
+					return;
+				}
+
+				_.ctx.commands.goToPage(_.getNearestPage(_.getPercentFromEvent(event)));
+			},
+
+			// start dragging the thumb
+			thumbPointerDown: (event) => {
+				if (!_.navOptions.scrollbarDragToNavigate) return;
+				event.preventDefault();
+				event.stopPropagation();
+
+				_.isDragging = true;
+				_.pointerId = event.pointerId;
+				_.thumb.setPointerCapture?.(event.pointerId);
+				_.scrollbar.classList.add('tarot-scrollbar--dragging');
+
+				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'scrollbar', event });
+			},
+
+			// move thumb + track with the pointer
+			thumbPointerMove: (event) => {
+				if (!_.isDragging || event.pointerId !== _.pointerId) return;
+				event.preventDefault();
+
+				const percent = _.getPercentFromEvent(event);
+				_.renderThumb(percent);
+				_.throttledScrub(percent);
+
+				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'scrollbar', event });
+			},
+
+			// release thumb and settle on the nearest page
+			thumbPointerUp: (event) => {
+				if (!_.isDragging || event.pointerId !== _.pointerId) return;
+
+				_.isDragging = false;
+				_.pointerId = null;
+				_.thumb.releasePointerCapture?.(event.pointerId);
+				_.scrollbar.classList.remove('tarot-scrollbar--dragging');
+
+				_.ctx.commands.goToPage(_.getNearestPage(_.getPercentFromEvent(event)));
+			},
+
+			// slider keyboard support
+			thumbKeyDown: (event) => {
+				const state = _.ctx.store.getState();
+				const page = state.pageIndex;
+				const lastPage = state.pageCount - 1;
+				const loop = _.ctx.store.getOptions().loop;
+				let newPage;
+
+				// rtl scrollbars run right to left, so their arrow keys flip too
+				switch (_.ctx.utils.mirrorArrowKey(event.key, state.rtl)) {
+					case 'ArrowLeft':
+					case 'ArrowDown':
+						newPage = page > 0 ? page - 1 : loop ? lastPage : page;
+						break;
+					case 'ArrowRight':
+					case 'ArrowUp':
+						newPage = page < lastPage ? page + 1 : loop ? 0 : page;
+						break;
+					case 'Home':
+						newPage = 0;
+						break;
+					case 'End':
+						newPage = lastPage;
+						break;
+					default:
+						return;
+				}
+
+				event.preventDefault();
+				event.stopPropagation();
+
+				_.ctx.emitter.emit(_.ctx.events.user.interacted, { via: 'key', event });
+				if (newPage !== page) _.ctx.commands.goToPage(newPage);
+			},
+
+			optionsChanged: () => {
+				_.reInit();
+			},
+
+			slidesChanged: () => {
+				_.debouncedRender();
+			},
+
+			layoutChanged: () => {
+				_.debouncedRender();
+			},
+
+			pageCountChanged: () => {
+				_.debouncedRender();
+			},
+
+			pageChanged: () => {
+				_.updateAria();
+			},
+
+			trackPositionChanged: ({ currentTrackPosition }) => {
+				// the pointer owns the thumb while dragging
+				if (_.isDragging) return;
+				_.renderThumb(_.getPercentFromTrackPos(currentTrackPosition));
+			},
+		};
+
+		_.init();
+	}
+
+	//  build the scrollbar dom and bind events
+	init() {
+		const _ = this;
+		_.navOptions = _.ctx.store.getOptions().navigation || {};
+
+		_.bindEvents();
+
+		// nothing to build until it's turned on
+		if (!_.navOptions.showScrollbar) return;
+
+		_.build();
+		_.bindUI();
+		_.render();
+	}
+
+	//  whether the scrollbar runs top to bottom (options.axis === 'vertical')
+	isVertical() {
+		return this.ctx.store.getOptions().axis === 'vertical';
+	}
+
+	//  whether the scrollbar runs right to left (horizontal rtl carousels)
+	isRTL() {
+		return !this.isVertical() && this.ctx.store.getState().rtl === true;
+	}
+
+	/**
+	 * css offset for a position along the scrollbar, rtl counts from the right edge
+	 * @param {number} percent - position along the scrollbar (0..1)
+	 * @returns {string} percentage for top/left
+	 */
+	getCSSOffset(percent) {
+		return `${(this.isRTL() ? 1 - percent : percent) * 100}%`;
+	}
+
+	//  rebuild when carousel options change
+	reInit() {
+		const _ = this;
+		const prevOptions = _.navOptions;
+		_.navOptions = _.ctx.store.getOptions().navigation || {};
+
+		// tear down and rebuild if placement or visibility changed
+		const hasChanged =
+			!!prevOptions.showScrollbar !== !!_.navOptions.showScrollbar ||
+			prevOptions.scrollbarSelector !== _.navOptions.scrollbarSelector ||
+			prevOptions.scrollbarPosition !== _.navOptions.scrollbarPosition;
+
+		if (hasChanged) {
+			_.unbindUI();
+			_.removeDOM();
+			if (!_.navOptions.showScrollbar) return;
+			_.build();
+			_.bindUI();
+		}
+
+		if (_.scrollbar) _.debouncedRender();
+	}
+
+	//  bind carousel events to scrollbar handlers
+	bindEvents() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+		emitter.on(events.store.optionsChanged, _.handlers.optionsChanged);
+		emitter.on(events.store.slidesChanged, _.handlers.slidesChanged);
+		emitter.on(events.store.layoutChanged, _.handlers.layoutChanged);
+		emitter.on(events.store.pageCountChanged, _.handlers.pageCountChanged);
+		emitter.on(events.store.pageIndexChanged, _.handlers.pageChanged);
+		emitter.on(events.track.positionChanged, _.handlers.trackPositionChanged);
+	}
+
+	//  bind dom events on the scrollbar elements
+	bindUI() {
+		const _ = this;
+		if (!_.scrollbar) return;
+		_.track.addEventListener('click', _.handlers.trackClick);
+		_.thumb.addEventListener('pointerdown', _.handlers.thumbPointerDown, { passive: false });
+		_.thumb.addEventListener('pointermove', _.handlers.thumbPointerMove, { passive: false });
+		_.thumb.addEventListener('pointerup', _.handlers.thumbPointerUp);
+		_.thumb.addEventListener('pointercancel', _.handlers.thumbPointerUp);
+		_.thumb.addEventListener('keydown', _.handlers.thumbKeyDown);
+	}
+
+	//  unbind dom events from the scrollbar elements
+	unbindUI() {
+		const _ = this;
+		if (!_.scrollbar) return;
+		_.track.removeEventListener('click', _.handlers.trackClick);
+		_.thumb.removeEventListener('pointerdown', _.handlers.thumbPointerDown, { passive: false });
+		_.thumb.removeEventListener('pointermove', _.handlers.thumbPointerMove, { passive: false });
+		_.thumb.removeEventListener('pointerup', _.handlers.thumbPointerUp);
+		_.thumb.removeEventListener('pointercancel', _.handlers.thumbPointerUp);
+		_.thumb.removeEventListener('keydown', _.handlers.thumbKeyDown);
+	}
+
+	//  create the scrollbar elements in the carousel or an external container
+	build() {
+		const _ = this;
+		const navOptions = _.navOptions;
+		const carouselID = _.ctx.carousel.id || '';
+
+		_.isAutoGenerated = false;
+		_.container = null;
+
+		//  if a scrollbar element is provided via selector, use it
+		if (navOptions.scrollbarSelector) {
+			_.container = document.querySelector(navOptions.scrollbarSelector);
+		}
+
+		_.scrollbar = document.createElement('div');
+		_.track = document.createElement('div');
+		_.track.className = 'tarot-scrollbar-track';
+
+		_.snapPointsList = document.createElement('div');
+		_.snapPointsList.className = 'tarot-scrollbar-snap-points';
+
+		_.thumb = document.createElement('div');
+		_.thumb.className = 'tarot-scrollbar-thumb';
+		_.thumb.setAttribute('role', 'slider');
+		_.thumb.setAttribute('tabindex', '0');
+		_.thumb.setAttribute('aria-label', 'carousel scrollbar');
+		_.thumb.setAttribute('aria-valuemin', '1');
+		if (carouselID) _.thumb.setAttribute('aria-controls', carouselID);
+
+		_.track.appendChild(_.snapPointsList);
+		_.track.appendChild(_.thumb);
+		_.scrollbar.appendChild(_.track);
+
+		if (_.container) {
+			_.container.appendChild(_.scrollbar);
+			return;
+		}
+
+		//  no container provided, place it above or below the viewport
+		_.isAutoGenerated = true;
+		const viewport = _.ctx.viewport;
+		if (navOptions.scrollbarPosition === 'top') {
+			viewport.parentNode.insertBefore(_.scrollbar, viewport);
+		} else {
+			viewport.parentNode.insertBefore(_.scrollbar, viewport.nextSibling);
+		}
+	}
+
+	//  update classes, snap points, thumb and aria from the current state
+	render() {
+		const _ = this;
+		if (!_.scrollbar) return;
+
+		const navOptions = _.navOptions;
+		const state = _.ctx.store.getState();
+		const position = navOptions.scrollbarPosition === 'top' ? 'top' : 'bottom';
+		const size = ['small', 'large'].includes(navOptions.scrollbarSize)
+			? navOptions.scrollbarSize
+			: 'normal';
+
+		// a vertical carousel gets a vertical scrollbar, 'top' puts it on the left and 'bottom' on the right
+		const orientation = _.isVertical() ? 'vertical' : 'horizontal';
+
+		_.scrollbar.className = `tarot-scrollbar tarot-scrollbar--${position} tarot-scrollbar--${size} tarot-scrollbar--${orientation}`;
+		_.scrollbar.classList.toggle('tarot-scrollbar--rtl', _.isRTL());
+		_.thumb.setAttribute('aria-orientation', orientation);
+
+		_.calculatePagePositions();
+		_.renderSnapPoints();
+		_.renderThumb(_.getPercentFromTrackPos(_.ctx.store.getAnimation().trackPosition || 0));
+		_.updateAria();
+
+		if (navOptions.scrollbarAutoHide && state.pageCount <= 1) _.hide();
+		else _.show();
+	}
+
+	//  cache where each page sits along the scrollbar (0..1)
+	calculatePagePositions() {
+		const _ = this;
+		const trackManager = _.ctx.commands.getTrackManager();
+		const state = _.ctx.store.getState();
+		const options = _.ctx.store.getOptions();
+		const perMove = options.slidesPerMove ?? 1;
+		const pageCount = Math.max(1, state.pageCount);
+		const lastSlide = Math.max(0, state.slideCount - 1);
+
+		const trackPositions = [];
+		for (let i = 0; i < pageCount; ++i) {
+			trackPositions.push(trackManager.getTrackPosForIndex(Math.min(i * perMove, lastSlide)));
+		}
+
+		_.firstPagePos = trackPositions[0];
+		_.lastPagePos = trackPositions[pageCount - 1];
+		_.pagePositions = trackPositions.map((pos) => _.getPercentFromTrackPos(pos));
+	}
+
+	//  build one snap point per page
+	renderSnapPoints() {
+		const _ = this;
+		_.snapPointsList.innerHTML = '';
+
+		if (!_.navOptions.scrollbarShowSnapPoints) {
+			_.snapPointsList.style.display = 'none';
+			return;
+		}
+		_.snapPointsList.style.display = '';
+
+		for (let i = 0, n = _.pagePositions.length; i < n; ++i) {
+			const snapPoint = document.createElement('div');
+			snapPoint.className = 'tarot-scrollbar-snap-point';
+			snapPoint.setAttribute('data-page', i);
+			snapPoint.setAttribute('aria-hidden', 'true');
+			snapPoint.style[_.isVertical() ? 'top' : 'left'] = _.getCSSOffset(_.pagePositions[i]);
+			_.snapPointsList.appendChild(snapPoint);
+		}
+	}
+
+	/**
+	 * move the thumb along the track
+	 * @param {number} percent - position along the scrollbar (0..1)
+	 */
+	renderThumb(percent) {
+		if (!this.thumb) return;
+		const [main, cross] = this.isVertical() ? ['top', 'left'] : ['left', 'top'];
+		this.thumb.style[main] = this.getCSSOffset(percent);
+		this.thumb.style[cross] = '';
+	}
+
+	//  keep slider aria values in sync with the current page
+	updateAria() {
+		const _ = this;
+		if (!_.thumb) return;
+		const state = _.ctx.store.getState();
+		const page = state.pageIndex + 1;
+		const pageCount = Math.max(1, state.pageCount);
+		_.thumb.setAttribute('aria-valuemax', pageCount);
+		_.thumb.setAttribute('aria-valuenow', page);
+		_.thumb.setAttribute('aria-valuetext', `page ${page} of ${pageCount}`);
+	}
+
+	/**
+	 * convert a track position into a position along the scrollbar
+	 * @param {number} trackPosition - track transform position in px
+	 * @returns {number} position along the scrollbar (0..1)
+	 */
+	getPercentFromTrackPos(trackPosition) {
+		const _ = this;
+		const range = _.lastPagePos - _.firstPagePos;
+		if (!range) return 0;
+		return Math.max(0, Math.min(1, (trackPosition - _.firstPagePos) / range));
+	}
+
+	/**
+	 * read the pointer position along the scrollbar track
+	 * @param {MouseEvent|PointerEvent} event
+	 * @returns {number} position along the scrollbar (0..1)
+	 */
+	getPercentFromEvent(event) {
+		const rect = this.track.getBoundingClientRect();
+		if (this.isVertical()) {
+			if (!rect.height) return 0;
+			return Math.max(0, Math.min(1, (event.clientY - rect.top) / rect.height));
+		}
+		if (!rect.width) return 0;
+		// rtl scrollbars start on the right
+		const offset = this.isRTL()
+			? rect.right - event.clientX
+			: event.clientX - rect.left;
+		return Math.max(0, Math.min(1, offset / rect.width));
+	}
+
+	/**
+	 * find the page closest to a position along the scrollbar
+	 * @param {number} percent - position along the scrollbar (0..1)
+	 * @returns {number} page index
+	 */
+	getNearestPage(percent) {
+		const _ = this;
+		let nearest = 0;
+		let nearestDistance = Infinity;
+		for (let i = 0, n = _.pagePositions.length; i < n; ++i) {
+			const distance = Math.abs(_.pagePositions[i] - percent);
+			if (distance < nearestDistance) {
+				nearestDistance = distance;
+				nearest = i;
+			}
+		}
+		return nearest;
+	}
+
+	/**
+	 * move the carousel track to follow the thumb
+	 * @param {number} percent - position along the scrollbar (0..1)
+	 */
+	scrubTo(percent) {
+		const _ = this;
+		if (!_.isDragging) return;
+		const trackPosition = _.firstPagePos + (_.lastPagePos - _.firstPagePos) * percent;
+		_.ctx.commands.requestTrackPosition(`${trackPosition}px`);
+	}
+
+	//  show the scrollbar
+	show() {
+		if (this.scrollbar) this.scrollbar.style.display = '';
+	}
+
+	//  hide the scrollbar
+	hide() {
+		if (this.scrollbar) this.scrollbar.style.display = 'none';
+	}
+
+	//  remove scrollbar elements from the dom
+	removeDOM() {
+		const _ = this;
+		if (_.scrollbar?.parentNode) {
+			_.scrollbar.parentNode.removeChild(_.scrollbar);
+		}
+		_.scrollbar = null;
+		_.track = null;
+		_.snapPointsList = null;
+		_.thumb = null;
+		_.container = null;
+		_.isAutoGenerated = false;
+	}
+
+	//  destroy the scrollbar and unbind everything
+	destroy() {
+		const _ = this;
+		const { emitter, events } = _.ctx;
+
+		_.unbindUI();
+
+		emitter.off(events.store.optionsChanged, _.handlers.optionsChanged);
+		emitter.off(events.store.slidesChanged, _.handlers.slidesChanged);
+		emitter.off(events.store.layoutChanged, _.handlers.layoutChanged);
+		emitter.off(events.store.pageCountChanged, _.handlers.pageCountChanged);
+		emitter.off(events.store.pageIndexChanged, _.handlers.pageChanged);
+		emitter.off(events.track.positionChanged, _.handlers.trackPositionChanged);
+
+		// cancel debounced function if it has a cancel method
+		if (_.debouncedRender && typeof _.debouncedRender.cancel === 'function') {
+			_.debouncedRender.cancel();
+		}
+
+		_.removeDOM();
 		_.debouncedRender = null;
 	}
 }
 
 // tarot-carousel.js
-// import Scrollbar from './plugins/scrollbar.js'; // TODO: not working yet
 
 /** 🔮 ✨ 🕯️ 🍄 🌙 ⭐ TAROT ⭐ 🌙 🍄 🕯️ ✨ 🔮 */
 class Tarot extends HTMLElement {
@@ -5476,12 +9959,61 @@ class Tarot extends HTMLElement {
 		fade: Fade,
 	};
 
+	/** animation drivers for options.animation.driver (see registerDriver) */
+	static drivers = {
+		spring: PhysicsEngine,
+		tween: TweenEngine,
+	};
+
 	/** @type {Array<Function>} core plugins (always included) */
-	static plugins = [AsNavFor, SyncWith, Autoplay, Buttons, LazyLoad, Pagination /* Scrollbar */];
+	static plugins = [
+		AsNavFor,
+		SyncWith,
+		Autoplay,
+		Buttons,
+		HashNavigation,
+		LazyLoad,
+		LoadMore,
+		Pagination,
+		Persist,
+		Scrollbar,
+	];
+
+	/** attributes that configure options declaratively (see OptionsManager.attributeOptions) */
+	static get observedAttributes() {
+		return Object.keys(OptionsManager.attributeOptions);
+	}
 
 	/** @type {number} count of carousel instances created */
 	static instanceCount = 0;
 
+	/**
+	 * register an animation driver for options.animation.driver
+	 * drivers are constructed with options.animation and need animateTo(start, end, velocity),
+	 * tick(time), stop(), isAnimating(), on()/off() and to emit engine:position-changed
+	 * ({ position, positionDelta, progress, velocity }) and engine:finished
+	 * animateTo() must emit a first position change, that is what starts the frame loop
+	 * @param {string} name
+	 * @param {Function} driverClass
+	 */
+	static registerDriver(name, driverClass) {
+		const _ = this;
+
+		if (!name || typeof driverClass !== 'function') {
+			console.warn('tarot-carousel.registerDriver requires a name and a driver class');
+			return;
+		}
+
+		const key = String(name).trim().toLowerCase();
+
+		// warn on overwrite
+		if (_.drivers[key]) {
+			console.warn(`tarot-carousel: overwriting existing driver '${key}'`);
+		}
+
+		_.drivers[key] = driverClass;
+	}
+
 	/**
 	 * register an effect class using a canonical key
 	 * prefers a static identifier (effectName/slug/key), falls back to class name
@@ -5562,10 +10094,17 @@ class Tarot extends HTMLElement {
 	#frameEngine;
 
 	#pluginInstances = [];
+	#virtualSource = { items: [], renderSlide: null }; // options.virtual data, see setItems()
+	#authoredEffect = null; // the [effect] the page set, put back on teardown over EffectManager's reflection
 	#viewport;
 	#track;
 	#announcements;
 
+	#coreHandlers = null; // orchestration listeners bound in #bindCoreEvents
+	#isBuilt = false; // true while managers and plugins are alive
+	#connectionId = 0; // bumped on every connect/disconnect to drop stale async setups
+	#generatedId = null; // the id the constructor made up, an authored id replaces it
+
 	// ---------------------------------------------------------------------
 	// lifecycle
 	// ---------------------------------------------------------------------
@@ -5578,6 +10117,7 @@ class Tarot extends HTMLElement {
 		// set a unique id for this carousel instance
 		if (!_.id) {
 			_.id = `tarot-carousel-${Tarot.instanceCount}`;
+			_.#generatedId = _.id;
 		}
 		Tarot.instanceCount++;
 
@@ -5591,6 +10131,7 @@ class Tarot extends HTMLElement {
 	/** custom element connected lifecycle hook */
 	async connectedCallback() {
 		const _ = this;
+		const connectionId = ++_.#connectionId;
 
 		// make sure tarot-slide component is registered
 		if (!customElements.get('tarot-slide')) {
@@ -5600,52 +10141,137 @@ class Tarot extends HTMLElement {
 			await new Promise(requestAnimationFrame);
 		}
 
-		// query and normalize required child elements
-		_.#queryDOMElements();
+		// bail if we were disconnected (or moved again) while waiting
+		if (connectionId !== _.#connectionId || !_.isConnected || _.#isBuilt) return;
 
-		// make carousel focusable for keyboard navigation
-		_.setAttribute('tabindex', '0');
+		_.#build();
+	}
 
-		// now that dom refs exist, build the shared context
-		_.#ctx = _.#createModuleContext();
-		const ctx = _.#ctx; // local ref for faster property access
+	/**
+	 * custom element attribute lifecycle hook
+	 * attributes present before connect are read by OptionsManager during build
+	 * @param {string} name
+	 * @param {string|null} oldValue
+	 * @param {string|null} newValue
+	 */
+	attributeChangedCallback(name, oldValue, newValue) {
+		const _ = this;
+		if (oldValue === newValue || !_.#optionsManager) return;
 
-		// create managers (all receive ctx, not the whole carousel)
-		_.#optionsManager = new OptionsManager(ctx);
-		_.#windowEvents = new WindowEvents(ctx);
-		_.#slideManager = new SlideManager(ctx);
-		_.#effectManager = new EffectManager(ctx, _.constructor.effects);
-		_.#dragHandler = new DragHandler(ctx);
-		_.#trackAnimator = new TrackAnimator(ctx);
-		_.#trackManager = new TrackManager(ctx, _.#trackAnimator);
-		_.#frameEngine = new FrameEngine(ctx);
+		// a callback queued behind a later change is stale - e.g. teardown's effect restore, which a
+		// move delivers after the rebuild has already reflected the new effect
+		if (newValue !== _.getAttribute(name)) return;
 
-		// cross-module wiring
-		_.#bindCoreEvents();
+		// EffectManager reflects the loaded effect onto [effect] for css hooks - not a config change
+		if (name === 'effect') {
+			if (newValue === _.#effectManager?.getEffectName()) return;
+			_.#authoredEffect = newValue;
+		}
 
-		// load effect and collect slides
-		_.#effectManager.loadCurrentEffect();
+		_.#optionsManager.attributeChanged(name, newValue);
+	}
 
-		// compute initial widths + page count
-		_.#recomputeLayout();
+	/**
+	 * custom element disconnected lifecycle hook
+	 * tears everything down so a later connect (or a move in the dom) rebuilds from scratch
+	 */
+	disconnectedCallback() {
+		const _ = this;
 
-		// initialize plugins (errors should not break the instance)
-		const plugins = _.constructor.plugins;
-		plugins.forEach((PluginClass) => {
-			try {
-				// you can choose to pass ctx to plugins if you prefer
-				const pluginInstance = new PluginClass(ctx);
-				_.#pluginInstances.push(pluginInstance);
-			} catch (error) {
-				console.error(`plugin ${PluginClass?.name || '(anonymous)'} failed to initialize:`, error);
+		// invalidate any connect that is still waiting on tarot-slide
+		_.#connectionId++;
+
+		_.#teardown();
+	}
+
+	/** create managers and plugins, then paint the first frame */
+	#build() {
+		const _ = this;
+
+		_.#isBuilt = true;
+
+		try {
+			// query and normalize required child elements
+			_.#queryDOMElements();
+
+			// make carousel focusable for keyboard navigation
+			_.setAttribute('tabindex', '0');
+
+			// remember the page's [effect] before EffectManager starts reflecting onto it
+			_.#authoredEffect = _.getAttribute('effect');
+
+			// now that dom refs exist, build the shared context
+			_.#ctx = _.#createModuleContext();
+			const ctx = _.#ctx; // local ref for faster property access
+
+			// create managers (all receive ctx, not the whole carousel)
+			_.#optionsManager = new OptionsManager(ctx);
+			_.#windowEvents = new WindowEvents(ctx);
+			_.#slideManager = new SlideManager(ctx);
+			_.#effectManager = new EffectManager(ctx, _.constructor.effects);
+			_.#dragHandler = new DragHandler(ctx);
+			_.#trackAnimator = new TrackAnimator(ctx, _.constructor.drivers);
+			_.#trackManager = new TrackManager(ctx, _.#trackAnimator);
+			_.#frameEngine = new FrameEngine(ctx);
+
+			// cross-module wiring
+			_.#bindCoreEvents();
+
+			// load effect and collect slides
+			_.#effectManager.loadCurrentEffect();
+
+			// compute initial widths + page count
+			_.#recomputeLayout();
+
+			// initialize plugins (errors should not break the instance)
+			const plugins = _.constructor.plugins;
+			plugins.forEach((PluginClass) => {
+				try {
+					// you can choose to pass ctx to plugins if you prefer
+					const pluginInstance = new PluginClass(ctx);
+					_.#pluginInstances.push(pluginInstance);
+				} catch (error) {
+					const pluginName = PluginClass?.name || '(anonymous)';
+					console.error(`plugin ${pluginName} failed to initialize:`, error);
+					_.#eventEmitter.emit(EVENTS.carousel.error, {
+						message: `plugin ${pluginName} failed to initialize`,
+						error,
+					});
+				}
+			});
+
+			// managers and plugins are wired up, first paint is next
+			_.#eventEmitter.emit(EVENTS.carousel.init, {});
+
+			// perform first paint by jumping to initial slide without animation
+			// (a virtual carousel can start out empty and get its items later)
+			if (_.#store.getState().slideCount) {
+				_.jumpToSlide(_.#getInitialIndex());
 			}
-		});
 
-		// perform first paint by jumping to initial slide without animation
-		const initial = _.#store.getOptions().initialIndex ?? 0;
-		_.jumpToSlide(initial);
+			_.#frameEngine.requestFrame();
+		} catch (error) {
+			console.error('tarot-carousel: failed to initialize', error);
+			_.#eventEmitter.emit(EVENTS.carousel.error, { message: error.message, error });
+		}
+	}
+
+	/**
+	 * slide for the first paint
+	 * a plugin can override options.initialIndex with getInitialIndex() (a deep link, restored state),
+	 * the first one in Tarot.plugins that returns an index wins
+	 * @returns {number}
+	 */
+	#getInitialIndex() {
+		const _ = this;
+		const max = _.#store.getState().slideCount - 1;
+
+		for (const plugin of _.#pluginInstances) {
+			const index = plugin.getInitialIndex?.();
+			if (Number.isInteger(index) && index >= 0 && index <= max) return index;
+		}
 
-		_.#frameEngine.requestFrame();
+		return _.#store.getOptions().initialIndex ?? 0;
 	}
 
 	// ---------------------------------------------------------------------
@@ -5686,10 +10312,19 @@ class Tarot extends HTMLElement {
 				goToPage: (page, velocity = 0) => _.goToPage(page, velocity),
 				jumpToPage: (page) => _.jumpToPage(page),
 				requestTrackPosition: (position) => _.requestTrackPosition(position),
-				getEffect: () => _.#effectManager.getEffect(),
+				getEffect: () => _.#effectManager?.getEffect(),
 				getSlideManager: () => _.#slideManager,
 				getTrackManager: () => _.#trackManager,
 				requestFrame: () => _.#frameEngine.requestFrame(0),
+				recomputeLayout: () => _.#relayout('layout'),
+				// generated ids follow creation order, so they can't name anything across page loads
+				hasAuthoredId: () => !!_.id && _.id !== _.#generatedId,
+				filter: (filter) => _.filter(filter),
+				clearFilter: () => _.clearFilter(),
+				refreshSlides: () => _.#changeSlides(() => {}),
+				getVirtualSource: () => _.#virtualSource,
+				setItems: (items) => _.setItems(items),
+				changeSlides: (mutate) => _.#changeSlides(() => mutate(_.#slideManager)),
 			},
 		});
 	}
@@ -5751,40 +10386,89 @@ class Tarot extends HTMLElement {
 		const _ = this;
 		const { emitter, events, store } = _.#ctx;
 
-		// when options change, recompute widths + pageCount and reinit effect
-		emitter.on(events.store.optionsChanged, ({ currentOptions }) => {
-			_.#recomputeLayout(currentOptions);
-			_.#effectManager.reInit();
-			// keep current render index visible after layout change
-			_.jumpToSlide(store.getState().renderIndex);
-		});
+		_.#coreHandlers = {
+			// when options change, recompute widths + pageCount and reinit effect
+			optionsChanged: ({ currentOptions }) => {
+				_.#recomputeLayout(currentOptions);
+				_.#effectManager.reInit();
+				// keep current render index visible after layout change
+				_.jumpToSlide(store.getState().renderIndex);
+				emitter.emit(events.carousel.reinit, { reason: 'options' });
+			},
 
-		// pipe window resizes into a layout recompute (window-events may debounce)
-		emitter.on(events.window.resize, () => {
-			_.#recomputeLayout(store.getOptions());
-			_.#effectManager.reInit();
-			_.jumpToSlide(store.getState().renderIndex);
-		});
+			// pipe window resizes into a layout recompute (window-events may debounce)
+			windowResize: () => {
+				_.#relayout('resize');
+			},
 
-		// handle slide clicks to navigate to clicked slide
-		emitter.on(events.slides.click, ({ index }) => {
-			_.#store.setState({
-				selectedIndex: index,
-			});
-			// should we go to slide on select?
-			if (_.#store.getOptions().goToSelectedSlide) {
-				_.goToSlide(index);
-			}
-		});
+			// redraw mirrored at the same slide when a dir change flips the direction
+			directionChange: () => {
+				_.#relayout('direction');
+			},
 
-		// handle core arrow key navigation
-		emitter.on(events.keyboard.arrow, ({ direction }) => {
-			if (direction === -1) {
-				_.prev();
-			} else {
-				_.next();
-			}
-		});
+			// handle slide clicks to navigate to clicked slide
+			slideClick: ({ index }) => {
+				_.#store.setState({
+					selectedIndex: index,
+				});
+				// should we go to slide on select?
+				if (_.#store.getOptions().goToSelectedSlide) {
+					_.goToSlide(index);
+				}
+			},
+
+			// handle core arrow key navigation
+			keyboardArrow: ({ direction }) => {
+				if (direction === -1) {
+					_.prev();
+				} else {
+					_.next();
+				}
+			},
+
+			// announce ready once the first frame has been rendered
+			firstRender: () => {
+				emitter.off(events.frame.afterRender, _.#coreHandlers.firstRender);
+				emitter.emit(events.carousel.ready, {});
+			},
+		};
+
+		emitter.on(events.store.optionsChanged, _.#coreHandlers.optionsChanged);
+		emitter.on(events.window.resize, _.#coreHandlers.windowResize);
+		emitter.on(events.window.directionChange, _.#coreHandlers.directionChange);
+		emitter.on(events.slides.click, _.#coreHandlers.slideClick);
+		emitter.on(events.keyboard.arrow, _.#coreHandlers.keyboardArrow);
+		emitter.on(events.frame.afterRender, _.#coreHandlers.firstRender);
+	}
+
+	/** remove the listeners added in #bindCoreEvents */
+	#unbindCoreEvents() {
+		const _ = this;
+		const handlers = _.#coreHandlers;
+		if (!handlers) return;
+
+		const emitter = _.#eventEmitter;
+		emitter.off(EVENTS.store.optionsChanged, handlers.optionsChanged);
+		emitter.off(EVENTS.window.resize, handlers.windowResize);
+		emitter.off(EVENTS.window.directionChange, handlers.directionChange);
+		emitter.off(EVENTS.slides.click, handlers.slideClick);
+		emitter.off(EVENTS.keyboard.arrow, handlers.keyboardArrow);
+		emitter.off(EVENTS.frame.afterRender, handlers.firstRender);
+
+		_.#coreHandlers = null;
+	}
+
+	/**
+	 * measure again and keep the current slide in place
+	 * used for window resizes, direction flips and plugins whose content changed a slide's size
+	 * @param {string} reason - carousel:reinit reason
+	 */
+	#relayout(reason) {
+		const _ = this;
+		_.#recomputeLayout(_.#store.getOptions());
+		_.#effectManager.reInit();
+		_.jumpToSlide(_.#store.getState().renderIndex);
+		_.#eventEmitter.emit(EVENTS.carousel.reinit, { reason });
 	}
 
 	/**
@@ -5794,16 +10478,41 @@ class Tarot extends HTMLElement {
 	#recomputeLayout(optOverride) {
 		const _ = this;
 		const options = optOverride || _.#store.getOptions();
-		const slides = _.#store.getSlides();
+		const { slideCount } = _.#store.getState();
+
+		// virtual slides aren't all in the dom to be measured, they share one width
+		const isVirtual = !!options.virtual;
+		const slides = isVirtual ? [] : _.#store.getSlides();
+		const isAutoWidth = options.slideWidth === 'auto' && !isVirtual;
+
+		// axis decides which dimension gets measured below
+		_.#renderAxis(options);
+		_.#renderDirection();
+
+		// auto width slides size to their content before being measured
+		_.classList.toggle('tarot-auto-width', isAutoWidth);
+
+		// adaptive height slides stop stretching to the tallest one, so they measure their own height
+		const isAdaptiveHeight = !!options.adaptiveHeight && options.axis !== 'vertical' && !isVirtual;
+		_.classList.toggle('tarot-adaptive-height', isAdaptiveHeight);
+		if (!isAdaptiveHeight) _.#viewport.style.height = '';
 
 		// recalc width metrics
 		const widths = calculateWidths({
 			viewportEl: _.#viewport,
 			options,
-			slideCount: slides.length,
+			slideCount,
+			slideEls: slides,
 		});
 		_.#store.setWidths(widths);
 
+		// rows inside grid slides use the same gap as the columns
+		if (options.grid?.rows > 1) {
+			_.style.setProperty('--tarot-grid-gap', `${widths.gap}px`);
+		} else {
+			_.style.removeProperty('--tarot-grid-gap');
+		}
+
 		// recalc transform points (after widths are updated)
 		const transformPoints = calculateTransformPoints(_.#ctx);
 		_.#store.setTransformPoints(transformPoints);
@@ -5812,12 +10521,44 @@ class Tarot extends HTMLElement {
 		const pageCount = calculatePageCount({
 			loop: options.loop,
 			slidesPerMove: options.slidesPerMove,
-			slidesPerView: options.slidesPerView,
-			slideCount: slides.length,
+			slidesPerView: isAutoWidth ? countSlidesInLastView(widths) : options.slidesPerView,
+			slideCount,
 		});
 		_.#store.setState({ pageCount });
 	}
 
+	/**
+	 * reflect options.axis as the tarot-vertical class (css hook)
+	 * when the axis flips, clear lengths the effect wrote for the old axis
+	 * @param {object} options
+	 */
+	#renderAxis(options) {
+		const _ = this;
+		const isVertical = options.axis === 'vertical';
+		if (_.classList.contains('tarot-vertical') === isVertical) return;
+
+		_.classList.toggle('tarot-vertical', isVertical);
+
+		_.#track.style.width = '';
+		_.#track.style.height = '';
+		_.#viewport.style.removeProperty('--tarot-slide-width');
+		_.#viewport.style.removeProperty('--tarot-slide-height');
+	}
+
+	/**
+	 * resolve the css direction (own dir attribute or inherited) into state.rtl and the tarot-rtl class
+	 * effects mirror positions through TarotEffect's axis helpers, so the dom itself isn't flipped
+	 */
+	#renderDirection() {
+		const _ = this;
+		const rtl = getComputedStyle(_).direction === 'rtl';
+
+		_.classList.toggle('tarot-rtl', rtl);
+		if (_.#store.getState().rtl !== rtl) {
+			_.#store.setState({ rtl });
+		}
+	}
+
 	// ---------------------------------------------------------------------
 	// public api (pure model updates; no direct dom writes)
 	// ---------------------------------------------------------------------
@@ -5844,6 +10585,16 @@ class Tarot extends HTMLElement {
 	 * @param {number} [velocity=0]
 	 */
 	goToSlide(index, velocity = 0) {
+		this.#animateToIndex(index, velocity, 'slide');
+	}
+
+	/**
+	 * animate to a slide index and tag the transition with what was requested
+	 * @param {number} index
+	 * @param {number} velocity
+	 * @param {string} kind - 'slide' | 'page'
+	 */
+	#animateToIndex(index, velocity, kind) {
 		// exit if no index passed in
 		if (index === undefined) return;
 
@@ -5875,6 +10626,8 @@ class Tarot extends HTMLElement {
 			index,
 			velocity,
 			type: 'animate',
+			prevIndex: state.renderIndex,
+			kind,
 		});
 	}
 
@@ -5883,6 +10636,15 @@ class Tarot extends HTMLElement {
 	 * @param {number} index
 	 */
 	jumpToSlide(index) {
+		this.#jumpToIndex(index, 'slide');
+	}
+
+	/**
+	 * jump to a slide index and tag the transition with what was requested
+	 * @param {number} index
+	 * @param {string} kind - 'slide' | 'page'
+	 */
+	#jumpToIndex(index, kind) {
 		// exit if no index passed in
 		if (index === undefined) return;
 
@@ -5907,6 +10669,8 @@ class Tarot extends HTMLElement {
 			index,
 			velocity: 0,
 			type: 'jump',
+			prevIndex: state.renderIndex,
+			kind,
 		});
 	}
 
@@ -5937,7 +10701,7 @@ class Tarot extends HTMLElement {
 
 		// every goToPage is actually converted to a goToSlide
 		const newIndex = newPage * (options.slidesPerMove ?? 1);
-		_.goToSlide(newIndex, velocity);
+		_.#animateToIndex(newIndex, velocity, 'page');
 	}
 
 	/**
@@ -5963,7 +10727,7 @@ class Tarot extends HTMLElement {
 
 		// every jumpToPage is actually converted to a jumpToSlide
 		const newIndex = newPage * (options.slidesPerMove ?? 1);
-		_.jumpToSlide(newIndex);
+		_.#jumpToIndex(newIndex, 'page');
 	}
 
 	/**
@@ -6087,8 +10851,12 @@ class Tarot extends HTMLElement {
 		return Object.keys(this.constructor.effects);
 	}
 
+	/**
+	 * user-supplied options (json script + runtime patches), without defaults or breakpoints merged in
+	 * @returns {object|undefined} undefined until the carousel is connected
+	 */
 	getUserOptions() {
-		return this.#optionsManager.getUserOptions?.();
+		return this.#optionsManager?.getUserOptions();
 	}
 
 	// convenience getters expected by external api
@@ -6103,8 +10871,7 @@ class Tarot extends HTMLElement {
 	}
 	setSelectedIndex(index) {
 		const _ = this;
-		const slides = _.#store.getSlides();
-		const slideCount = slides.length;
+		const { slideCount } = _.#store.getState();
 
 		// bounds check
 		if (index < 0 || index >= slideCount) {
@@ -6116,14 +10883,270 @@ class Tarot extends HTMLElement {
 		_.#store.setState({ selectedIndex: index });
 	}
 	getSelectedSlide() {
-		return this.#store.getSlides()[this.state.selectedIndex];
+		return this.#store.getSlide(this.state.selectedIndex);
 	}
 	getSlideAtIndex(index) {
-		return this.#store.getSlides()[index];
+		return this.#store.getSlide(index);
+	}
+
+	/**
+	 * deep-merge new options into the running carousel
+	 * @param {object} newOptions - partial options; breakpoints merge per width
+	 * @param {object} [settings]
+	 * @param {boolean} [settings.replaceBreakpoints=false] - replace the whole breakpoints map
+	 * @returns {object} the effective merged options
+	 */
+	updateOptions(newOptions, settings) {
+		const _ = this;
+
+		if (!_.#optionsManager) {
+			console.warn('tarot-carousel: updateOptions called before the carousel was connected');
+			return _.options;
+		}
+
+		return _.#optionsManager.updateOptions(newOptions, settings);
+	}
+
+	/**
+	 * show only the slides that pass a filter, the rest stay in the dom with the hidden attribute
+	 * the current slide keeps its place when it passes, otherwise the carousel jumps to the first match
+	 * @param {Function|string|{tags:string|string[], match?:'any'|'all'}} filter -
+	 *   (slide, index) => boolean, a css selector, or tags from data-tags (any = OR, all = AND)
+	 * @returns {{matched:number, total:number}|null} null when the filter was rejected
+	 */
+	filter(filter) {
+		const _ = this;
+
+		if (!_.#slideManager) {
+			console.warn('tarot-carousel: filter called before the carousel was connected');
+			return null;
+		}
+		if (_.#isVirtual('filter')) return null;
+
+		const result = _.#slideManager.setFilter(filter ?? null);
+		if (!result) return null;
+
+		const { matched, total } = result;
+		_.#settleSlides(result);
+
+		_.#eventEmitter.emit(EVENTS.slides.filtered, {
+			matched,
+			total,
+			filter: _.#slideManager.getFilter(),
+		});
+
+		return { matched, total };
+	}
+
+	/**
+	 * show every slide again
+	 * @returns {{matched:number, total:number}|null}
+	 */
+	clearFilter() {
+		return this.filter(null);
+	}
+
+	// ---------------------------------------------------------------------
+	// slide collection api (public)
+	// ---------------------------------------------------------------------
+
+	/**
+	 * add slides after the last one
+	 * @param {string|Node|Node[]|NodeList} slides - elements (wrapped in tarot-slide when needed) or html, one slide per top-level element
+	 * @returns {HTMLElement[]} the new slides
+	 */
+	appendSlides(slides) {
+		return this.insertSlides(Infinity, slides);
+	}
+
+	/**
+	 * add slides before the first one, the current slide stays in view
+	 * @param {string|Node|Node[]|NodeList} slides
+	 * @returns {HTMLElement[]} the new slides
+	 */
+	prependSlides(slides) {
+		return this.insertSlides(0, slides);
+	}
+
+	/**
+	 * add slides before the slide at `index` (an index among the slides showing)
+	 * inserting before the current or selected slide shifts its index, not what is shown
+	 * @param {number} index
+	 * @param {string|Node|Node[]|NodeList} slides
+	 * @returns {HTMLElement[]} the new slides
+	 */
+	insertSlides(index, slides) {
+		const _ = this;
+		if (!_.#slideManager) {
+			console.warn('tarot-carousel: insertSlides called before the carousel was connected');
+			return [];
+		}
+		if (_.#isVirtual('insertSlides')) return [];
+
+		const nodes = _.#slideManager.createSlides(slides);
+		if (!nodes.length) return [];
+
+		_.#changeSlides(() => _.#slideManager.insertSlides(nodes, index));
+
+		// wrapSlides() may have put them in a tarot-slide
+		return nodes.map((node) => node.closest('tarot-slide')).filter(Boolean);
+	}
+
+	/**
+	 * remove slides by index (among the slides showing); with slideTransitions they animate out first
+	 * @param {number|number[]} indices
+	 * @returns {HTMLElement[]} the removed slides
+	 */
+	removeSlides(indices) {
+		const _ = this;
+		if (!_.#slideManager) {
+			console.warn('tarot-carousel: removeSlides called before the carousel was connected');
+			return [];
+		}
+		if (_.#isVirtual('removeSlides')) return [];
+
+		const slides = _.#store.getSlides();
+		const removed = [...new Set([].concat(indices))]
+			.map((index) => slides[index])
+			.filter(Boolean);
+		if (!removed.length) return [];
+
+		_.#changeSlides(() => _.#slideManager.removeSlides(removed));
+		return removed;
+	}
+
+	/**
+	 * swap every slide (filtered out ones included) for a new set
+	 * @param {string|Node|Node[]|NodeList} slides
+	 * @returns {HTMLElement[]} the new slides
+	 */
+	replaceSlides(slides) {
+		const _ = this;
+		if (!_.#slideManager) {
+			console.warn('tarot-carousel: replaceSlides called before the carousel was connected');
+			return [];
+		}
+		if (_.#isVirtual('replaceSlides')) return [];
+
+		const nodes = _.#slideManager.createSlides(slides);
+		const previous = Array.from(_.#slideManager.coreSlides || []);
+
+		_.#changeSlides(() => {
+			_.#slideManager.removeSlides(previous);
+			_.#track.append(...nodes);
+		});
+
+		return nodes.map((node) => node.closest('tarot-slide')).filter(Boolean);
+	}
+
+	/**
+	 * move the slide at `from` so it shows at `to` (indices among the slides showing)
+	 * @param {number} from
+	 * @param {number} to
+	 */
+	moveSlide(from, to) {
+		const _ = this;
+		if (!_.#slideManager) {
+			console.warn('tarot-carousel: moveSlide called before the carousel was connected');
+			return;
+		}
+		if (_.#isVirtual('moveSlide')) return;
+
+		const slideCount = _.#store.getSlides().length;
+		if (from < 0 || from >= slideCount || from === to) return;
+
+		_.#changeSlides(() => _.#slideManager.moveSlide(from, to));
+	}
+
+	/**
+	 * virtual slides are recycled from the items, dom edits to them wouldn't last
+	 * @param {string} method - for the warning
+	 * @returns {boolean} true (after a warning) when options.virtual is on
+	 */
+	#isVirtual(method) {
+		if (!this.#store.getOptions().virtual) return false;
+		console.warn(
+			`tarot-carousel: ${method} isn't available with options.virtual, change the items with setItems()`
+		);
+		return true;
+	}
+
+	/**
+	 * run a change to the slide set as one batch (one slides:changed, one layout pass)
+	 * @param {Function} mutate - dom changes, see SlideManager.changeSlides
+	 */
+	#changeSlides(mutate) {
+		const _ = this;
+		_.#settleSlides(_.#slideManager.changeSlides(mutate));
+	}
+
+	/**
+	 * after the slide set changed: measure again and keep the current slide in view
+	 * @param {{matched:number, renderIndex:number}} result - from SlideManager.changeSlides
+	 */
+	#settleSlides({ matched, renderIndex }) {
+		const _ = this;
+
+		_.#recomputeLayout();
+		_.#effectManager.reInit();
+
+		// nothing showing - park the indexes at 0 so nothing reads a slide that isn't there
+		if (!matched) {
+			_.#store.setState({ renderIndex: 0, pageIndex: 0 });
+			return;
+		}
+
+		_.jumpToSlide(renderIndex);
+	}
+
+	/**
+	 * the active filter as passed to filter() (options.filterClass shows up as a selector)
+	 * @returns {Function|string|{tags:string[], match:string}|null}
+	 */
+	getFilter() {
+		return this.#slideManager?.getFilter() ?? null;
+	}
+
+	// ---------------------------------------------------------------------
+	// virtual slides api (public)
+	// ---------------------------------------------------------------------
+
+	/**
+	 * the data source for options.virtual: one slide per item, only the slides in view are in the dom
+	 * can be called before the carousel connects; afterwards the current item keeps its place when
+	 * it is still in the list (the same object, or the same value for primitives)
+	 * @param {Array|Iterable} items
+	 * @param {Function} [renderSlide] - (item, index) => Node or html string for the slide's content,
+	 *   the last one given is kept; without one the item itself is used
+	 * @returns {number} the item count
+	 */
+	setItems(items, renderSlide) {
+		const _ = this;
+		const source = _.#virtualSource;
+		const nextItems = Array.from(items ?? []);
+		if (typeof renderSlide === 'function') source.renderSlide = renderSlide;
+
+		// read when the slides are collected (on connect, or when virtual is switched on)
+		if (!_.#slideManager || !_.#store.getOptions().virtual) {
+			if (_.#slideManager) {
+				console.warn('tarot-carousel: setItems only renders slides with options.virtual on');
+			}
+			source.items = nextItems;
+			return nextItems.length;
+		}
+
+		_.#changeSlides(() => {
+			source.items = nextItems;
+		});
+		return nextItems.length;
 	}
 
-	updateOptions(newOptions) {
-		this.#optionsManager.updateOptions?.(newOptions);
+	/**
+	 * the items set with setItems()
+	 * @returns {ReadonlyArray}
+	 */
+	getItems() {
+		return Object.freeze([...this.#virtualSource.items]);
 	}
 
 	// ---------------------------------------------------------------------
@@ -6157,27 +11180,78 @@ class Tarot extends HTMLElement {
 	// teardown
 	// ---------------------------------------------------------------------
 
-	/** destroy the carousel and clean up plugins and managers */
+	/**
+	 * destroy the carousel and clean up plugins, managers and every listener,
+	 * including the ones added through on(). reconnecting the element builds a fresh instance.
+	 */
 	destroy() {
 		const _ = this;
 
+		_.#teardown();
+
+		// drop public subscriptions too - the emitter itself stays usable
+		_.#eventEmitter.destroy();
+	}
+
+	/**
+	 * tear down plugins and managers and reset to a pre-connect state
+	 * public on() subscriptions survive so a moved carousel keeps its listeners
+	 */
+	#teardown() {
+		const _ = this;
+
+		// nothing to do if we never built (or already tore down)
+		if (!_.#isBuilt) return;
+		_.#isBuilt = false;
+
+		// let listeners clean up while everything is still wired
+		_.#eventEmitter.emit(EVENTS.carousel.destroy, {});
+
 		_.#pluginInstances.forEach((plugin) => plugin?.destroy?.());
 		_.#pluginInstances.length = 0;
 
+		_.#unbindCoreEvents();
+
 		_.#trackManager?.destroy?.();
+		_.#trackAnimator?.destroy?.();
 		_.#effectManager?.destroy?.();
 		_.#slideManager?.destroy?.();
 		_.#dragHandler?.destroy?.();
 		_.#windowEvents?.destroy?.();
+		_.#optionsManager?.destroy?.();
 		_.#frameEngine?.destroy?.();
 
+		_.#trackManager = null;
+		_.#trackAnimator = null;
+		_.#effectManager = null;
+		_.#slideManager = null;
+		_.#dragHandler = null;
+		_.#windowEvents = null;
+		_.#optionsManager = null;
+		_.#frameEngine = null;
+
 		// clean up announcement element
 		if (_.#announcements?.parentNode) {
 			_.#announcements.parentNode.removeChild(_.#announcements);
 		}
 		_.#announcements = null;
 
-		_.#eventEmitter?.removeAllListeners?.();
+		_.classList.remove('tarot-vertical', 'tarot-rtl', 'tarot-auto-width', 'tarot-adaptive-height');
+		if (_.#viewport) _.#viewport.style.height = '';
+		_.style.removeProperty('--tarot-grid-gap');
+
+		// start the next build from default options/state
+		_.#store.destroy();
+		_.#store = new DataStore(_.#eventEmitter);
+		_.#ctx = null;
+
+		// drop the reflected effect so a reconnect doesn't read it as one the page set
+		// this goes last: on a move, writing the attribute runs the queued connectedCallback right here
+		if (_.#authoredEffect === null) {
+			_.removeAttribute('effect');
+		} else {
+			_.setAttribute('effect', _.#authoredEffect);
+		}
 	}
 }
 
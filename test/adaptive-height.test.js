@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, drag } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const heights = [300, 500, 200, 400];
+const tall = (options = {}) => ({
+	slides: heights.length,
+	slideHTML: (i) => `<tarot-slide data-h="${heights[i]}">${i}</tarot-slide>`,
+	options: { adaptiveHeight: true, ...options },
+});
+const viewportHeight = (carousel) => carousel.querySelector('tarot-viewport').style.height;
+
+test('the viewport takes the height of the slide in view', async () => {
+	const carousel = mount(window, tall());
+	await settle(window);
+	assert.ok(carousel.classList.contains('tarot-adaptive-height'));
+	assert.equal(viewportHeight(carousel), '300px');
+
+	carousel.next();
+	await settle(window);
+	assert.equal(viewportHeight(carousel), '500px');
+});
+
+test('mid-drag the height blends by how much of each slide shows', async () => {
+	const carousel = mount(window, tall());
+	await settle(window);
+
+	// a quarter of slide 1 in view
+	drag(carousel.querySelector('tarot-slides'), [[800, 100], [700, 100], [550, 100]], { release: false });
+	await settle(window);
+	assert.equal(viewportHeight(carousel), '350px');
+});
+
+test('with several slides in view the tallest fully visible one wins', async () => {
+	const carousel = mount(window, tall({ slidesPerView: 2 }));
+	await settle(window);
+	assert.equal(viewportHeight(carousel), '500px');
+
+	carousel.goToSlide(2);
+	await settle(window);
+	assert.equal(viewportHeight(carousel), '400px');
+});
+
+test('the attribute turns it on, turning it off clears the height', async () => {
+	const carousel = mount(window, { ...tall(), options: {}, attributes: { 'adaptive-height': '' } });
+	await settle(window);
+	assert.equal(viewportHeight(carousel), '300px');
+
+	carousel.removeAttribute('adaptive-height');
+	await settle(window);
+	assert.equal(viewportHeight(carousel), '');
+	assert.ok(!carousel.classList.contains('tarot-adaptive-height'));
+});
+
+test('a vertical carousel keeps its own height', async () => {
+	const carousel = mount(window, tall({ axis: 'vertical' }));
+	await settle(window);
+	assert.equal(viewportHeight(carousel), '');
+	assert.ok(!carousel.classList.contains('tarot-adaptive-height'));
+});
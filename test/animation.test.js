@@ -0,0 +1,196 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, plain } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+// frames the carousel asks for while running fn
+const countFrames = async (fn) => {
+	const requestFrame = window.requestAnimationFrame;
+	let frames = 0;
+	window.requestAnimationFrame = (callback) => {
+		frames++;
+		return requestFrame(callback);
+	};
+	fn();
+	await settle(window);
+	window.requestAnimationFrame = requestFrame;
+	return frames;
+};
+
+test('animation options default to the engine and track manager constants', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const { PhysicsEngine, TrackManager } = window.internals;
+
+	assert.equal(PhysicsEngine.defaults.friction, 0.24);
+	assert.ok(Object.isFrozen(PhysicsEngine.defaults));
+	const { animation } = carousel.options;
+	assert.equal(animation.attraction, PhysicsEngine.defaults.attraction);
+	assert.equal(animation.friction, PhysicsEngine.defaults.friction);
+	assert.equal(animation.speed, PhysicsEngine.defaults.speed);
+	assert.equal(animation.velocityBoost, PhysicsEngine.defaults.velocityBoost);
+	assert.deepEqual(plain(animation.distanceScale), plain(PhysicsEngine.defaults.distanceScale));
+	assert.equal(animation.navigationBoost, TrackManager.defaults.navigationBoost);
+	assert.equal(animation.minVelocity, TrackManager.defaults.minVelocity);
+	assert.equal(animation.slowVelocityBoost, TrackManager.defaults.slowVelocityBoost);
+});
+
+test('a faster speed finishes the same move in fewer frames', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const reference = await countFrames(() => carousel.next());
+
+	carousel.updateOptions({ animation: { speed: 10 } });
+	await settle(window);
+	const fast = await countFrames(() => carousel.next());
+
+	assert.equal(carousel.state.renderIndex, 2);
+	assert.ok(fast < reference * 0.75, `${fast} frames at speed 10, ${reference} at 5`);
+});
+
+test('out-of-range values warn and fall back to the defaults', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, {
+		options: { animation: { speed: 0, friction: 1.5, attraction: 0.05, distanceScale: { min: 2, max: 1 } } },
+	});
+	await settle(window);
+
+	const { animation } = carousel.options;
+	assert.equal(animation.speed, 5);
+	assert.equal(animation.friction, 0.24);
+	assert.equal(animation.attraction, 0.05);
+	assert.equal(animation.distanceScale.min, 0.8);
+	assert.equal(warn.mock.callCount(), 3);
+	assert.match(warn.mock.calls[0].arguments[0], /animation\.speed 0 is not valid/);
+
+	// still animates
+	carousel.next();
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('a standalone engine takes the same keys and validates them', () => {
+	const { PhysicsEngine } = window.internals;
+	const engine = new PhysicsEngine({ attraction: 0.05, friction: 0.3, speed: 8 });
+	assert.ok(engine);
+	assert.throws(() => new PhysicsEngine({ friction: 1 }));
+	assert.throws(() => engine.setAttraction(0));
+});
+
+test('the tween driver takes duration ms whatever the distance', async () => {
+	const carousel = mount(window, { options: { animation: { driver: 'tween', duration: 320 } } });
+	await settle(window);
+
+	const short = await countFrames(() => carousel.next());
+	const long = await countFrames(() => carousel.goToSlide(5));
+	assert.equal(carousel.state.renderIndex, 5);
+	// 16ms frames
+	assert.ok(Math.abs(short - 20) <= 3, `${short} frames`);
+	assert.equal(short, long);
+
+	carousel.updateOptions({ animation: { duration: 640 } });
+	await settle(window);
+	const slow = await countFrames(() => carousel.prev());
+	assert.ok(Math.abs(slow - 40) <= 3, `${slow} frames`);
+});
+
+test('easing arrays replace each other instead of concatenating', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, {
+		options: {
+			animation: { driver: 'tween', easing: [0.2, 0, 0, 1] },
+			breakpoints: { 0: { animation: { easing: [0.4, 0, 0.2, 1] } } },
+		},
+	});
+	await settle(window);
+	assert.deepEqual(plain(carousel.options.animation.easing), [0.4, 0, 0.2, 1]);
+
+	carousel.updateOptions({ breakpoints: { 0: { animation: { easing: [0, 0, 1, 1] } } } });
+	await settle(window);
+	assert.deepEqual(plain(carousel.options.animation.easing), [0, 0, 1, 1]);
+	assert.deepEqual(plain(carousel.getUserOptions().animation.easing), [0.2, 0, 0, 1]);
+
+	carousel.next();
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+	assert.equal(warn.mock.callCount(), 0);
+});
+
+test('an unknown driver or easing warns and falls back', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, { options: { animation: { driver: 'bouncy' } } });
+	await settle(window);
+	assert.match(warn.mock.calls[0].arguments[0], /unknown driver 'bouncy'/);
+
+	carousel.updateOptions({ animation: { driver: 'tween', easing: 'wobble' } });
+	await settle(window);
+	assert.match(warn.mock.calls[1].arguments[0], /unknown easing 'wobble'/);
+
+	carousel.next();
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('a registered driver is built from options.animation and drives the track', async () => {
+	const built = [];
+	class StepDriver {
+		#listeners = {};
+		#target = 0;
+		#animating = false;
+		constructor(animation) {
+			built.push(animation);
+		}
+		animateTo(start, end, velocity) {
+			this.#target = end;
+			this.#animating = true;
+			this.#emit('engine:position-changed', { position: start, positionDelta: 0, progress: 0, velocity });
+		}
+		tick() {
+			if (!this.#animating) return;
+			this.#animating = false;
+			this.#emit('engine:position-changed', { position: this.#target, positionDelta: 0, progress: 1, velocity: 0 });
+			this.#emit('engine:finished');
+		}
+		stop() {
+			this.#animating = false;
+		}
+		isAnimating() {
+			return this.#animating;
+		}
+		on(name, fn) {
+			(this.#listeners[name] ||= []).push(fn);
+		}
+		off(name, fn) {
+			this.#listeners[name] = (this.#listeners[name] || []).filter((listener) => listener !== fn);
+		}
+		#emit(name, detail) {
+			(this.#listeners[name] || []).forEach((fn) => fn(detail));
+		}
+	}
+	window.Tarot.registerDriver('Step', StepDriver);
+
+	const carousel = mount(window, { options: { animation: { driver: 'step', duration: 99 } } });
+	await settle(window);
+	assert.equal(built.length, 1);
+	assert.equal(built[0].duration, 99);
+
+	const frames = await countFrames(() => carousel.goToSlide(3));
+	assert.equal(carousel.state.renderIndex, 3);
+	assert.ok(frames <= 4, `${frames} frames`);
+	assert.match(carousel.querySelector('tarot-slides').style.transform, /-3000px/);
+
+	// switching back builds the spring engine
+	carousel.updateOptions({ animation: { driver: 'spring' } });
+	await settle(window);
+	carousel.next();
+	await settle(window);
+	assert.equal(built.length, 1);
+	assert.equal(carousel.state.renderIndex, 4);
+});
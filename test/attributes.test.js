@@ -0,0 +1,140 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+test('attributes are read as options and override the json', async () => {
+	const carousel = mount(window, {
+		options: { slidesPerView: 2, gap: 4, loop: false },
+		attributes: { loop: '', 'slides-per-view': '3', gap: '2rem', 'autoplay-interval': '4000' },
+	});
+	await settle(window);
+
+	const { options } = carousel;
+	assert.equal(options.loop, true);
+	assert.equal(options.slidesPerView, 3);
+	assert.equal(options.gap, '2rem');
+	assert.equal(options.autoplay.interval, 4000);
+});
+
+test('boolean attributes are off only when set to "false", plain numbers are pixels', async () => {
+	const carousel = mount(window, {
+		attributes: { loop: 'false', 'center-selected-slide': 'true', 'padding-left': '24' },
+	});
+	await settle(window);
+
+	assert.equal(carousel.options.loop, false);
+	assert.equal(carousel.options.centerSelectedSlide, true);
+	assert.equal(carousel.options.paddingLeft, 24);
+});
+
+test('changing an attribute updates the options live', async () => {
+	const carousel = mount(window, { options: { slidesPerView: 2 } });
+	await settle(window);
+	let changes = 0;
+	carousel.on('options:changed', () => changes++);
+
+	carousel.setAttribute('slides-per-view', '3');
+	assert.equal(carousel.options.slidesPerView, 3);
+	assert.equal(changes, 1);
+
+	carousel.setAttribute('slides-per-view', '3');
+	assert.equal(changes, 1);
+});
+
+test('removing an attribute falls back to the json, then the default', async () => {
+	const carousel = mount(window, {
+		options: { slidesPerView: 2 },
+		attributes: { 'slides-per-view': '3', gap: '10' },
+	});
+	await settle(window);
+
+	carousel.removeAttribute('slides-per-view');
+	assert.equal(carousel.options.slidesPerView, 2);
+
+	carousel.removeAttribute('gap');
+	assert.equal(carousel.options.gap, 0);
+});
+
+test('a number attribute that is not a number is ignored with a warning', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, {
+		options: { slidesPerView: 2 },
+		attributes: { 'slides-per-view': 'three', 'slides-per-move': '' },
+	});
+	await settle(window);
+
+	assert.equal(carousel.options.slidesPerView, 2);
+	assert.equal(carousel.options.slidesPerMove, 1);
+	assert.equal(warn.mock.callCount(), 2);
+	assert.match(warn.mock.calls[0].arguments[0], /slides-per-view="three" is not a number/);
+
+	carousel.setAttribute('slides-per-view', '4');
+	carousel.setAttribute('slides-per-view', 'lots');
+	assert.equal(carousel.options.slidesPerView, 2);
+
+	carousel.setAttribute('autoplay-interval', 'soon');
+	assert.equal(carousel.options.autoplay.interval, 0);
+});
+
+test('the loaded effect is reflected on [effect] and put back on disconnect', async () => {
+	const carousel = mount(window, { options: { effect: 'fade' } });
+	await settle(window);
+	assert.equal(carousel.getAttribute('effect'), 'fade');
+
+	carousel.remove();
+	assert.equal(carousel.hasAttribute('effect'), false);
+
+	// the reflected value isn't read as an option on reconnect
+	carousel.querySelector('[data-tarot-options]').textContent = '{"effect":"carousel"}';
+	window.document.body.append(carousel);
+	await settle(window);
+	assert.equal(carousel.options.effect, 'carousel');
+	assert.equal(carousel.getAttribute('effect'), 'carousel');
+});
+
+test('an authored effect attribute wins over the json and survives a reconnect', async () => {
+	const carousel = mount(window, { options: { effect: 'carousel' }, attributes: { effect: 'fade' } });
+	await settle(window);
+	assert.equal(carousel.options.effect, 'fade');
+
+	carousel.remove();
+	assert.equal(carousel.getAttribute('effect'), 'fade');
+	window.document.body.append(carousel);
+	await settle(window);
+	assert.equal(carousel.options.effect, 'fade');
+});
+
+test('an unknown effect attribute warns and keeps the current effect', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, { attributes: { effect: 'fade' } });
+	await settle(window);
+
+	carousel.setAttribute('effect', 'sparkle');
+	assert.equal(carousel.options.effect, 'fade');
+	assert.ok(warn.mock.callCount() >= 1);
+});
+
+test('moving the carousel keeps its options and effect', async () => {
+	const carousel = mount(window, { options: { effect: 'fade' }, attributes: { 'slides-per-view': '2' } });
+	await settle(window);
+	const section = window.document.createElement('section');
+	window.document.body.append(section);
+
+	section.append(carousel);
+	await settle(window);
+	assert.equal(carousel.options.effect, 'fade');
+	assert.equal(carousel.options.slidesPerView, 2);
+	assert.equal(carousel.getAttribute('effect'), 'fade');
+
+	carousel.next();
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+});
@@ -0,0 +1,69 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow({ effects: ['butterfly'] });
+});
+afterEach(() => {
+	window.close();
+});
+
+// the viewport measures 1000px, slides measure from data-w
+const sizes = [300, 500, 200, 400, 600];
+const autoWidth = (attributes = {}) => ({
+	slides: sizes.length,
+	attributes: { 'slide-width': 'auto', ...attributes },
+	slideHTML: (i) => `<tarot-slide data-w="${sizes[i]}">slide ${i + 1}</tarot-slide>`,
+});
+
+test('content-sized slides sit at their measured offsets', async () => {
+	const carousel = mount(window, autoWidth());
+	await settle(window);
+
+	assert.ok(carousel.classList.contains('tarot-auto-width'));
+	assert.deepEqual(
+		Array.from(carousel.slides, (slide) => slide.style.transform),
+		['translateX(0px)', 'translateX(300px)', 'translateX(800px)', 'translateX(1000px)', 'translateX(1400px)']
+	);
+
+	carousel.goToSlide(2);
+	await settle(window);
+	assert.match(carousel.querySelector('tarot-slides').style.transform, /^translateX\(-800px\)$/);
+});
+
+test('effects built on transform points fall back to carousel', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, autoWidth({ effect: 'butterfly' }));
+	await settle(window);
+
+	assert.equal(carousel.getAttribute('effect'), 'carousel');
+	assert.match(warn.mock.calls[0].arguments[0], /effect 'butterfly' does not support slideWidth 'auto'/);
+	assert.equal(carousel.slides[1].style.transform, 'translateX(300px)');
+
+	// with equal widths it loads
+	carousel.removeAttribute('slide-width');
+	carousel.updateOptions({ effect: 'butterfly' });
+	await settle(window);
+	assert.equal(carousel.getAttribute('effect'), 'butterfly');
+});
+
+test('a custom effect can opt in with autoWidth', async () => {
+	const { Tarot, TarotEffect } = window;
+	class Plain extends TarotEffect {
+		static effectName = 'plain';
+		static rules = { ...TarotEffect.rules, autoWidth: true };
+		render(frame) {
+			this.renderTrackWidth(frame.widths.track);
+			this.renderTrackPosition(frame.animation);
+			for (const slide of frame.slides) slide.style.transform = this.translateAxis(slide.trackPosition);
+		}
+	}
+	Tarot.registerEffect(Plain);
+
+	const carousel = mount(window, autoWidth({ effect: 'plain' }));
+	await settle(window);
+	assert.equal(carousel.getAttribute('effect'), 'plain');
+	assert.equal(carousel.slides[2].style.transform, 'translateX(800px)');
+});
@@ -0,0 +1,220 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, tick, plain } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow({
+		setup: (window) => {
+			window.document.hasFocus = () => true;
+		},
+	});
+});
+afterEach(() => {
+	window.close();
+});
+
+const names = (log) => log.map((entry) => entry.name);
+const named = (log, name) => log.filter((entry) => entry.name === name);
+// finished page moves (the carousel's initial jump is a slide transition)
+const advances = (log) =>
+	named(log, 'carousel:after-transition').filter((entry) => entry.detail.kind === 'page');
+// autoplay keeps a frame pending, so wait on a condition instead of settle()
+const until = async (predicate, timeout = 2000) => {
+	const start = Date.now();
+	while (!predicate()) {
+		if (Date.now() - start > timeout) throw new Error('timed out');
+		await tick(5);
+	}
+};
+// the helper's frames are 16ms apart, a 3-frame tween lands each advance well inside the 10-frame dwell
+const autoplay = (options = {}) => ({
+	options: {
+		autoplay: { interval: 160, ...options },
+		animation: { driver: 'tween', duration: 48 },
+	},
+});
+
+test('advances one page per interval and reports progress', async () => {
+	let log;
+	const carousel = mount(window, {
+		...autoplay(),
+		beforeConnect: (carousel) => {
+			log = record(carousel, ['autoplay:started', 'autoplay:progress', 'carousel:after-transition']);
+		},
+	});
+	await until(() => advances(log).length > 0);
+
+	assert.equal(log[0].name, 'autoplay:started');
+	const [advance] = advances(log);
+	assert.equal(advance.detail.prevIndex, 0);
+	assert.equal(advance.detail.currentIndex, 1);
+	const progress = named(log, 'autoplay:progress').map((entry) => entry.detail);
+	assert.equal(progress[0].interval, 160);
+	assert.ok(progress.some((detail) => detail.progress > 0 && detail.progress < 1));
+	assert.equal(progress.find((detail) => detail.progress === 1)?.index, 0);
+
+	// screen readers don't hear every rotation
+	assert.equal(carousel.querySelector('[aria-live]').getAttribute('aria-live'), 'off');
+	carousel.remove();
+});
+
+test('hover and focus hold playback until they end', async () => {
+	const carousel = mount(window, autoplay());
+	const log = record(carousel, ['autoplay:paused', 'autoplay:started']);
+	const transitions = record(carousel, ['carousel:before-transition']);
+	await tick(20);
+
+	carousel.dispatchEvent(new window.PointerEvent('pointerenter', { pointerType: 'mouse' }));
+	assert.deepEqual(plain(log.at(-1).detail.reasons), ['hover']);
+	// no advance starts while held (one already underway may still finish)
+	const held = transitions.length;
+	await tick(200);
+	assert.equal(transitions.length, held);
+
+	carousel.dispatchEvent(new window.PointerEvent('pointerleave', { pointerType: 'mouse' }));
+	assert.equal(log.at(-1).name, 'autoplay:started');
+
+	carousel.querySelector('tarot-slide button, tarot-slides').dispatchEvent(
+		new window.FocusEvent('focusin', { bubbles: true })
+	);
+	assert.deepEqual(plain(log.at(-1).detail.reasons), ['focus']);
+	carousel.dispatchEvent(new window.FocusEvent('focusout', { relatedTarget: window.document.body }));
+	assert.equal(log.at(-1).name, 'autoplay:started');
+
+	// a touch doesn't hover
+	carousel.dispatchEvent(new window.PointerEvent('pointerenter', { pointerType: 'touch' }));
+	assert.equal(log.at(-1).name, 'autoplay:started');
+	carousel.remove();
+});
+
+test('the play/pause button stops and restarts autoplay', async () => {
+	const carousel = mount(window, autoplay());
+	const log = record(carousel, ['autoplay:stopped', 'autoplay:started']);
+	const transitions = record(carousel, ['carousel:before-transition', 'carousel:after-transition']);
+	await tick(20);
+
+	const button = carousel.querySelector('[data-action="tarot-autoplay"]');
+	assert.ok(button.classList.contains('tarot-autoplay-button'));
+	assert.equal(button.getAttribute('aria-label'), 'pause autoplay');
+	assert.equal(button.dataset.state, 'playing');
+
+	button.click();
+	const stopped = named(transitions, 'carousel:before-transition').length;
+	assert.equal(log.at(-1).name, 'autoplay:stopped');
+	assert.equal(button.getAttribute('aria-label'), 'play autoplay');
+	assert.equal(button.dataset.state, 'paused');
+	assert.equal(carousel.querySelector('[aria-live]').getAttribute('aria-live'), 'polite');
+	await tick(200);
+	assert.equal(named(transitions, 'carousel:before-transition').length, stopped);
+
+	button.click();
+	assert.equal(log.at(-1).name, 'autoplay:started');
+	const restarted = transitions.length;
+	await until(() => advances(transitions.slice(restarted)).length > 0);
+	carousel.remove();
+});
+
+test("an interaction pauses for resumeDelay, or stops with afterInteraction: 'stop'", async () => {
+	const carousel = mount(window, autoplay({ resumeDelay: 60 }));
+	const log = record(carousel, ['autoplay:paused', 'autoplay:started', 'autoplay:stopped']);
+	await tick(20);
+
+	const next = carousel.querySelector('[data-action="tarot-next"]');
+	next.click();
+	assert.deepEqual(plain(log.at(-1).detail.reasons), ['interaction']);
+	await until(() => log.at(-1).name === 'autoplay:started');
+
+	carousel.updateOptions({ autoplay: { afterInteraction: 'stop' } });
+	next.click();
+	assert.equal(log.at(-1).name, 'autoplay:stopped');
+	await tick(100);
+	assert.equal(log.at(-1).name, 'autoplay:stopped');
+	carousel.remove();
+});
+
+test('stopAfterInteraction: true still means stop', async () => {
+	const carousel = mount(window, { options: { autoplay: { interval: 160, stopAfterInteraction: true } } });
+	await tick(20);
+	assert.equal(carousel.options.autoplay.afterInteraction, 'stop');
+	carousel.remove();
+});
+
+test('interval 0 hides the button and nothing plays', async () => {
+	const carousel = mount(window, { options: { autoplay: { interval: 0 } } });
+	const log = record(carousel, ['autoplay:started']);
+	await settle(window);
+	assert.equal(carousel.querySelector('[data-action="tarot-autoplay"]'), null);
+	assert.deepEqual(names(log), []);
+
+	carousel.updateOptions({ autoplay: { interval: 160 } });
+	await tick(20);
+	const button = carousel.querySelector('[data-action="tarot-autoplay"]');
+	assert.equal(button.style.display, '');
+
+	carousel.updateOptions({ autoplay: { interval: 0 } });
+	assert.equal(button.style.display, 'none');
+	await settle(window);
+});
+
+test('data-autoplay-interval sets the dwell for its slide', async () => {
+	const carousel = mount(window, {
+		...autoplay(),
+		slideHTML: (i) =>
+			i === 1 ? '<tarot-slide data-autoplay-interval="480">slow</tarot-slide>' : `<tarot-slide>${i}</tarot-slide>`,
+	});
+	const log = record(carousel, ['autoplay:progress', 'carousel:after-transition']);
+	await until(() => advances(log).length >= 2);
+
+	const intervals = (index) =>
+		new Set(
+			named(log, 'autoplay:progress')
+				.filter((entry) => entry.detail.index === index)
+				.map((entry) => entry.detail.interval)
+		);
+	assert.deepEqual([...intervals(0)], [160]);
+	assert.deepEqual([...intervals(1)], [480]);
+	carousel.remove();
+});
+
+test('a playing video paces its slide and advances when it ends', async () => {
+	// a long interval, so only the video can advance the first slide
+	const carousel = mount(window, {
+		...autoplay({ interval: 60000 }),
+		slideHTML: (i) => (i === 0 ? '<tarot-slide><video muted></video></tarot-slide>' : `<tarot-slide>${i}</tarot-slide>`),
+	});
+	const video = carousel.querySelector('video');
+	const playback = { paused: true, ended: false, currentTime: 0, duration: 10 };
+	for (const key of Object.keys(playback)) {
+		Object.defineProperty(video, key, { get: () => playback[key] });
+	}
+	const log = record(carousel, ['autoplay:progress']);
+	const transitions = record(carousel, ['carousel:after-transition']);
+
+	// blocked autoplay: the normal interval applies
+	await until(() => log.some((entry) => entry.detail.progress > 0));
+	assert.equal(log.at(-1).detail.interval, 60000);
+
+	// once it plays, progress follows the video
+	Object.assign(playback, { paused: false, currentTime: 5 });
+	await tick(100);
+	assert.equal(carousel.state.renderIndex, 0);
+	assert.deepEqual(plain(log.at(-1).detail), { progress: 0.5, elapsed: 5000, interval: 10000, index: 0 });
+
+	Object.assign(playback, { paused: true, ended: true, currentTime: 10 });
+	await until(() => advances(transitions).length > 0);
+	assert.equal(advances(transitions)[0].detail.currentIndex, 1);
+	carousel.remove();
+});
+
+test('a looping video leaves the slide on the interval', async () => {
+	const carousel = mount(window, {
+		...autoplay(),
+		slideHTML: (i) => (i === 0 ? '<tarot-slide><video loop></video></tarot-slide>' : `<tarot-slide>${i}</tarot-slide>`),
+	});
+	Object.defineProperty(carousel.querySelector('video'), 'paused', { get: () => false });
+	const transitions = record(carousel, ['carousel:after-transition']);
+	await until(() => advances(transitions).length > 0);
+	assert.equal(advances(transitions)[0].detail.currentIndex, 1);
+	carousel.remove();
+});
@@ -0,0 +1,140 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, drag, touch } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const names = (log) => log.map((entry) => entry.name);
+
+test('init fires before ready, once each', async () => {
+	let log;
+	mount(window, {
+		beforeConnect: (carousel) => {
+			log = record(carousel, ['carousel:init', 'carousel:ready']);
+		},
+	});
+	await settle(window);
+	assert.deepEqual(names(log), ['carousel:init', 'carousel:ready']);
+});
+
+test('next() emits a slide transition around the animation', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const log = record(carousel, [
+		'carousel:before-transition',
+		'carousel:after-transition',
+		'animation:started',
+		'animation:completed',
+	]);
+
+	carousel.next();
+	await settle(window);
+
+	assert.deepEqual(names(log).slice(0, 2), ['carousel:before-transition', 'animation:started']);
+	assert.deepEqual(names(log).slice(2).sort(), ['animation:completed', 'carousel:after-transition']);
+
+	const byName = Object.fromEntries(log.map(({ name, detail }) => [name, detail]));
+	const before = byName['carousel:before-transition'];
+	assert.equal(before.currentIndex, 0);
+	assert.equal(before.nextIndex, 1);
+	// the track moves left to bring the next slide in
+	assert.equal(before.direction, -1);
+
+	const after = byName['carousel:after-transition'];
+	assert.equal(after.prevIndex, 0);
+	assert.equal(after.currentIndex, 1);
+	assert.equal(after.kind, before.kind);
+	assert.equal(after.direction, -1);
+	assert.equal(byName['animation:completed'].renderIndex, 1);
+});
+
+test('goToPage() reports kind page', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const log = record(carousel, ['carousel:before-transition', 'carousel:after-transition']);
+
+	carousel.goToPage(2);
+	await settle(window);
+	assert.deepEqual(
+		log.map(({ detail }) => detail.kind),
+		['page', 'page']
+	);
+	assert.equal(log[1].detail.currentIndex, 2);
+});
+
+test('a transition replaced before it settles gets no after-transition', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const log = record(carousel, ['carousel:before-transition', 'carousel:after-transition']);
+
+	carousel.next();
+	carousel.goToSlide(3);
+	await settle(window);
+
+	assert.deepEqual(names(log), [
+		'carousel:before-transition',
+		'carousel:before-transition',
+		'carousel:after-transition',
+	]);
+	assert.equal(log[2].detail.currentIndex, 3);
+});
+
+test('a looping carousel emits track:looped when it wraps', async () => {
+	const carousel = mount(window, { slides: 4, options: { loop: true } });
+	await settle(window);
+	const log = record(carousel, ['track:looped']);
+
+	carousel.prev();
+	await settle(window);
+	assert.equal(log.length, 1);
+	assert.equal(log[0].detail.direction, -1);
+	assert.equal(typeof log[0].detail.trackPosition, 'number');
+	assert.equal(carousel.state.renderIndex, 3);
+});
+
+test('a second finger cancels the drag', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const track = carousel.querySelector('tarot-slides');
+	const log = record(carousel, ['drag:cancel', 'drag:end']);
+
+	drag(track, [[500, 100], [480, 100]], { release: false, pointerType: 'touch' });
+	touch(track, 'touchstart', [{ screenX: 480, screenY: 100 }, { screenX: 300, screenY: 100 }]);
+	await settle(window);
+
+	assert.deepEqual(names(log), ['drag:cancel']);
+	assert.equal(log[0].detail.reason, 'multi-touch');
+	assert.equal(carousel.state.renderIndex, 0);
+});
+
+test('a mostly vertical touch lets the page scroll', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const track = carousel.querySelector('tarot-slides');
+	const log = record(carousel, ['drag:cancel']);
+
+	drag(track, [[500, 100]], { release: false, pointerType: 'touch' });
+	const event = touch(track, 'touchmove', [{ screenX: 502, screenY: 160 }]);
+
+	assert.equal(log[0]?.detail.reason, 'vertical-scroll');
+	assert.equal(event.defaultPrevented, false);
+});
+
+test('a mouse drag past the threshold moves to the next slide', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const track = carousel.querySelector('tarot-slides');
+	const log = record(carousel, ['drag:start', 'drag:end', 'carousel:after-transition']);
+
+	drag(track, [[600, 100], [550, 100], [450, 100], [300, 100]]);
+	await settle(window);
+
+	assert.deepEqual(names(log).slice(0, 2), ['drag:start', 'drag:end']);
+	assert.ok(carousel.state.renderIndex >= 1);
+});
@@ -0,0 +1,121 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, plain } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const tags = ['shopify, plus', 'non-shopify', 'Shopify', 'custom, plus', 'custom', 'shopify, custom'];
+const tagged = (options) => ({
+	slideHTML: (i) => `<tarot-slide data-tags="${tags[i]}" class="${i === 4 ? 'featured' : ''}">${i}</tarot-slide>`,
+	options,
+});
+// slides still animating out have left the set already
+const showing = (carousel) =>
+	Array.from(carousel.querySelectorAll('tarot-slide:not([hidden]):not(.tarot-exiting)')).map((slide) =>
+		Number(slide.textContent)
+	);
+
+test('tags match any by default, all on request, case-insensitively', async () => {
+	const carousel = mount(window, tagged());
+	const log = record(carousel, ['slides:filtered']);
+	await settle(window);
+
+	assert.deepEqual(plain(carousel.filter({ tags: 'shopify' })), { matched: 3, total: 6 });
+	assert.deepEqual(showing(carousel), [0, 2, 5]);
+	assert.deepEqual(plain(log[0].detail), { matched: 3, total: 6, filter: { tags: ['shopify'], match: 'any' } });
+
+	carousel.filter({ tags: ['custom', 'plus'], match: 'all' });
+	assert.deepEqual(showing(carousel), [3]);
+	carousel.filter({ tags: ['custom', 'plus'] });
+	assert.deepEqual(showing(carousel), [0, 3, 4, 5]);
+});
+
+test('selectors and predicates, clearFilter shows everything', async () => {
+	const carousel = mount(window, tagged());
+	await settle(window);
+
+	carousel.filter('.featured');
+	assert.deepEqual(showing(carousel), [4]);
+	carousel.filter((slide, index) => index % 2 === 0);
+	assert.deepEqual(showing(carousel), [0, 2, 4]);
+	// hidden slides stay where they were
+	assert.equal(carousel.querySelectorAll('tarot-slide').length, 6);
+
+	assert.deepEqual(plain(carousel.clearFilter()), { matched: 6, total: 6 });
+	assert.equal(carousel.getFilter(), null);
+	assert.deepEqual(showing(carousel), [0, 1, 2, 3, 4, 5]);
+});
+
+test('a rejected filter warns and changes nothing', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, tagged());
+	await settle(window);
+	carousel.filter('.featured');
+
+	assert.equal(carousel.filter('[[nope'), null);
+	assert.equal(carousel.filter({ tags: ' , ' }), null);
+	assert.equal(carousel.filter(42), null);
+	assert.equal(warn.mock.callCount(), 3);
+	assert.equal(carousel.getFilter(), '.featured');
+});
+
+test('the current and selected slides keep their place when they pass', async () => {
+	const carousel = mount(window, tagged());
+	await settle(window);
+	carousel.goToSlide(5);
+	carousel.setSelectedIndex(2);
+	await settle(window);
+
+	carousel.filter({ tags: 'shopify' });
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 2);
+	assert.equal(carousel.state.selectedIndex, 1);
+
+	// slide 5 is filtered out, so back to the first match
+	carousel.filter('.featured');
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 0);
+	assert.equal(carousel.state.selectedIndex, 0);
+});
+
+test('an empty result parks at 0 and the next filter goes back', async () => {
+	const carousel = mount(window, tagged());
+	await settle(window);
+	carousel.goToSlide(3);
+	await settle(window);
+
+	assert.deepEqual(plain(carousel.filter({ tags: 'nothing' })), { matched: 0, total: 6 });
+	assert.equal(carousel.state.renderIndex, 0);
+	assert.deepEqual(showing(carousel), []);
+
+	carousel.clearFilter();
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 3);
+});
+
+test('filterClass is the starting filter and replaces the active one when it changes', async () => {
+	const carousel = mount(window, tagged({ filterClass: 'featured' }));
+	await settle(window);
+	assert.equal(carousel.getFilter(), '.featured');
+	assert.deepEqual(showing(carousel), [4]);
+
+	carousel.filter({ tags: 'plus' });
+	carousel.updateOptions({ filterClass: '' });
+	await settle(window);
+	assert.equal(carousel.getFilter(), null);
+	assert.deepEqual(showing(carousel), [0, 1, 2, 3, 4, 5]);
+});
+
+test('a teardown unhides the filtered slides', async () => {
+	const carousel = mount(window, tagged());
+	await settle(window);
+	carousel.filter({ tags: 'custom' });
+	carousel.remove();
+	assert.equal(carousel.querySelectorAll('tarot-slide[hidden]').length, 0);
+});
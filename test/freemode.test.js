@@ -0,0 +1,101 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, drag } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const names = (log) => log.map((entry) => entry.name);
+const trackX = (carousel) => {
+	const match = /translate(?:X|3d)\((-?[\d.]+)px/.exec(carousel.querySelector('tarot-slides').style.transform);
+	return match ? Number(match[1]) : 0;
+};
+
+test('a release coasts to a stop between slides as a position transition', async () => {
+	const carousel = mount(window, { options: { freeMode: true } });
+	await settle(window);
+	const track = carousel.querySelector('tarot-slides');
+	const log = record(carousel, ['carousel:before-transition', 'carousel:after-transition']);
+
+	drag(track, [[900, 100], [850, 100], [800, 100], [760, 100]]);
+	await settle(window);
+
+	assert.deepEqual(names(log), ['carousel:before-transition', 'carousel:after-transition']);
+	const [before, after] = log.map((entry) => entry.detail);
+	assert.equal(before.kind, 'position');
+	assert.equal(before.type, 'coast');
+	assert.equal(before.currentIndex, 0);
+	assert.equal(before.direction, -1);
+	assert.equal(after.kind, 'position');
+	assert.equal(after.prevIndex, 0);
+
+	// the index is the slide nearest the resting position
+	const resting = trackX(carousel);
+	assert.ok(resting < 0 && resting % 1000 !== 0, `rested at ${resting}`);
+	assert.equal(after.currentIndex, Math.round(-resting / 1000));
+	assert.equal(carousel.state.renderIndex, after.currentIndex);
+	assert.equal(carousel.state.pageIndex, after.currentIndex);
+});
+
+test('the index moves to the predicted slide when the coast starts', async () => {
+	const carousel = mount(window, { options: { freeMode: true } });
+	await settle(window);
+	const track = carousel.querySelector('tarot-slides');
+	const log = record(carousel, ['carousel:before-transition']);
+
+	drag(track, [[900, 100], [800, 100], [650, 100], [450, 100]]);
+
+	assert.equal(log.length, 1);
+	assert.ok(log[0].detail.nextIndex > 0);
+	assert.equal(carousel.state.renderIndex, log[0].detail.nextIndex);
+	await settle(window);
+});
+
+test('an asNavFor carousel keeps selectedIndex on the coasted slide', async () => {
+	const main = mount(window, { options: { freeMode: true }, attributes: { id: 'main' } });
+	const nav = mount(window, { options: { freeMode: true, asNavFor: '#main' }, attributes: { id: 'nav' } });
+	await settle(window);
+
+	drag(nav.querySelector('tarot-slides'), [[900, 100], [800, 100], [650, 100], [450, 100]]);
+	await settle(window);
+
+	assert.ok(nav.state.renderIndex > 0);
+	assert.equal(nav.state.selectedIndex, nav.state.renderIndex);
+	assert.equal(main.state.renderIndex, nav.state.renderIndex);
+});
+
+test('without loop a coast past the first slide springs back to it', async () => {
+	const carousel = mount(window, { options: { freeMode: true } });
+	await settle(window);
+	const log = record(carousel, ['carousel:after-transition']);
+
+	drag(carousel.querySelector('tarot-slides'), [[300, 100], [400, 100], [550, 100]]);
+	await settle(window);
+
+	assert.equal(trackX(carousel), 0);
+	assert.equal(carousel.state.renderIndex, 0);
+	assert.equal(log.at(-1).detail.kind, 'slide');
+});
+
+test('sticky lands on the slide nearest the predicted stop', async () => {
+	const carousel = mount(window, { options: { freeMode: { enabled: true, sticky: true } } });
+	await settle(window);
+
+	drag(carousel.querySelector('tarot-slides'), [[900, 100], [800, 100], [650, 100], [450, 100]]);
+	await settle(window);
+
+	const index = carousel.state.renderIndex;
+	assert.ok(index > 0);
+	assert.equal(trackX(carousel), -1000 * index);
+});
+
+test('the free-mode attribute turns free mode on', async () => {
+	const carousel = mount(window, { attributes: { 'free-mode': '' } });
+	await settle(window);
+	assert.equal(carousel.options.freeMode.enabled, true);
+});
@@ -0,0 +1,92 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const cells = (count) => ({
+	slides: count,
+	slideHTML: (i) => `<div class="cell">${i + 1}</div>`,
+});
+const columns = (carousel) =>
+	Array.from(carousel.querySelector('tarot-slides').children).map((group) =>
+		Array.from(group.children).map((cell) => cell.textContent)
+	);
+
+test('rows group the cells into columns filled top to bottom', async () => {
+	const carousel = mount(window, { ...cells(7), options: { slidesPerView: 2, grid: { rows: 2 } } });
+	await settle(window);
+
+	assert.deepEqual(columns(carousel), [['1', '2'], ['3', '4'], ['5', '6'], ['7']]);
+	const [group] = carousel.querySelectorAll('tarot-slide');
+	assert.ok(group.classList.contains('tarot-grid-group'));
+	assert.ok(group.firstElementChild.classList.contains('tarot-grid-cell'));
+
+	// slides are the columns
+	assert.equal(carousel.state.slideCount, 4);
+	assert.equal(carousel.slides.length, 4);
+});
+
+test("fill: 'row' fills each page left to right", async () => {
+	const carousel = mount(window, {
+		...cells(8),
+		options: { slidesPerView: 2, slidesPerMove: 2, grid: { rows: 2, fill: 'row' } },
+	});
+	await settle(window);
+
+	assert.deepEqual(columns(carousel), [['1', '3'], ['2', '4'], ['5', '7'], ['6', '8']]);
+	assert.equal(carousel.state.pageCount, 2);
+});
+
+test('the rows attribute sets grid.rows', async () => {
+	const carousel = mount(window, { ...cells(6), attributes: { rows: '3' } });
+	await settle(window);
+	assert.deepEqual(columns(carousel), [['1', '2', '3'], ['4', '5', '6']]);
+});
+
+test('changing rows regroups the cells in their original order', async () => {
+	const carousel = mount(window, { ...cells(6), options: { grid: { rows: 2 } } });
+	await settle(window);
+
+	carousel.updateOptions({ grid: { rows: 3 } });
+	await settle(window);
+	assert.deepEqual(columns(carousel), [['1', '2', '3'], ['4', '5', '6']]);
+	assert.equal(carousel.state.slideCount, 2);
+
+	carousel.updateOptions({ grid: { rows: 1 } });
+	await settle(window);
+	const slides = carousel.querySelectorAll('tarot-slide');
+	assert.equal(slides.length, 6);
+	assert.equal(carousel.querySelector('.tarot-grid-group'), null);
+	assert.equal(slides[0].textContent, '1');
+});
+
+test('navigation moves by column', async () => {
+	const carousel = mount(window, { ...cells(8), options: { grid: { rows: 2 } } });
+	await settle(window);
+
+	carousel.next();
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+	assert.equal(carousel.slides[carousel.state.renderIndex].textContent, '34');
+});
+
+test('removing the carousel leaves the cells as authored', async () => {
+	const carousel = mount(window, { ...cells(4), options: { grid: { rows: 2 } } });
+	await settle(window);
+
+	carousel.remove();
+	assert.equal(carousel.querySelector('.tarot-grid-group'), null);
+	assert.equal(carousel.querySelector('.tarot-grid-cell'), null);
+	assert.equal(carousel.querySelectorAll('.cell').length, 4);
+
+	window.document.body.append(carousel);
+	await settle(window);
+	assert.deepEqual(columns(carousel), [['1', '2'], ['3', '4']]);
+});
@@ -0,0 +1,107 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, drag, tick } from './helpers/dom.js';
+
+let window;
+afterEach(() => {
+	window?.close();
+});
+
+const names = ['a', 'b', 'c', 'd', 'e', 'f'];
+const named = (options = { hashNavigation: true }) => ({
+	slideHTML: (i) => `<tarot-slide data-hash="${names[i]}">${i}</tarot-slide>`,
+	options,
+});
+
+test('the linked slide is the first one painted', async () => {
+	window = createWindow({ url: 'https://example.com/page#d' });
+	const carousel = mount(window, named());
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 3);
+});
+
+test("'replace' rewrites the url after each settled move", async () => {
+	window = createWindow({ url: 'https://example.com/page?x=1' });
+	const carousel = mount(window, named());
+	await settle(window);
+	const entries = window.history.length;
+
+	carousel.next();
+	await settle(window);
+	assert.equal(window.location.href, 'https://example.com/page?x=1#b');
+	carousel.goToSlide(4);
+	await settle(window);
+	assert.equal(window.location.hash, '#e');
+	assert.equal(window.history.length, entries);
+});
+
+test("'push' adds entries that back steps through", async () => {
+	window = createWindow();
+	const carousel = mount(window, named({ hashNavigation: 'push' }));
+	await settle(window);
+	const entries = window.history.length;
+
+	carousel.next();
+	await settle(window);
+	carousel.next();
+	await settle(window);
+	assert.equal(window.location.hash, '#c');
+	assert.equal(window.history.length, entries + 2);
+
+	window.history.back();
+	await tick(20);
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('hash links on the page move the carousel, unknown hashes are ignored', async () => {
+	window = createWindow();
+	const carousel = mount(window, named());
+	await settle(window);
+
+	window.location.hash = '#f';
+	await tick(20);
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 5);
+
+	window.location.hash = '#elsewhere';
+	await tick(20);
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 5);
+});
+
+test("a slide without a name drops only this carousel's hash", async () => {
+	window = createWindow({ url: 'https://example.com/#a' });
+	const carousel = mount(window, {
+		...named(),
+		slideHTML: (i) => (i === 1 ? '<tarot-slide>1</tarot-slide>' : `<tarot-slide id="${names[i]}">${i}</tarot-slide>`),
+	});
+	await settle(window);
+
+	carousel.next();
+	await settle(window);
+	assert.equal(window.location.hash, '');
+
+	carousel.prev();
+	await settle(window);
+	assert.equal(window.location.hash, '#a');
+
+	// some other part of the page owns the hash now
+	window.history.replaceState(null, '', '#top');
+	carousel.next();
+	await settle(window);
+	assert.equal(window.location.hash, '#top');
+});
+
+test('a free mode coast updates the hash when it settles', async () => {
+	window = createWindow();
+	const carousel = mount(window, named({ hashNavigation: true, freeMode: true }));
+	await settle(window);
+
+	drag(carousel.querySelector('tarot-slides'), [[900, 100], [800, 100], [650, 100], [450, 100]]);
+	await settle(window);
+
+	const index = carousel.state.renderIndex;
+	assert.ok(index > 0);
+	assert.equal(window.location.hash, `#${names[index]}`);
+});
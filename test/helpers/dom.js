@@ -0,0 +1,209 @@
+/**
+ * test helpers
+ * - runs tarot.esm.js (and any effects) inside a jsdom window, the way a page would load it
+ * - jsdom has no layout, so elements measure from data-w / data-h (1000 x 400 by default)
+ * - requestAnimationFrame runs on a fast fake clock: 16ms frames, fired as soon as possible
+ */
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const scripts = new URL('../../src/scripts/', import.meta.url);
+const read = (path) => readFileSync(new URL(path, scripts), 'utf8');
+
+/** @type {WeakMap<Window, Set>} - each window's pending animation frames */
+const frames = new WeakMap();
+
+/**
+ * a window with Tarot defined as tarot-carousel
+ * @param {object} [options]
+ * @param {string[]} [options.effects] - effect files to register, e.g. ['peacock']
+ * @param {string} [options.url] - page url
+ * @param {Function} [options.setup] - (window) => void, runs before the scripts
+ * @returns {Window} with window.Tarot and window.TarotEffect
+ */
+export function createWindow({ effects = [], url = 'https://example.com/', setup } = {}) {
+	const dom = new JSDOM('<!doctype html><html><body></body></html>', {
+		runScripts: 'outside-only',
+		pretendToBeVisual: true,
+		url,
+	});
+	const { window } = dom;
+
+	let now = 0;
+	const pending = new Set();
+	window.requestAnimationFrame = (callback) => {
+		const id = setImmediate(() => {
+			pending.delete(id);
+			callback((now += 16));
+		});
+		pending.add(id);
+		return id;
+	};
+	window.cancelAnimationFrame = (id) => {
+		pending.delete(id);
+		clearImmediate(id);
+	};
+	frames.set(window, pending);
+	window.ResizeObserver = class {
+		observe() {}
+		unobserve() {}
+		disconnect() {}
+	};
+	window.matchMedia ??= (query) => ({
+		matches: false,
+		media: query,
+		addEventListener() {},
+		removeEventListener() {},
+	});
+	for (const [property, attribute, fallback] of [
+		['offsetWidth', 'data-w', 1000],
+		['offsetHeight', 'data-h', 400],
+	]) {
+		Object.defineProperty(window.HTMLElement.prototype, property, {
+			get() {
+				return Number(this.getAttribute(attribute)) || fallback;
+			},
+		});
+	}
+	setup?.(window);
+
+	// the module's export line becomes globals, effects import from them
+	// internals are exposed for tests that check module-private classes
+	window.eval(
+		read('tarot.esm.js').replace(
+			/^export \{[^}]*\};?$/m,
+			'window.Tarot = Tarot; window.TarotEffect = TarotEffect;' +
+				' window.internals = { PhysicsEngine, TrackManager };'
+		)
+	);
+	for (const effect of effects) {
+		const source = read(`effects/${effect}.esm.js`)
+			.replace(/^import .*$/m, 'const { Tarot, TarotEffect } = window;')
+			.replace(/^export .*$/gm, '');
+		window.eval(`(() => {${source}})();`);
+	}
+
+	return window;
+}
+
+/**
+ * render a carousel into the window's body
+ * @param {Window} window
+ * @param {object} [config]
+ * @param {number} [config.slides=6] - slide count
+ * @param {object} [config.options] - json options (data-tarot-options)
+ * @param {object} [config.attributes] - host attributes, null leaves one out (id defaults to 'carousel')
+ * @param {Function} [config.slideHTML] - (i) => markup for slide i
+ * @param {Function} [config.beforeConnect] - (carousel) => void, e.g. to listen for carousel:init
+ * @returns {HTMLElement} the tarot-carousel
+ */
+export function mount(window, { slides = 6, options, attributes = {}, slideHTML, beforeConnect } = {}) {
+	const { document } = window;
+	const attributeMarkup = Object.entries({ id: 'carousel', ...attributes })
+		.filter(([, value]) => value !== null)
+		.map(([name, value]) => (value === '' ? name : `${name}="${value}"`))
+		.join(' ');
+	const json = options
+		? `<script type="application/json" data-tarot-options>${JSON.stringify(options)}</script>`
+		: '';
+	const slideMarkup = Array.from({ length: slides }, (_, i) =>
+		slideHTML ? slideHTML(i) : `<tarot-slide>slide ${i + 1}</tarot-slide>`
+	).join('');
+
+	// parsed like page markup (a constructed custom element can't have children yet)
+	const holder = document.createElement('div');
+	holder.innerHTML = `<tarot-carousel ${attributeMarkup}>${json}<tarot-viewport>${slideMarkup}</tarot-viewport></tarot-carousel>`;
+	const carousel = holder.firstElementChild;
+
+	beforeConnect?.(carousel);
+	document.body.append(carousel);
+	return carousel;
+}
+
+/**
+ * wait for timers and frames to run
+ * @param {number} [ms=0]
+ * @returns {Promise<void>}
+ */
+export const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * wait until the carousel has built and no animation frame is pending
+ * @param {Window} window
+ * @param {number} [timeout=3000] - ms
+ * @returns {Promise<void>}
+ */
+export async function settle(window, timeout = 3000) {
+	const pending = frames.get(window);
+	const start = Date.now();
+	let idle = 0;
+
+	// two quiet checks in a row, debounced work (20ms) runs in between
+	while (idle < 2 && Date.now() - start < timeout) {
+		await tick(25);
+		idle = pending.size ? 0 : idle + 1;
+	}
+}
+
+/**
+ * record a carousel's events
+ * @param {HTMLElement} carousel
+ * @param {string[]} names
+ * @returns {Array<{name:string, detail:*}>} filled as they fire
+ */
+export function record(carousel, names) {
+	const log = [];
+	for (const name of names) carousel.on(name, (detail) => log.push({ name, detail }));
+	return log;
+}
+
+/**
+ * drag across an element with pointer events
+ * @param {HTMLElement} target - usually the track (tarot-slides)
+ * @param {Array<[number, number]>} points - screen x/y, the first is the pointerdown
+ * @param {object} [init] - extra PointerEvent fields, e.g. { pointerType: 'touch' }
+ * @param {boolean} [init.release=true] - end with a pointerup on the last point
+ */
+export function drag(target, points, { release = true, ...init } = {}) {
+	const { PointerEvent } = target.ownerDocument.defaultView;
+	const fire = (type, [screenX, screenY]) =>
+		target.dispatchEvent(
+			new PointerEvent(type, {
+				bubbles: true,
+				cancelable: true,
+				pointerId: 1,
+				pointerType: 'mouse',
+				screenX,
+				screenY,
+				clientX: screenX,
+				clientY: screenY,
+				...init,
+			})
+		);
+
+	fire('pointerdown', points[0]);
+	points.slice(1).forEach((point) => fire('pointermove', point));
+	if (release) fire('pointerup', points[points.length - 1]);
+}
+
+/**
+ * a touch event (jsdom has no Touch constructor, so touches are plain objects)
+ * @param {HTMLElement} target
+ * @param {string} type - touchstart, touchmove...
+ * @param {Array<{screenX:number, screenY:number}>} touches
+ * @returns {Event}
+ */
+export function touch(target, type, touches) {
+	const { Event } = target.ownerDocument.defaultView;
+	const event = new Event(type, { bubbles: true, cancelable: true });
+	Object.defineProperty(event, 'touches', { value: touches });
+	target.dispatchEvent(event);
+	return event;
+}
+
+/**
+ * a plain copy of data from the window (its objects fail deepStrictEqual on their prototype)
+ * @param {*} value - json-safe data
+ * @returns {*}
+ */
+export const plain = (value) => JSON.parse(JSON.stringify(value));
@@ -0,0 +1,108 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, tick } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const images = (count = 6) => ({
+	slides: count,
+	slideHTML: (i) => `<tarot-slide><img data-src="/img/${i}.jpg" loading="lazy" alt=""></tarot-slide>`,
+});
+const loaded = (carousel) =>
+	Array.from(carousel.querySelectorAll('tarot-slide img')).map((img) => img.hasAttribute('src'));
+
+test('loads the slides in view plus lazyLoad.preload around them', async () => {
+	const carousel = mount(window, images());
+	await settle(window);
+
+	assert.deepEqual(loaded(carousel), [true, true, false, false, false, false]);
+	const [img] = carousel.querySelectorAll('img');
+	assert.equal(img.getAttribute('src'), '/img/0.jpg');
+	assert.equal(img.hasAttribute('data-src'), false);
+	assert.equal(img.hasAttribute('loading'), false);
+	assert.ok(img.classList.contains('tarot-loading'));
+	assert.ok(img.closest('tarot-slide').classList.contains('tarot-loading'));
+
+	carousel.goToSlide(3);
+	await settle(window);
+	assert.deepEqual(loaded(carousel), [true, true, true, true, true, false]);
+});
+
+test('a looping track preloads across the wrap', async () => {
+	const carousel = mount(window, { ...images(), options: { loop: true, lazyLoad: { preload: 1 } } });
+	await settle(window);
+	assert.deepEqual(loaded(carousel), [true, true, false, false, false, true]);
+});
+
+test('picture sources get their srcset before the img', async () => {
+	const carousel = mount(window, {
+		slides: 2,
+		slideHTML: () =>
+			'<tarot-slide><picture><source data-srcset="/b.avif" data-sizes="50vw" type="image/avif">' +
+			'<img data-src="/b.jpg" data-srcset="/b-2x.jpg 2x" alt=""></picture></tarot-slide>',
+	});
+	await settle(window);
+
+	const source = carousel.querySelector('source');
+	const img = carousel.querySelector('img');
+	assert.equal(source.getAttribute('srcset'), '/b.avif');
+	assert.equal(source.getAttribute('sizes'), '50vw');
+	assert.equal(img.getAttribute('srcset'), '/b-2x.jpg 2x');
+	assert.equal(img.getAttribute('src'), '/b.jpg');
+});
+
+test('load and error settle the image and its slide', async () => {
+	const carousel = mount(window, images());
+	const log = record(carousel, ['lazy:loaded', 'lazy:error']);
+	await settle(window);
+	const [first, second] = carousel.querySelectorAll('img');
+
+	first.dispatchEvent(new window.Event('load'));
+	assert.ok(first.classList.contains('tarot-loaded'));
+	assert.ok(first.closest('tarot-slide').classList.contains('tarot-loaded'));
+	assert.ok(!first.closest('tarot-slide').classList.contains('tarot-loading'));
+
+	second.dispatchEvent(new window.Event('error'));
+	assert.ok(second.classList.contains('tarot-error'));
+	assert.ok(second.closest('tarot-slide').classList.contains('tarot-error'));
+
+	assert.deepEqual(
+		log.map(({ name, detail }) => [name, detail.index, detail.image === (detail.index ? second : first)]),
+		[
+			['lazy:loaded', 0, true],
+			['lazy:error', 1, true],
+		]
+	);
+});
+
+test('a load that resizes its slide relayouts through recomputeLayout, not a fake resize', async () => {
+	const carousel = mount(window, images());
+	await settle(window);
+	const log = record(carousel, ['window:resize', 'carousel:reinit']);
+	const img = carousel.querySelector('img');
+
+	img.closest('tarot-slide').setAttribute('data-h', '600');
+	img.dispatchEvent(new window.Event('load'));
+	await tick(80);
+
+	assert.deepEqual(
+		log.map(({ name, detail }) => [name, detail.reason]),
+		[['carousel:reinit', 'layout']]
+	);
+});
+
+test('a load that keeps the size leaves the layout alone', async () => {
+	const carousel = mount(window, images());
+	await settle(window);
+	const log = record(carousel, ['carousel:reinit']);
+
+	carousel.querySelector('img').dispatchEvent(new window.Event('load'));
+	await tick(80);
+	assert.deepEqual(log, []);
+});
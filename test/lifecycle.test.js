@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, tick } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const names = (log) => log.map((entry) => entry.name);
+const lifecycle = ['carousel:init', 'carousel:ready', 'carousel:destroy'];
+
+test('removing the carousel tears it down', async () => {
+	const carousel = mount(window, { options: { navigation: { showScrollbar: true } } });
+	await settle(window);
+	const log = record(carousel, [...lifecycle, 'carousel:reinit']);
+
+	carousel.remove();
+	assert.deepEqual(names(log), ['carousel:destroy']);
+	assert.equal(carousel.querySelector('.tarot-scrollbar'), null);
+
+	// window listeners are gone, a resize doesn't reach it
+	window.dispatchEvent(new window.Event('resize'));
+	await tick(300);
+	assert.deepEqual(names(log), ['carousel:destroy']);
+});
+
+test('reconnecting rebuilds from scratch', async () => {
+	const carousel = mount(window, { options: { navigation: { showScrollbar: true } } });
+	await settle(window);
+	carousel.goToSlide(3);
+	await settle(window);
+	const log = record(carousel, lifecycle);
+
+	carousel.remove();
+	window.document.body.append(carousel);
+	await settle(window);
+
+	assert.deepEqual(names(log), lifecycle.slice(-1).concat(lifecycle.slice(0, 2)));
+	assert.equal(carousel.state.renderIndex, 0);
+	assert.equal(carousel.querySelectorAll('.tarot-scrollbar').length, 1);
+	assert.equal(carousel.querySelectorAll('tarot-slide').length, 6);
+});
+
+test('moving the carousel builds once at the new place', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const log = record(carousel, lifecycle);
+	const target = window.document.createElement('section');
+	window.document.body.append(target);
+
+	target.append(carousel);
+	await settle(window);
+
+	assert.deepEqual(names(log), ['carousel:destroy', 'carousel:init', 'carousel:ready']);
+	carousel.next();
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('a carousel removed before it built never builds', async () => {
+	let log;
+	const carousel = mount(window, {
+		beforeConnect: (element) => {
+			log = record(element, lifecycle);
+		},
+	});
+	carousel.remove();
+	await settle(window);
+	const count = (name) => names(log).filter((entry) => entry === name).length;
+	assert.equal(count('carousel:ready'), 0);
+	assert.equal(count('carousel:init'), count('carousel:destroy'));
+});
+
+test('on() listeners survive a disconnect, destroy() drops them', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const log = record(carousel, ['carousel:ready']);
+
+	carousel.remove();
+	window.document.body.append(carousel);
+	await settle(window);
+	assert.equal(log.length, 1);
+
+	carousel.destroy();
+	carousel.remove();
+	window.document.body.append(carousel);
+	await settle(window);
+	assert.equal(log.length, 1);
+});
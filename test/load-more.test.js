@@ -0,0 +1,219 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, plain } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+/**
+ * a load() stub whose pages the test resolves or rejects
+ * @returns {Function & {calls:object[], resolve:Function, reject:Function}}
+ */
+const stubLoader = () => {
+	const pending = [];
+	const load = (request) => {
+		load.calls.push(request);
+		return new Promise((resolve, reject) => pending.push({ resolve, reject }));
+	};
+	load.calls = [];
+	load.resolve = (page) => pending.shift().resolve(page);
+	load.reject = (error) => pending.shift().reject(error);
+	return load;
+};
+const page = (page) => `<div>page ${page} a</div><div>page ${page} b</div>`;
+const texts = (carousel) => Array.from(carousel.slides, (slide) => slide.textContent);
+const numbered = (options) => ({ slideHTML: (i) => `<tarot-slide>${i}</tarot-slide>`, options });
+
+test('pages load near the end and replace the placeholder', async () => {
+	const carousel = mount(window, numbered({ slideTransitions: { duration: 0 } }));
+	await settle(window);
+	const log = record(carousel, ['slides:load-more']);
+	const load = stubLoader();
+	carousel.updateOptions({ loadMore: { load, placeholder: '<span>loading</span>' } });
+	assert.equal(load.calls.length, 0);
+
+	// the last slide in view is within 3 of the end
+	carousel.goToSlide(2);
+	await settle(window);
+	assert.equal(load.calls.length, 1);
+	assert.equal(load.calls[0].page, 1);
+	assert.equal(load.calls[0].count, 6);
+	assert.ok(load.calls[0].signal instanceof window.AbortSignal);
+
+	const placeholder = carousel.querySelector('.tarot-load-more');
+	assert.equal(placeholder.getAttribute('aria-busy'), 'true');
+	assert.equal(placeholder.textContent, 'loading');
+	assert.ok(carousel.classList.contains('tarot-loading-more'));
+
+	load.resolve(page(1));
+	await settle(window);
+	assert.equal(placeholder.isConnected, false);
+	assert.ok(!carousel.classList.contains('tarot-loading-more'));
+	assert.deepEqual(texts(carousel), ['0', '1', '2', '3', '4', '5', 'page 1 a', 'page 1 b']);
+	assert.deepEqual(
+		log.map(({ detail }) => [Array.from(detail.slides, (slide) => slide.textContent), detail.page, detail.done]),
+		[[['page 1 a', 'page 1 b'], 1, false]]
+	);
+	// the current slide didn't move
+	assert.equal(carousel.state.renderIndex, 2);
+
+	carousel.goToSlide(5);
+	await settle(window);
+	assert.deepEqual(
+		load.calls.map(({ page, count }) => [page, count]),
+		[
+			[1, 6],
+			[2, 8],
+		]
+	);
+	carousel.remove();
+});
+
+test('a page that still leaves the end in reach asks for the next one', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const load = stubLoader();
+	carousel.updateOptions({ loadMore: { load, threshold: 3, placeholder: false } });
+	carousel.goToSlide(5);
+	await settle(window);
+	assert.equal(carousel.querySelector('.tarot-load-more'), null);
+
+	load.resolve('<div>only one</div>');
+	await settle(window);
+	assert.equal(load.calls.length, 2);
+	assert.equal(load.calls[1].page, 2);
+	carousel.remove();
+});
+
+test('an empty page sets done and loading stops', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const log = record(carousel, ['slides:load-more']);
+	const load = stubLoader();
+	// the function shorthand
+	carousel.updateOptions({ loadMore: load });
+	carousel.goToSlide(3);
+	await settle(window);
+
+	load.resolve('');
+	await settle(window);
+	assert.equal(carousel.querySelector('.tarot-load-more'), null);
+	assert.equal(carousel.slides.length, 6);
+	assert.deepEqual(
+		log.map(({ detail }) => [detail.slides.length, detail.page, detail.done]),
+		[[0, 1, true]]
+	);
+
+	carousel.goToSlide(5);
+	await settle(window);
+	assert.equal(load.calls.length, 1);
+});
+
+test('a rejected page emits load-more-error and waits for the user', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const log = record(carousel, ['slides:load-more-error']);
+	const load = stubLoader();
+	carousel.updateOptions({ loadMore: load });
+	carousel.goToSlide(3);
+	await settle(window);
+
+	const error = new Error('offline');
+	load.reject(error);
+	await settle(window);
+	assert.deepEqual(
+		log.map(({ detail }) => [detail.error, detail.page]),
+		[[error, 1]]
+	);
+	assert.equal(warn.mock.callCount(), 1);
+	assert.equal(carousel.querySelector('.tarot-load-more'), null);
+	assert.ok(!carousel.classList.contains('tarot-loading-more'));
+
+	// moves from code don't retry
+	carousel.goToSlide(4);
+	await settle(window);
+	assert.equal(load.calls.length, 1);
+
+	// a user interaction does, with the same page
+	carousel.querySelector('[data-action="tarot-next"]').click();
+	await settle(window);
+	assert.equal(load.calls.length, 2);
+	assert.equal(load.calls[1].page, 1);
+
+	load.resolve(page(1));
+	await settle(window);
+	assert.deepEqual(texts(carousel).slice(6, 8), ['page 1 a', 'page 1 b']);
+	carousel.remove();
+});
+
+test('a teardown aborts the load in flight and ignores its result', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const log = record(carousel, ['slides:load-more']);
+	const load = stubLoader();
+	carousel.updateOptions({ loadMore: load });
+	carousel.goToSlide(3);
+	await settle(window);
+	const [{ signal }] = load.calls;
+
+	carousel.remove();
+	assert.equal(signal.aborted, true);
+	assert.equal(carousel.querySelector('.tarot-load-more'), null);
+	assert.ok(!carousel.classList.contains('tarot-loading-more'));
+
+	load.resolve(page(1));
+	await settle(window);
+	assert.equal(carousel.querySelectorAll('tarot-slide').length, 6);
+	assert.deepEqual(log, []);
+});
+
+test('a new loader aborts the old one and starts from page 1', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const first = stubLoader();
+	carousel.updateOptions({ loadMore: first });
+	carousel.goToSlide(3);
+	await settle(window);
+
+	const second = stubLoader();
+	carousel.updateOptions({ loadMore: second });
+	await settle(window);
+	assert.equal(first.calls[0].signal.aborted, true);
+	assert.equal(second.calls[0].page, 1);
+
+	first.resolve(page('old'));
+	second.resolve(page('new'));
+	await settle(window);
+	assert.deepEqual(texts(carousel).slice(6), ['page new a', 'page new b']);
+	carousel.remove();
+});
+
+test('looping carousels never load, virtual ones append items', async () => {
+	const looping = mount(window, numbered({ loop: true }));
+	await settle(window);
+	const never = stubLoader();
+	looping.updateOptions({ loadMore: never });
+	looping.goToSlide(5);
+	await settle(window);
+	assert.equal(never.calls.length, 0);
+	looping.remove();
+
+	const carousel = mount(window, { slides: 0, options: { virtual: true } });
+	carousel.setItems(['a', 'b', 'c']);
+	await settle(window);
+	const load = stubLoader();
+	carousel.updateOptions({ loadMore: load });
+	await settle(window);
+	assert.equal(carousel.querySelector('.tarot-load-more'), null);
+
+	load.resolve(['d', 'e']);
+	await settle(window);
+	assert.deepEqual(plain(carousel.getItems()), ['a', 'b', 'c', 'd', 'e']);
+	carousel.remove();
+});
@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, plain } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+test('updateOptions deep-merges and returns the effective options', async () => {
+	const carousel = mount(window, { options: { gap: 8, animation: { speed: 4 } } });
+	await settle(window);
+
+	const options = carousel.updateOptions({ gap: 16, animation: { friction: 0.3 } });
+	assert.equal(options.gap, 16);
+	assert.equal(options.animation.speed, 4);
+	assert.equal(options.animation.friction, 0.3);
+	assert.equal(carousel.options.gap, 16);
+});
+
+test('options:changed only fires when the effective options differ', async () => {
+	const carousel = mount(window, { options: { gap: 8 } });
+	await settle(window);
+	const log = record(carousel, ['options:changed']);
+
+	carousel.updateOptions({ gap: 8 });
+	carousel.updateOptions({});
+	assert.equal(log.length, 0);
+
+	carousel.updateOptions({ gap: 12 });
+	assert.equal(log.length, 1);
+	assert.equal(log[0].detail.prevOptions.gap, 8);
+	assert.equal(log[0].detail.currentOptions.gap, 12);
+});
+
+test('getUserOptions returns a copy of what the page set', async () => {
+	const carousel = mount(window, { options: { gap: 8, animation: { speed: 4 } } });
+	await settle(window);
+
+	const userOptions = carousel.getUserOptions();
+	assert.deepEqual(plain(userOptions), { gap: 8, animation: { speed: 4 } });
+
+	userOptions.animation.speed = 9;
+	assert.equal(carousel.getUserOptions().animation.speed, 4);
+	assert.equal(carousel.options.slidesPerView, 1);
+});
+
+test('breakpoints merge per width unless replaceBreakpoints is set', async () => {
+	// jsdom windows are 1024px wide
+	const carousel = mount(window, { options: { breakpoints: { 768: { slidesPerView: 2 } } } });
+	await settle(window);
+	assert.equal(carousel.options.slidesPerView, 2);
+
+	// the widest matching breakpoint applies, a patch merges into its width
+	carousel.updateOptions({ breakpoints: { 768: { gap: 20 } } });
+	assert.equal(carousel.options.slidesPerView, 2);
+	assert.equal(carousel.options.gap, 20);
+
+	carousel.updateOptions({ breakpoints: { 1440: { slidesPerView: 4 } } }, { replaceBreakpoints: true });
+	assert.equal(carousel.options.slidesPerView, 1);
+	assert.deepEqual(plain(Object.keys(carousel.getUserOptions().breakpoints)), ['1440']);
+});
+
+test('an unknown effect is dropped with a warning, the current effect stays', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, { options: { effect: 'fade' } });
+	await settle(window);
+
+	carousel.updateOptions({ effect: 'nope', gap: 4 });
+	assert.equal(carousel.options.effect, 'fade');
+	assert.equal(carousel.options.gap, 4);
+	assert.equal(warn.mock.callCount(), 1);
+	assert.match(warn.mock.calls[0].arguments[0], /unknown effect 'nope'/);
+});
+
+test('updateOptions ignores anything but an options object', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, { options: { gap: 8 } });
+	await settle(window);
+
+	assert.equal(carousel.updateOptions(null).gap, 8);
+	assert.equal(carousel.updateOptions([1]).gap, 8);
+	assert.equal(warn.mock.callCount(), 2);
+});
+
+test('slidesPerView changes rebuild the pages', async () => {
+	const carousel = mount(window, { slides: 6 });
+	await settle(window);
+	const pages = carousel.state.pageCount;
+
+	carousel.updateOptions({ slidesPerView: 3, slidesPerMove: 3 });
+	await settle(window);
+	assert.ok(carousel.state.pageCount < pages);
+	assert.equal(carousel.state.pageCount, 2);
+});
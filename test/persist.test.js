@@ -0,0 +1,155 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle } from './helpers/dom.js';
+
+let window;
+afterEach(() => {
+	window?.close();
+});
+
+// a page load with some storage already there
+const load = (stored = {}, options = {}) =>
+	createWindow({
+		...options,
+		setup: (window) => {
+			for (const [area, records] of Object.entries(stored)) {
+				for (const [key, record] of Object.entries(records)) {
+					window[area].setItem(key, JSON.stringify(record));
+				}
+			}
+		},
+	});
+const saved = (area, key = 'tarot-carousel:carousel') => JSON.parse(window[area].getItem(key));
+
+test('the position survives a reload', async () => {
+	window = load();
+	let carousel = mount(window, { attributes: { persist: 'session' } });
+	await settle(window);
+	carousel.goToSlide(3);
+	carousel.setSelectedIndex(2);
+	await settle(window);
+	const record = saved('sessionStorage');
+	assert.deepEqual(record, { renderIndex: 3, selectedIndex: 2, filter: null });
+	window.close();
+
+	window = load({ sessionStorage: { 'tarot-carousel:carousel': record } });
+	carousel = mount(window, { attributes: { persist: '' } });
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 3);
+	assert.equal(carousel.state.selectedIndex, 2);
+});
+
+test("'local' uses localStorage", async () => {
+	window = load();
+	const carousel = mount(window, { options: { persist: 'local' } });
+	await settle(window);
+	carousel.next();
+	await settle(window);
+	assert.equal(saved('localStorage').renderIndex, 1);
+	assert.equal(saved('sessionStorage'), null);
+});
+
+test('the saved filter is applied before the saved slide is painted', async () => {
+	window = load({
+		sessionStorage: { 'tarot-carousel:carousel': { renderIndex: 1, selectedIndex: 1, filter: { tags: ['odd'], match: 'any' } } },
+	});
+	const carousel = mount(window, {
+		slideHTML: (i) => `<tarot-slide data-tags="${i % 2 ? 'odd' : 'even'}">${i}</tarot-slide>`,
+		options: { persist: 'session' },
+	});
+	await settle(window);
+	assert.equal(carousel.querySelectorAll('tarot-slide:not([hidden])').length, 3);
+	assert.equal(carousel.state.renderIndex, 1);
+	assert.equal(carousel.querySelector('tarot-slide:not([hidden])').textContent, '1');
+});
+
+test('a record whose filter matches nothing, or out of range, is ignored', async () => {
+	window = load({
+		sessionStorage: {
+			'tarot-carousel:carousel': { renderIndex: 2, selectedIndex: 2, filter: '.is-sale' },
+			'tarot-carousel:other': { renderIndex: 40, selectedIndex: 40, filter: null },
+		},
+	});
+	const carousel = mount(window, { options: { persist: true } });
+	const other = mount(window, { attributes: { id: 'other', persist: 'session' } });
+	await settle(window);
+	assert.equal(carousel.getFilter(), null);
+	assert.equal(carousel.state.renderIndex, 0);
+	assert.equal(other.state.renderIndex, 0);
+});
+
+test('a predicate filter removes the record', async () => {
+	window = load();
+	const carousel = mount(window, { options: { persist: 'session' } });
+	await settle(window);
+	carousel.next();
+	await settle(window);
+	assert.ok(saved('sessionStorage'));
+
+	carousel.filter((slide, index) => index > 2);
+	await settle(window);
+	assert.equal(saved('sessionStorage'), null);
+});
+
+test('without an id or persist.key it warns and stays off', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	window = load({ sessionStorage: { 'tarot-carousel:tarot-carousel-0': { renderIndex: 2, selectedIndex: 2 } } });
+	const carousel = mount(window, { attributes: { id: null, persist: 'session' } });
+	await settle(window);
+	assert.match(carousel.id, /^tarot-carousel-/);
+	assert.equal(carousel.state.renderIndex, 0);
+	assert.equal(warn.mock.callCount(), 1);
+
+	carousel.next();
+	await settle(window);
+	assert.equal(window.sessionStorage.length, 1);
+});
+
+test('persist.key names the record, the attribute sets it too', async () => {
+	window = load({ sessionStorage: { 'tarot-carousel:hero': { renderIndex: 4, selectedIndex: 1 } } });
+	const byOption = mount(window, {
+		attributes: { id: null },
+		options: { persist: { storage: 'session', key: 'hero' } },
+	});
+	const byAttribute = mount(window, {
+		attributes: { id: 'second', persist: 'local', 'persist-key': 'shelf' },
+	});
+	await settle(window);
+	assert.equal(byOption.state.renderIndex, 4);
+	assert.equal(byOption.state.selectedIndex, 1);
+
+	byAttribute.goToSlide(2);
+	await settle(window);
+	assert.equal(saved('localStorage', 'tarot-carousel:shelf').renderIndex, 2);
+	assert.equal(saved('localStorage', 'tarot-carousel:second'), null);
+});
+
+test('a slide linked from the url wins over the saved one', async () => {
+	window = load(
+		{ sessionStorage: { 'tarot-carousel:carousel': { renderIndex: 4, selectedIndex: 4 } } },
+		{ url: 'https://example.com/#b' }
+	);
+	const carousel = mount(window, {
+		slideHTML: (i) => `<tarot-slide data-hash="${'abcdef'[i]}">${i}</tarot-slide>`,
+		options: { persist: 'session', hashNavigation: true },
+	});
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('a full storage warns once and stops saving', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	window = load();
+	const carousel = mount(window, { options: { persist: 'session' } });
+	await settle(window);
+	const setItem = t.mock.method(window.Storage.prototype, 'setItem', () => {
+		throw new window.DOMException('full', 'QuotaExceededError');
+	});
+
+	carousel.next();
+	await settle(window);
+	carousel.next();
+	await settle(window);
+	assert.equal(setItem.mock.callCount(), 1);
+	assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, tick } from './helpers/dom.js';
+
+let window;
+let query;
+beforeEach(() => {
+	// a prefers-reduced-motion query the tests can flip
+	query = new EventTarget();
+	query.matches = false;
+	window = createWindow({
+		setup: (window) => {
+			window.matchMedia = (media) => (media.includes('reduced-motion') ? query : { matches: false });
+			window.document.hasFocus = () => true;
+		},
+	});
+});
+afterEach(() => {
+	window.close();
+});
+
+const names = (log) => log.map((entry) => entry.name);
+const trackX = (carousel) =>
+	Number(/(-?[\d.]+)px/.exec(carousel.querySelector('tarot-slides').style.transform)?.[1] ?? 0);
+
+test("'always' turns moves into jumps that still report their transition", async () => {
+	const carousel = mount(window, { options: { reducedMotion: 'always' } });
+	await settle(window);
+	assert.equal(carousel.state.reducedMotion, true);
+	assert.ok(carousel.classList.contains('tarot-reduced-motion'));
+	const log = record(carousel, ['carousel:before-transition', 'carousel:after-transition']);
+
+	carousel.next();
+	await settle(window);
+	assert.equal(trackX(carousel), -1000);
+	assert.deepEqual(names(log), ['carousel:before-transition', 'carousel:after-transition']);
+	assert.equal(log[1].detail.currentIndex, 1);
+	// a jump has no direction
+	assert.equal(log[1].detail.direction, 0);
+});
+
+test("'auto' follows the os setting live", async () => {
+	const carousel = mount(window);
+	await settle(window);
+	assert.equal(carousel.state.reducedMotion, false);
+
+	query.matches = true;
+	query.dispatchEvent(new Event('change'));
+	assert.equal(carousel.state.reducedMotion, true);
+	const log = record(carousel, ['carousel:after-transition']);
+	carousel.next();
+	await settle(window);
+	assert.equal(log[0].detail.direction, 0);
+
+	carousel.updateOptions({ reducedMotion: 'never' });
+	await settle(window);
+	assert.equal(carousel.state.reducedMotion, false);
+	assert.ok(!carousel.classList.contains('tarot-reduced-motion'));
+});
+
+test('booleans are shorthand and unknown values warn', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, { options: { reducedMotion: true } });
+	await settle(window);
+	assert.equal(carousel.options.reducedMotion, 'always');
+
+	carousel.updateOptions({ reducedMotion: 'sometimes', reducedMotionMode: 'spin' });
+	await settle(window);
+	assert.equal(carousel.options.reducedMotion, 'always');
+	assert.equal(carousel.options.reducedMotionMode, 'jump');
+	assert.equal(warn.mock.callCount(), 2);
+});
+
+test("reducedMotionMode: 'fade' fades the viewport around the jump", async () => {
+	const carousel = mount(window, { options: { reducedMotion: 'always', reducedMotionMode: 'fade' } });
+	await settle(window);
+	const viewport = carousel.querySelector('tarot-viewport');
+	const log = record(carousel, ['carousel:before-transition', 'carousel:after-transition']);
+
+	carousel.next();
+	assert.equal(viewport.style.opacity, '0');
+	assert.equal(trackX(carousel), 0);
+	assert.deepEqual(names(log), ['carousel:before-transition']);
+	assert.equal(log[0].detail.direction, -1);
+
+	// halfway: the track jumps and the viewport fades back in
+	await tick(150);
+	assert.equal(trackX(carousel), -1000);
+	assert.equal(viewport.style.opacity, '');
+	assert.deepEqual(names(log), ['carousel:before-transition', 'carousel:after-transition']);
+
+	await tick(150);
+	assert.equal(viewport.style.transition, '');
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('a new move or a teardown cancels a running fade', async () => {
+	const carousel = mount(window, { options: { reducedMotion: 'always', reducedMotionMode: 'fade' } });
+	await settle(window);
+	const viewport = carousel.querySelector('tarot-viewport');
+
+	carousel.next();
+	carousel.jumpToSlide(4);
+	assert.equal(viewport.style.opacity, '');
+	await tick(300);
+	assert.equal(trackX(carousel), -4000);
+
+	carousel.prev();
+	carousel.remove();
+	assert.equal(viewport.style.opacity, '');
+	assert.equal(viewport.style.transition, '');
+});
+
+test('autoplay holds under reduced motion unless autoplay.reducedMotion', async () => {
+	const carousel = mount(window, { options: { reducedMotion: 'always', autoplay: { interval: 40 } } });
+	await settle(window);
+	await tick(150);
+	assert.equal(carousel.state.renderIndex, 0);
+
+	carousel.updateOptions({ autoplay: { reducedMotion: true } });
+	await tick(150);
+	assert.ok(carousel.state.renderIndex > 0);
+	carousel.remove();
+});
@@ -0,0 +1,115 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, drag } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow({ effects: ['butterfly'] });
+});
+afterEach(() => {
+	window.close();
+});
+
+const track = (carousel) => carousel.querySelector('tarot-slides');
+
+test('an inherited dir mirrors the track math, not the dom', async () => {
+	window.document.documentElement.dir = 'rtl';
+	const carousel = mount(window, {
+		options: { slidesPerView: 1 },
+		slideHTML: (i) => `<tarot-slide><p style="color: red">slide ${i + 1}</p></tarot-slide>`,
+	});
+	await settle(window);
+
+	assert.ok(carousel.classList.contains('tarot-rtl'));
+	assert.equal(carousel.state.rtl, true);
+	// the next slide sits to the left and the track moves right to reach it
+	assert.equal(carousel.slides[1].style.transform, 'translateX(-1000px)');
+	carousel.goToSlide(1);
+	await settle(window);
+	assert.match(track(carousel).style.transform, /^translateX\(1000px\)$/);
+
+	// author styles on slide content are left alone
+	assert.equal(carousel.slides[0].firstElementChild.getAttribute('style'), 'color: red');
+	assert.equal(carousel.querySelector('tarot-viewport').style.scale, '');
+});
+
+test('rightward drags and ArrowLeft move forward', async () => {
+	const carousel = mount(window, { options: { slidesPerView: 1 }, attributes: { dir: 'rtl' } });
+	await settle(window);
+
+	drag(track(carousel), [
+		[300, 100],
+		[500, 100],
+		[800, 100],
+	]);
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+
+	carousel.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 2);
+});
+
+test('a dir change on an ancestor flips the carousel without a resize', async () => {
+	const carousel = mount(window, { options: { slidesPerView: 1 } });
+	await settle(window);
+	carousel.goToSlide(1);
+	await settle(window);
+	const log = record(carousel, ['carousel:reinit']);
+
+	window.document.documentElement.setAttribute('dir', 'rtl');
+	await settle(window);
+
+	assert.equal(carousel.state.rtl, true);
+	assert.deepEqual(log.map(({ detail }) => detail.reason), ['direction']);
+	assert.equal(carousel.state.renderIndex, 1);
+	assert.match(track(carousel).style.transform, /^translateX\(1000px\)$/);
+
+	// an unrelated dir change doesn't redraw
+	window.document.body.insertAdjacentHTML('beforeend', '<p dir="ltr">aside</p>');
+	window.document.body.lastElementChild.dir = 'rtl';
+	await settle(window);
+	assert.equal(log.length, 1);
+
+	window.document.documentElement.removeAttribute('dir');
+	await settle(window);
+	assert.equal(carousel.state.rtl, false);
+	assert.match(track(carousel).style.transform, /^translateX\(-1000px\)$/);
+});
+
+test('effects mirror their transforms through the axis helpers', async () => {
+	const carousel = mount(window, {
+		options: { slidesPerView: 1 },
+		attributes: { dir: 'rtl', effect: 'butterfly' },
+	});
+	await settle(window);
+
+	const [first, second] = carousel.slides;
+	// the next slide sits on the left, so the hinges swap sides
+	assert.equal(second.style.transformOrigin, 'left center');
+	assert.equal(first.style.transformOrigin, 'right center');
+	assert.match(second.style.transform, /^translateX\(-/);
+});
+
+test('the scrollbar runs right to left', async () => {
+	const carousel = mount(window, {
+		options: { navigation: { showScrollbar: true, scrollbarShowSnapPoints: true } },
+		attributes: { dir: 'rtl' },
+	});
+	await settle(window);
+
+	const scrollbar = carousel.querySelector('.tarot-scrollbar');
+	assert.ok(scrollbar.classList.contains('tarot-scrollbar--rtl'));
+	const thumb = scrollbar.querySelector('[role="slider"]');
+	assert.equal(thumb.style.left, '100%');
+	const snapPoints = scrollbar.querySelectorAll('.tarot-scrollbar-snap-point');
+	assert.equal(snapPoints[snapPoints.length - 1].style.left, '0%');
+
+	// clicking near the left edge goes to the last page
+	const bar = scrollbar.querySelector('.tarot-scrollbar-track');
+	bar.getBoundingClientRect = () => ({ left: 0, right: 1000, top: 0, width: 1000, height: 8 });
+	bar.dispatchEvent(new window.MouseEvent('click', { bubbles: true, clientX: 10, clientY: 0 }));
+	await settle(window);
+	assert.equal(carousel.state.pageIndex, carousel.state.pageCount - 1);
+	assert.equal(thumb.style.left, '0%');
+});
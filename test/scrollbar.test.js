@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const scrollbarOptions = (navigation = {}) => ({
+	slidesPerView: 2,
+	navigation: { showScrollbar: true, scrollbarShowSnapPoints: true, ...navigation },
+});
+
+test('nothing is built until showScrollbar is on', async () => {
+	const carousel = mount(window, { options: { slidesPerView: 2 } });
+	await settle(window);
+	assert.equal(carousel.querySelector('.tarot-scrollbar'), null);
+});
+
+test('renders a slider thumb and one snap point per page', async () => {
+	const carousel = mount(window, { options: scrollbarOptions() });
+	await settle(window);
+
+	const scrollbar = carousel.querySelector('.tarot-scrollbar');
+	assert.ok(scrollbar.classList.contains('tarot-scrollbar--bottom'));
+	assert.equal(scrollbar.previousElementSibling, carousel.querySelector('tarot-viewport'));
+
+	const snapPoints = scrollbar.querySelectorAll('.tarot-scrollbar-snap-point');
+	assert.equal(snapPoints.length, carousel.state.pageCount);
+	assert.equal(snapPoints[0].style.left, '0%');
+	assert.equal(snapPoints[snapPoints.length - 1].style.left, '100%');
+
+	const thumb = scrollbar.querySelector('[role="slider"]');
+	assert.equal(thumb.getAttribute('aria-orientation'), 'horizontal');
+	assert.equal(thumb.getAttribute('aria-valuenow'), '1');
+	assert.equal(thumb.getAttribute('aria-valuemax'), String(carousel.state.pageCount));
+	assert.equal(thumb.getAttribute('aria-controls'), 'carousel');
+});
+
+test('scrollbarPosition top puts it above the viewport', async () => {
+	const carousel = mount(window, { options: scrollbarOptions({ scrollbarPosition: 'top' }) });
+	await settle(window);
+	const scrollbar = carousel.querySelector('.tarot-scrollbar');
+	assert.equal(scrollbar.nextElementSibling, carousel.querySelector('tarot-viewport'));
+});
+
+test('keys on the thumb move by page and keep aria in sync', async () => {
+	const carousel = mount(window, { options: scrollbarOptions() });
+	await settle(window);
+	const thumb = carousel.querySelector('.tarot-scrollbar-thumb');
+	const lastPage = carousel.state.pageCount - 1;
+
+	thumb.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'End', bubbles: true }));
+	await settle(window);
+	assert.equal(carousel.state.pageIndex, lastPage);
+	assert.equal(thumb.style.left, '100%');
+	assert.equal(thumb.getAttribute('aria-valuetext'), `page ${lastPage + 1} of ${lastPage + 1}`);
+
+	thumb.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+	await settle(window);
+	assert.equal(carousel.state.pageIndex, lastPage - 1);
+
+	thumb.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Home', bubbles: true }));
+	await settle(window);
+	assert.equal(carousel.state.pageIndex, 0);
+	assert.equal(thumb.style.left, '0%');
+});
+
+test('clicking a snap point goes to its page', async () => {
+	const carousel = mount(window, { options: scrollbarOptions() });
+	await settle(window);
+	carousel
+		.querySelector('.tarot-scrollbar-snap-point[data-page="2"]')
+		.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+	await settle(window);
+	assert.equal(carousel.state.pageIndex, 2);
+});
+
+test('scrollbarSelector renders into an outside container', async () => {
+	window.document.body.innerHTML = '<div id="bar"></div>';
+	const carousel = mount(window, { options: scrollbarOptions({ scrollbarSelector: '#bar' }) });
+	await settle(window);
+	assert.equal(carousel.querySelector('.tarot-scrollbar'), null);
+	assert.ok(window.document.querySelector('#bar > .tarot-scrollbar'));
+});
@@ -0,0 +1,140 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, plain } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const numbered = (options) => ({ slideHTML: (i) => `<tarot-slide>${i}</tarot-slide>`, options });
+// slides that animate out are still in the dom for a moment
+const texts = (carousel) =>
+	Array.from(carousel.querySelectorAll('tarot-slide:not([hidden]):not(.tarot-exiting)')).map(
+		(slide) => slide.textContent
+	);
+
+test('html, elements and fragments become slides in one batch', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const log = record(carousel, ['slides:changed']);
+
+	const added = carousel.appendSlides('<div>a</div><div>b</div>');
+	assert.deepEqual(
+		plain(added.map((slide) => [slide.tagName, slide.textContent])),
+		[
+			['TAROT-SLIDE', 'a'],
+			['TAROT-SLIDE', 'b'],
+		]
+	);
+	assert.equal(log.length, 1);
+
+	const card = window.document.createElement('article');
+	card.textContent = 'card';
+	const [wrapped] = carousel.prependSlides([card]);
+	assert.equal(card.parentNode, wrapped);
+
+	const fragment = window.document.createDocumentFragment();
+	fragment.append(window.document.createElement('tarot-slide'), window.document.createElement('tarot-slide'));
+	fragment.firstChild.textContent = 'x';
+	fragment.lastChild.textContent = 'y';
+	carousel.insertSlides(3, fragment);
+
+	await settle(window);
+	assert.equal(log.length, 3);
+	assert.deepEqual(texts(carousel), ['card', '0', '1', 'x', 'y', '2', '3', '4', '5', 'a', 'b']);
+});
+
+test('inserting before the current slide keeps it in view', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	carousel.goToSlide(2);
+	carousel.setSelectedIndex(3);
+	await settle(window);
+
+	carousel.prependSlides('<div>p</div><div>q</div>');
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 4);
+	assert.equal(carousel.state.selectedIndex, 5);
+	assert.equal(carousel.slides[carousel.state.renderIndex].textContent, '2');
+});
+
+test('removed slides animate out, then leave the dom', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const log = record(carousel, ['slides:exited']);
+
+	const removed = carousel.removeSlides([0, 4, 40]);
+	assert.deepEqual(plain(removed.map((slide) => slide.textContent)), ['0', '4']);
+	assert.ok(removed.every((slide) => slide.isConnected && slide.classList.contains('tarot-exiting')));
+	assert.deepEqual(texts(carousel), ['1', '2', '3', '5']);
+
+	await settle(window);
+	assert.ok(removed.every((slide) => !slide.isConnected));
+	assert.equal(log.length, 2);
+});
+
+test('removing the current slide lands on the next one', async () => {
+	const carousel = mount(window, numbered({ slideTransitions: { duration: 0 } }));
+	await settle(window);
+	carousel.goToSlide(3);
+	await settle(window);
+
+	const [removed] = carousel.removeSlides(3);
+	assert.equal(removed.isConnected, false);
+	await settle(window);
+	assert.equal(carousel.slides[carousel.state.renderIndex].textContent, '4');
+});
+
+test('replaceSlides swaps the whole set and moveSlide reorders', async () => {
+	const carousel = mount(window, numbered({ slideTransitions: { duration: 0 } }));
+	await settle(window);
+	carousel.filter((slide) => slide.textContent !== '2');
+
+	const added = carousel.replaceSlides('<div>a</div><div>b</div><div>c</div>');
+	await settle(window);
+	assert.equal(added.length, 3);
+	assert.equal(carousel.querySelectorAll('tarot-slide').length, 3);
+	assert.deepEqual(texts(carousel), ['a', 'b', 'c']);
+
+	carousel.moveSlide(0, 2);
+	await settle(window);
+	assert.deepEqual(texts(carousel), ['b', 'c', 'a']);
+});
+
+test('indices count the slides showing while a filter is active', async () => {
+	const carousel = mount(window, numbered({ slideTransitions: { duration: 0 } }));
+	await settle(window);
+	carousel.filter((slide) => Number(slide.textContent) % 2 === 1);
+
+	const [removed] = carousel.removeSlides(1);
+	assert.equal(removed.textContent, '3');
+	carousel.insertSlides(1, '<div>n</div>');
+	await settle(window);
+	// the new slide doesn't pass the predicate
+	assert.deepEqual(texts(carousel), ['1', '5']);
+});
+
+test('slides added straight to the dom go through the same batch', async () => {
+	const carousel = mount(window, numbered({ slideTransitions: { duration: 0 } }));
+	await settle(window);
+	const log = record(carousel, ['slides:changed']);
+
+	const track = carousel.querySelector('tarot-slides');
+	track.append(window.document.createElement('tarot-slide'), window.document.createElement('tarot-slide'));
+	track.firstElementChild.remove();
+	await settle(window);
+	assert.equal(log.length, 1);
+	assert.equal(carousel.slides.length, 7);
+});
+
+test('calls before connecting warn and do nothing', (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = new window.Tarot();
+	assert.equal(carousel.appendSlides('<div>a</div>').length, 0);
+	assert.equal(carousel.removeSlides(0).length, 0);
+	assert.equal(warn.mock.callCount(), 2);
+});
@@ -0,0 +1,114 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, plain } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const odd = (slide) => Number(slide.textContent) % 2 === 1;
+const numbered = (options) => ({ slideHTML: (i) => `<tarot-slide>${i}</tarot-slide>`, options });
+const slidesOf = (carousel) => Array.from(carousel.querySelectorAll('tarot-slide'));
+
+test('filtered out slides animate out, then hide', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const log = record(carousel, ['slides:exited', 'slides:entered']);
+	const [even] = slidesOf(carousel);
+
+	carousel.filter(odd);
+	assert.equal(even.hidden, false);
+	assert.ok(even.classList.contains('tarot-exiting'));
+	assert.equal(even.getAttribute('aria-hidden'), 'true');
+
+	await settle(window);
+	assert.equal(even.hidden, true);
+	assert.ok(!even.classList.contains('tarot-exiting'));
+	assert.equal(even.style.opacity, '');
+	assert.equal(log.filter((entry) => entry.name === 'slides:exited').length, 3);
+
+	carousel.clearFilter();
+	await settle(window);
+	assert.deepEqual(
+		log.filter((entry) => entry.name === 'slides:entered').map((entry) => entry.detail.slide.textContent),
+		['0', '2', '4']
+	);
+	assert.equal(even.hidden, false);
+});
+
+test('slides that stay glide from where they were', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const slides = slidesOf(carousel);
+
+	carousel.filter(odd);
+	await new Promise((resolve) => window.requestAnimationFrame(() => window.requestAnimationFrame(resolve)));
+	// slide 3 went from render index 3 to 1, so it starts 2 slides further along
+	const [x] = slides[3].style.translate.split(' ');
+	assert.ok(parseFloat(x) > 1000 && parseFloat(x) <= 2000, slides[3].style.translate);
+
+	await settle(window);
+	assert.equal(slides[3].style.translate, '');
+});
+
+test('in rtl they glide in from the left', async () => {
+	const carousel = mount(window, { ...numbered(), attributes: { dir: 'rtl' } });
+	await settle(window);
+	const slides = slidesOf(carousel);
+
+	carousel.filter(odd);
+	await new Promise((resolve) => window.requestAnimationFrame(() => window.requestAnimationFrame(resolve)));
+	const [x] = slides[3].style.translate.split(' ');
+	assert.ok(parseFloat(x) < -1000 && parseFloat(x) >= -2000, slides[3].style.translate);
+});
+
+test('a slide added to the track enters', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	const log = record(carousel, ['slides:entered']);
+
+	const slide = window.document.createElement('tarot-slide');
+	slide.textContent = 'new';
+	carousel.querySelector('tarot-slides').append(slide);
+	await settle(window);
+	assert.deepEqual(
+		log.map((entry) => entry.detail.slide),
+		[slide]
+	);
+});
+
+test('duration 0 and reduced motion change the set at once', async () => {
+	for (const options of [{ slideTransitions: { duration: 0 } }, { reducedMotion: 'always' }]) {
+		const carousel = mount(window, numbered(options));
+		await settle(window);
+		const log = record(carousel, ['slides:exited']);
+
+		carousel.filter(odd);
+		assert.equal(slidesOf(carousel)[0].hidden, true);
+		assert.equal(carousel.querySelectorAll('.tarot-exiting').length, 0);
+		await settle(window);
+		assert.deepEqual(log, []);
+		carousel.remove();
+	}
+});
+
+test('a new easing curve replaces the old one', async () => {
+	const carousel = mount(window, numbered({ slideTransitions: { easing: [0.4, 0, 0.2, 1] } }));
+	await settle(window);
+
+	carousel.updateOptions({ slideTransitions: { easing: [0, 0, 1, 1] } });
+	assert.deepEqual(plain(carousel.options.slideTransitions), { duration: 300, easing: [0, 0, 1, 1] });
+});
+
+test('a teardown finishes running transitions', async () => {
+	const carousel = mount(window, numbered());
+	await settle(window);
+	carousel.filter(odd);
+	carousel.remove();
+	assert.equal(carousel.querySelectorAll('.tarot-exiting').length, 0);
+	assert.ok(slidesOf(carousel).every((slide) => slide.style.opacity === '' && !slide.hidden));
+});
@@ -0,0 +1,122 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, drag, touch } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow({ effects: ['butterfly', 'peacock', 'sliding-window', 'stack'] });
+});
+afterEach(() => {
+	window.close();
+});
+
+// the viewport measures 1000 x 400, so two slides per view are 200px tall
+const vertical = (options = {}, attributes = {}) => ({
+	options: { axis: 'vertical', slidesPerView: 2, ...options },
+	attributes,
+});
+const transforms = (carousel) => Array.from(carousel.slides, (slide) => slide.style.transform);
+
+test('the track runs along Y and slides are sized by height', async () => {
+	const carousel = mount(window, vertical());
+	await settle(window);
+
+	assert.ok(carousel.classList.contains('tarot-vertical'));
+	const viewport = carousel.querySelector('tarot-viewport');
+	assert.equal(viewport.style.getPropertyValue('--tarot-slide-height'), '200px');
+	assert.equal(viewport.style.getPropertyValue('--tarot-slide-width'), '');
+	assert.equal(carousel.querySelector('tarot-slides').style.height, '1200px');
+	assert.equal(carousel.slides[1].style.transform, 'translateY(200px)');
+
+	carousel.goToSlide(2);
+	await settle(window);
+	assert.match(carousel.querySelector('tarot-slides').style.transform, /^translateY\(-400px\)$/);
+});
+
+test('a mostly horizontal touch lets the page scroll', async () => {
+	const carousel = mount(window, vertical());
+	await settle(window);
+	const track = carousel.querySelector('tarot-slides');
+	const log = record(carousel, ['drag:cancel']);
+
+	drag(track, [[500, 100]], { release: false, pointerType: 'touch' });
+	const event = touch(track, 'touchmove', [{ screenX: 560, screenY: 102 }]);
+
+	assert.equal(log[0]?.detail.reason, 'horizontal-scroll');
+	assert.equal(event.defaultPrevented, false);
+});
+
+test('butterfly, sliding-window and stack lay slides out along Y', async () => {
+	const butterfly = mount(window, vertical({ slidesPerView: 1 }, { effect: 'butterfly' }));
+	await settle(window);
+	assert.equal(butterfly.getAttribute('effect'), 'butterfly');
+	const [first, second] = butterfly.slides;
+	assert.match(second.style.transform, /^translateY\(.*rotateX\(/);
+	assert.doesNotMatch(transforms(butterfly).join(' '), /translateX|rotateY/);
+	assert.equal(second.style.transformOrigin, 'center bottom');
+	assert.equal(first.style.transformOrigin, 'center top');
+	butterfly.remove();
+
+	const slidingWindow = mount(
+		window,
+		vertical({ slidesPerView: 1 }, { id: 'window', effect: 'sliding-window' })
+	);
+	await settle(window);
+	const [center, next] = slidingWindow.slides;
+	assert.equal(center.style.height, '400px');
+	assert.equal(center.style.width, '');
+	assert.equal(next.style.transformOrigin, 'right bottom');
+	assert.match(next.style.transform, /^translate3d\(0px, \d+(\.\d+)?px, 0px\)$/);
+	slidingWindow.remove();
+
+	const stack = mount(window, vertical({ slidesPerView: 1 }, { id: 'stack', effect: 'stack' }));
+	await settle(window);
+	// the second card peeks out below the top one
+	assert.match(stack.slides[1].style.transform, /^translate3d\(0px, 28px, 0\.00\dpx\)/);
+	assert.equal(stack.slides[1].style.transformOrigin, 'center bottom');
+});
+
+test('an effect that opts out of vertical warns and falls back to carousel', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, vertical({ slidesPerView: 1 }, { effect: 'peacock' }));
+	await settle(window);
+
+	assert.equal(carousel.getAttribute('effect'), 'carousel');
+	assert.match(warn.mock.calls[0].arguments[0], /effect 'peacock' does not support axis 'vertical'/);
+
+	// back on X it loads
+	carousel.removeAttribute('axis');
+	carousel.updateOptions({ axis: 'horizontal', effect: 'peacock' });
+	await settle(window);
+	assert.equal(carousel.getAttribute('effect'), 'peacock');
+});
+
+test('the scrollbar turns vertical with the carousel', async () => {
+	const carousel = mount(
+		window,
+		vertical({ navigation: { showScrollbar: true, scrollbarShowSnapPoints: true } })
+	);
+	await settle(window);
+
+	const scrollbar = carousel.querySelector('.tarot-scrollbar');
+	assert.ok(scrollbar.classList.contains('tarot-scrollbar--vertical'));
+	const thumb = scrollbar.querySelector('[role="slider"]');
+	assert.equal(thumb.getAttribute('aria-orientation'), 'vertical');
+	assert.equal(thumb.style.top, '0%');
+	assert.equal(thumb.style.left, '');
+	const snapPoints = scrollbar.querySelectorAll('.tarot-scrollbar-snap-point');
+	assert.equal(snapPoints[snapPoints.length - 1].style.top, '100%');
+
+	// clicks hit-test along Y
+	const track = scrollbar.querySelector('.tarot-scrollbar-track');
+	track.getBoundingClientRect = () => ({ left: 0, top: 0, width: 8, height: 400 });
+	track.dispatchEvent(new window.MouseEvent('click', { bubbles: true, clientX: 0, clientY: 390 }));
+	await settle(window);
+	assert.equal(carousel.state.pageIndex, carousel.state.pageCount - 1);
+
+	carousel.updateOptions({ axis: 'horizontal' });
+	await settle(window);
+	assert.equal(thumb.getAttribute('aria-orientation'), 'horizontal');
+	assert.equal(thumb.style.left, '100%');
+	assert.equal(thumb.style.top, '');
+});
@@ -0,0 +1,118 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const items = (count, from = 0) => Array.from({ length: count }, (_, i) => `item ${from + i}`);
+const render = (item) => `<p>${item}</p>`;
+// an empty track, the items come from setItems()
+const virtual = (options = {}) => ({ slides: 0, options: { virtual: true, slidesPerView: 4, ...options } });
+const inDom = (carousel) => carousel.querySelectorAll('tarot-slide').length;
+
+test('only a window of slides is in the dom, state counts items', async () => {
+	const carousel = mount(window, virtual());
+	carousel.setItems(items(1000), render);
+	await settle(window);
+
+	assert.equal(carousel.state.slideCount, 1000);
+	assert.ok(inDom(carousel) >= 4 && inDom(carousel) < 20, `${inDom(carousel)} slides`);
+	assert.equal(carousel.getSlideAtIndex(2).textContent, 'item 2');
+	assert.equal(carousel.getSlideAtIndex(2).index, 2);
+	assert.equal(carousel.getSlideAtIndex(500), undefined);
+});
+
+test('moving recycles slides without slides:changed', async () => {
+	const carousel = mount(window, virtual());
+	carousel.setItems(items(1000), render);
+	await settle(window);
+	const pool = new Set(carousel.querySelectorAll('tarot-slide'));
+	const log = record(carousel, ['slides:changed']);
+
+	carousel.jumpToSlide(500);
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 500);
+	assert.equal(carousel.getSlideAtIndex(500).textContent, 'item 500');
+	assert.deepEqual(new Set(carousel.querySelectorAll('tarot-slide')), pool);
+	assert.deepEqual(log, []);
+});
+
+test('renderSlide can return an element, without one the item is the content', async () => {
+	const carousel = mount(window, virtual());
+	carousel.setItems(items(10), (item, index) => {
+		const element = window.document.createElement('figure');
+		element.dataset.index = index;
+		element.textContent = item;
+		return element;
+	});
+	await settle(window);
+	assert.equal(carousel.getSlideAtIndex(1).querySelector('figure').dataset.index, '1');
+
+	const other = mount(window, { ...virtual(), attributes: { id: 'other' } });
+	other.setItems(['<b>bold</b>', 'plain']);
+	await settle(window);
+	assert.equal(other.getSlideAtIndex(0).querySelector('b').textContent, 'bold');
+});
+
+test('items set before connecting paint on connect', async () => {
+	const carousel = mount(window, {
+		...virtual(),
+		beforeConnect: (carousel) => carousel.setItems(items(20), render),
+	});
+	await settle(window);
+	assert.equal(carousel.state.slideCount, 20);
+	assert.equal(carousel.getSlideAtIndex(0).textContent, 'item 0');
+});
+
+test('new items keep the current item in place', async () => {
+	const carousel = mount(window, virtual());
+	const list = items(50);
+	carousel.setItems(list, render);
+	await settle(window);
+	carousel.jumpToSlide(10);
+	await settle(window);
+
+	const log = record(carousel, ['slides:changed']);
+	carousel.setItems([...items(5, 100), ...list]);
+	await settle(window);
+	assert.equal(log.length, 1);
+	assert.equal(carousel.state.slideCount, 55);
+	assert.equal(carousel.state.renderIndex, 15);
+	assert.equal(carousel.getSlideAtIndex(15).textContent, 'item 10');
+});
+
+test('filter and the collection methods warn and do nothing', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const carousel = mount(window, virtual());
+	carousel.setItems(items(10), render);
+	await settle(window);
+
+	carousel.filter('.nothing');
+	carousel.appendSlides('<div>x</div>');
+	carousel.removeSlides(0);
+	await settle(window);
+	assert.equal(warn.mock.callCount(), 3);
+	assert.equal(carousel.state.slideCount, 10);
+});
+
+test('turning virtual off puts the authored slides back', async () => {
+	const carousel = mount(window, { options: { slidesPerView: 4 } });
+	await settle(window);
+	const authored = Array.from(carousel.querySelectorAll('tarot-slide'));
+
+	carousel.updateOptions({ virtual: true });
+	carousel.setItems(items(100), render);
+	await settle(window);
+	assert.equal(carousel.state.slideCount, 100);
+
+	carousel.updateOptions({ virtual: false });
+	await settle(window);
+	assert.deepEqual(Array.from(carousel.querySelectorAll('tarot-slide')), authored);
+	assert.equal(carousel.state.slideCount, 6);
+});
@@ -0,0 +1,109 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, mount, settle, record, tick } from './helpers/dom.js';
+
+let window;
+beforeEach(() => {
+	window = createWindow();
+});
+afterEach(() => {
+	window.close();
+});
+
+const names = (log) => log.map((entry) => entry.name);
+const wheel = (target, init) => {
+	const event = new window.WheelEvent('wheel', { bubbles: true, cancelable: true, ...init });
+	target.dispatchEvent(event);
+	return event;
+};
+// a steady swipe, then a wait for the 80ms quiet period that ends the gesture
+const swipe = async (target, deltas, init = {}) => {
+	const events = deltas.map((delta) => wheel(target, { deltaX: delta, ...init }));
+	await tick(120);
+	return events;
+};
+
+test('the wheel is ignored unless wheel.enabled', async () => {
+	const carousel = mount(window);
+	await settle(window);
+	const log = record(carousel, ['drag:start']);
+
+	const [event] = await swipe(carousel.querySelector('tarot-slides'), [30, 30]);
+	assert.equal(event.defaultPrevented, false);
+	assert.deepEqual(log, []);
+});
+
+test('a sideways swipe past releaseThreshold moves one slide', async () => {
+	const carousel = mount(window, { options: { wheel: { enabled: true } } });
+	await settle(window);
+	const log = record(carousel, ['drag:start', 'drag:move', 'drag:end']);
+
+	const [event] = await swipe(carousel.querySelector('tarot-slides'), [20, 20, 20]);
+	await settle(window);
+
+	assert.equal(event.defaultPrevented, true);
+	assert.deepEqual(names(log), ['drag:start', 'drag:move', 'drag:move', 'drag:move', 'drag:end']);
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('a swipe under releaseThreshold settles back', async () => {
+	const carousel = mount(window, { options: { wheel: { enabled: true, releaseThreshold: 100 } } });
+	await settle(window);
+
+	await swipe(carousel.querySelector('tarot-slides'), [20, 20, 20]);
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 0);
+});
+
+test('line deltas are converted to px and scaled by sensitivity', async () => {
+	const carousel = mount(window, { options: { wheel: { enabled: true, sensitivity: 0.5 } } });
+	await settle(window);
+	const track = carousel.querySelector('tarot-slides');
+
+	// 2 lines = 32px, halved = 16px, under the 40px threshold
+	await swipe(track, [2], { deltaMode: 1 });
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 0);
+
+	// 6 lines = 96px, halved = 48px
+	await swipe(track, [6], { deltaMode: 1 });
+	await settle(window);
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('forceToAxis leaves a vertical wheel to the page, mapVertical takes it', async () => {
+	const carousel = mount(window, { options: { wheel: { enabled: true } } });
+	await settle(window);
+	const track = carousel.querySelector('tarot-slides');
+
+	const [ignored] = await swipe(track, [0], { deltaY: 60 });
+	assert.equal(ignored.defaultPrevented, false);
+	assert.equal(carousel.state.renderIndex, 0);
+
+	carousel.updateOptions({ wheel: { mapVertical: true } });
+	const [mapped] = await swipe(track, [0], { deltaY: 60 });
+	await settle(window);
+	assert.equal(mapped.defaultPrevented, true);
+	assert.equal(carousel.state.renderIndex, 1);
+});
+
+test('an inertia tail releases early and is swallowed, so one swipe moves once', async () => {
+	const carousel = mount(window, { options: { wheel: { enabled: true } } });
+	await settle(window);
+	const log = record(carousel, ['drag:end']);
+
+	// the finger pushes to a peak, lifts, and the os keeps sending a fading tail
+	const events = await swipe(carousel.querySelector('tarot-slides'), [10, 30, 40, 15, 12, 9, 6, 4, 2, 1]);
+	await settle(window);
+
+	assert.equal(log.length, 1);
+	assert.equal(carousel.state.renderIndex, 1);
+	assert.ok(events.every((event) => event.defaultPrevented));
+});
+
+test('the wheel attribute turns wheel scrolling on', async () => {
+	const carousel = mount(window, { attributes: { wheel: '' } });
+	await settle(window);
+	assert.equal(carousel.options.wheel.enabled, true);
+	assert.equal(carousel.options.wheel.forceToAxis, true);
+});